@@ -0,0 +1,423 @@
+/**
+ * Entry point of the JavaScript action
+ * Loads the repository configuration, maps the step inputs to the environment
+ * each script reads, and runs the script selected by the `command` input
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  createOctokit,
+  findProjectFields,
+  formatIssueReference,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { readConfig, resolveConfiguredProject } = require('./read-config');
+const { resolveLinkedIssues } = require('./issue-resolver');
+const { addToProject } = require('./add-to-project');
+const { addDomain } = require('./add-domain');
+const { findFields } = require('./find-fields');
+const { findIssue } = require('./find-issue');
+const { moveIssue } = require('./move-issue');
+const { setDate } = require('./set-date');
+const { setField } = require('./set-field');
+const { removePRFromProject } = require('./remove-pr-from-project');
+const { stagingToProduction } = require('./stg-to-prod');
+const { openPromotionPR } = require('./open-promotion-pr');
+const { runRules } = require('./run-rules');
+const { rolloverIterations } = require('./rollover-iterations');
+const { statusReport } = require('./status-report');
+const { reviewState } = require('./review-state');
+const { revertPR } = require('./revert-pr');
+const { reconcile } = require('./reconcile');
+const { assign } = require('./assign');
+const { setReviewers } = require('./set-reviewers');
+const { rollupSubIssues } = require('./rollup-sub-issues');
+const { boardHygiene } = require('./board-hygiene');
+const CONFIG_SCHEMA = require('../../config.schema.json');
+
+/**
+ * Status config keys that `value` may name instead of an option (e.g. value: doing)
+ */
+const STATUS_KEYS = ['doing', 'review', 'fixing', 'approved', 'closed_unmerged', 'done'];
+
+/**
+ * Returns the branch of the triggering event
+ * @returns {string} Head branch for pull requests, otherwise the pushed or created ref
+ */
+function getEventBranch() {
+  const { payload } = github.context;
+  return payload.pull_request?.head?.ref || payload.ref || process.env.GITHUB_HEAD_REF || process.env.GITHUB_REF_NAME || '';
+}
+
+/**
+ * Returns the environment the promotion scripts read the environments from
+ * @param {Object} config - Resolved configuration
+ * @returns {Object} ENVIRONMENTS (as JSON), STAGING_LABEL and PRODUCTION_LABEL
+ */
+function environmentsEnv(config) {
+  const { environments } = config;
+  return {
+    ENVIRONMENTS: environments && typeof environments !== 'string' ? JSON.stringify(environments) : environments,
+    STAGING_LABEL: config.staging_label,
+    PRODUCTION_LABEL: config.production_label
+  };
+}
+
+/**
+ * Returns DOMAIN_RULES the way the domain scripts read it
+ * @param {Object} config - Resolved configuration
+ * @returns {string|undefined} Rules as JSON
+ */
+function domainRulesEnv(config) {
+  const rules = config.domain_rules;
+  return rules && typeof rules !== 'string' ? JSON.stringify(rules) : rules;
+}
+
+/**
+ * Returns WIP_LIMITS the way move-issue.js reads it
+ * @param {Object} config - Resolved configuration
+ * @returns {string|undefined} Limits as JSON
+ */
+function wipLimitsEnv(config) {
+  const limits = config.wip_limits;
+  return limits && typeof limits !== 'string' ? JSON.stringify(limits) : limits;
+}
+
+/**
+ * Returns the node ID of the issue or pull request that triggered the event
+ * @returns {string} Node ID, or an empty string for other events
+ */
+function getSubjectNodeId() {
+  const { payload } = github.context;
+  return payload.issue?.node_id || payload.pull_request?.node_id || '';
+}
+
+/**
+ * Resolves the issues linked to the event's branch and PR, and sets them as outputs
+ * @param {Object} inputs - Command inputs
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<Object[]>} Linked issues
+ */
+async function getLinkedIssues(inputs, config) {
+  const { payload, repo } = github.context;
+  const issues = await resolveLinkedIssues(createOctokit(inputs.token), {
+    owner: repo.owner,
+    repo: repo.repo,
+    branch: inputs.branch || getEventBranch(),
+    regex: config.issue_branch_regex,
+    pullRequest: payload.pull_request
+  });
+
+  setOutputs({
+    issue_node_ids: issues.map(issue => issue.nodeId).join(','),
+    issue_refs: issues.map(issue => formatIssueReference(issue, repo)).join(',')
+  });
+  return issues;
+}
+
+/**
+ * Returns the issues a command applies to
+ * Uses the issue-node-ids input, the triggering issue, or the issues linked to the branch and PR
+ * @param {Object} inputs - Command inputs
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<string>} Comma-separated issue node IDs
+ */
+async function getIssueNodeIds(inputs, config) {
+  if (inputs['issue-node-ids']) {
+    return inputs['issue-node-ids'];
+  }
+
+  const { payload } = github.context;
+  if (payload.issue && !payload.issue.pull_request) {
+    return payload.issue.node_id;
+  }
+
+  const issues = await getLinkedIssues(inputs, config);
+  return issues.map(issue => issue.nodeId).join(',');
+}
+
+/**
+ * Returns the references of the issues a command applies to
+ * Uses the triggering issue, or the issues linked to the branch and PR
+ * @param {Object} inputs - Command inputs
+ * @param {Object} config - Resolved configuration
+ * @returns {Promise<string>} Comma-separated issue references
+ */
+async function getIssueRefs(inputs, config) {
+  const { payload, repo } = github.context;
+  if (payload.issue && !payload.issue.pull_request) {
+    return `#${payload.issue.number}`;
+  }
+
+  const issues = await getLinkedIssues(inputs, config);
+  return issues.map(issue => formatIssueReference(issue, repo)).join(',');
+}
+
+/**
+ * Commands of the action
+ * Each maps the inputs and configuration to the environment of the script it runs
+ */
+const COMMANDS = {
+  'add-to-project': {
+    run: addToProject,
+    env: ({ inputs }) => ({ CONTENT_ID: inputs['content-id'] || getSubjectNodeId() })
+  },
+  'set-domain': {
+    run: addDomain,
+    env: ({ inputs, config }) => ({ DOMAIN: config.domain, DOMAIN_RULES: domainRulesEnv(config), ITEM_ID: inputs['item-id'] })
+  },
+  'find-fields': {
+    run: findFields,
+    env: ({ inputs, config }) => ({ FIELD_NAME: inputs.field || config.field_name, OPTION_NAME: inputs.value })
+  },
+  'find-issue': {
+    run: findIssue,
+    requiresProject: false,
+    env: ({ inputs, config }) => ({ BRANCH: inputs.branch || getEventBranch(), REGEX: config.issue_branch_regex })
+  },
+  move: {
+    run: moveIssue,
+    updatesIssues: true,
+    env: async ({ inputs, config }) => {
+      const fieldName = inputs.field || config.field_name;
+      const optionName = STATUS_KEYS.includes(inputs.value.toLowerCase()) ? config[inputs.value.toLowerCase()] : inputs.value;
+      if (!optionName) {
+        throw new Error('The move command requires a value input with the option to move to');
+      }
+
+      const { fieldId, optionId } = await findProjectFields(createOctokit(inputs.token), config.project_id, fieldName, optionName);
+      return {
+        FIELD_ID: fieldId,
+        OPTION_ID: optionId,
+        ISSUE_NODE_IDS: await getIssueNodeIds(inputs, config),
+        STATUS_HISTORY: String(config.status_history),
+        WIP_LIMITS: wipLimitsEnv(config),
+        WIP_ENFORCEMENT: config.wip_enforcement
+      };
+    }
+  },
+  'set-date': {
+    run: setDate,
+    updatesIssues: true,
+    env: async ({ inputs, config }) => ({
+      FIELD_NAME: inputs.field || config.date_field,
+      DATE_VALUE: inputs.value,
+      ISSUE_NODE_IDS: await getIssueNodeIds(inputs, config)
+    })
+  },
+  'set-field': {
+    run: setField,
+    updatesIssues: true,
+    env: async ({ inputs, config }) => ({
+      FIELD_NAME: inputs.field,
+      VALUE: inputs.value,
+      CLEAR: inputs.clear,
+      ITEM_ID: inputs['item-id'],
+      ISSUE_NODE_IDS: inputs['item-id'] ? '' : await getIssueNodeIds(inputs, config)
+    })
+  },
+  'review-state': {
+    run: reviewState,
+    requiresProject: false,
+    env: ({ config }) => ({ FIXING: config.fixing, REVIEW: config.review, APPROVED: config.approved })
+  },
+  revert: {
+    run: revertPR,
+    requiresProject: false,
+    env: ({ config }) => ({ REGEX: config.issue_branch_regex, ...environmentsEnv(config) })
+  },
+  'remove-from-project': {
+    run: removePRFromProject,
+    env: ({ inputs }) => ({ PR_NODE_ID: inputs['pr-node-id'] || github.context.payload.pull_request?.node_id })
+  },
+  promote: {
+    run: stagingToProduction,
+    requiresProject: false,
+    env: async ({ inputs, config }) => ({
+      ...environmentsEnv(config),
+      REGEX: config.issue_branch_regex,
+      CHANGELOG: Array.isArray(config.changelog) ? JSON.stringify(config.changelog) : config.changelog,
+      CHANGELOG_FILE: config.changelog_file,
+      // The changelog groups releases by the project's Domain field, when there is a project
+      PROJECT_ID: config.changelog && (config.project_id || config.project_url || config.project_owner)
+        ? await resolveConfiguredProject(config, inputs.token)
+        : undefined
+    })
+  },
+  'open-promotion-pr': {
+    run: openPromotionPR,
+    requiresProject: false,
+    env: ({ inputs, config }) => ({
+      ...environmentsEnv(config),
+      BRANCH: inputs.branch || github.context.payload.pull_request?.base?.ref || getEventBranch()
+    })
+  },
+  'run-rules': {
+    run: runRules,
+    env: ({ inputs, config }) => ({ RULES_FILE: inputs['rules-file'], ISSUE_BRANCH_REGEX: config.issue_branch_regex })
+  },
+  'status-report': {
+    run: statusReport,
+    env: ({ config }) => ({
+      DOING: config.doing,
+      REVIEW: config.review,
+      APPROVED: config.approved,
+      DONE: config.done,
+      ...environmentsEnv(config),
+      REPORT_DIR: process.env.RUNNER_TEMP ? `${process.env.RUNNER_TEMP}/status-report` : undefined
+    })
+  },
+  assign: {
+    run: assign,
+    requiresProject: false,
+    updatesIssues: true,
+    env: async ({ inputs, config }) => {
+      const { payload } = github.context;
+      return {
+        ASSIGNEE: inputs.value || payload.pull_request?.user?.login || payload.sender?.login,
+        ISSUE_REFS: await getIssueRefs(inputs, config)
+      };
+    }
+  },
+  'set-reviewers': {
+    run: setReviewers,
+    env: async ({ inputs, config }) => ({
+      REVIEWERS_FIELD: inputs.field || config.reviewers_field,
+      PR_NUMBER: github.context.payload.pull_request?.number,
+      ISSUE_NODE_IDS: await getIssueNodeIds(inputs, config)
+    })
+  },
+  rollup: {
+    run: rollupSubIssues,
+    updatesIssues: true,
+    env: async ({ inputs, config }) => ({
+      FIELD_NAME: config.field_name,
+      DOING: config.doing,
+      REVIEW: config.review,
+      FIXING: config.fixing,
+      APPROVED: config.approved,
+      DONE: config.done,
+      ...environmentsEnv(config),
+      START_DATE_FIELD: config.start_date_field,
+      END_DATE_FIELD: config.end_date_field,
+      PROGRESS_FIELD: inputs.field || config.progress_field,
+      STATUS_HISTORY: String(config.status_history),
+      ISSUE_NODE_IDS: await getIssueNodeIds(inputs, config)
+    })
+  },
+  reconcile: {
+    run: reconcile,
+    env: ({ inputs, config }) => ({
+      CLOSED_SINCE_DAYS: inputs['closed-since-days'],
+      REGEX: config.issue_branch_regex,
+      DOMAIN: config.domain,
+      DOMAIN_RULES: domainRulesEnv(config),
+      FIELD_NAME: config.field_name,
+      DOING: config.doing,
+      REVIEW: config.review,
+      FIXING: config.fixing,
+      APPROVED: config.approved,
+      DONE: config.done,
+      ...environmentsEnv(config),
+      DATE_FIELD: config.date_field,
+      START_DATE_FIELD: config.start_date_field,
+      END_DATE_FIELD: config.end_date_field,
+      STATUS_HISTORY: String(config.status_history)
+    })
+  },
+  hygiene: {
+    run: boardHygiene,
+    env: ({ config }) => ({
+      REGEX: config.issue_branch_regex,
+      FIELD_NAME: config.field_name,
+      DOING: config.doing,
+      REVIEW: config.review,
+      FIXING: config.fixing,
+      APPROVED: config.approved,
+      DONE: config.done,
+      ...environmentsEnv(config),
+      STALE_DAYS: typeof config.stale_days === 'object' ? JSON.stringify(config.stale_days) : config.stale_days,
+      STALE_ACTIONS: [].concat(config.stale_actions || []).join(','),
+      STALE_LABEL: config.stale_label,
+      STALE_STATUS: config.stale_status,
+      STATUS_HISTORY: String(config.status_history)
+    })
+  },
+  rollover: {
+    run: rolloverIterations,
+    env: ({ config }) => ({
+      ITERATION_FIELD: config.iteration_field,
+      ROLLOVER_STATUSES: [].concat(config.rollover_statuses || []).join(','),
+      DOING: config.doing,
+      REVIEW: config.review,
+      FIELD_NAME: config.field_name
+    })
+  }
+};
+
+/**
+ * Inputs of a command that are not configuration options
+ */
+const COMMAND_INPUTS = ['token', 'field', 'value', 'clear', 'content-id', 'item-id', 'issue-node-ids', 'pr-node-id', 'branch', 'rules-file', 'closed-since-days'];
+
+/**
+ * Main function of the action
+ */
+async function runAction() {
+  const command = core.getInput('command', { required: true });
+  const definition = COMMANDS[command];
+  if (!definition) {
+    throw new Error(`Unknown command '${command}'. Expected one of: ${Object.keys(COMMANDS).join(', ')}`);
+  }
+
+  const inputs = Object.fromEntries(COMMAND_INPUTS.map(name => [name, core.getInput(name)]));
+  if (!inputs.token) {
+    throw new Error('Input required and not supplied: token');
+  }
+
+  // Every schema option is also an input, e.g. FIELD_NAME as field-name
+  const configInputs = Object.fromEntries(
+    Object.keys(CONFIG_SCHEMA.properties)
+      .filter(key => key !== '$schema')
+      .map(key => [key.toLowerCase(), core.getInput(key.toLowerCase().replace(/_/g, '-'))])
+  );
+  const requiresProject = definition.requiresProject !== false;
+  const config = readConfig(configInputs, core.getInput('config-file') || '.github/config.json', process.env.ORG_CONFIG, { requiresProject });
+  if (!config) {
+    throw new Error('Configuration could not be loaded');
+  }
+
+  if (requiresProject) {
+    config.project_id = await resolveConfiguredProject(config, inputs.token);
+  }
+
+  const env = {
+    GITHUB_TOKEN: inputs.token,
+    PROJECT_ID: config.project_id,
+    DRY_RUN: String(config.dry_run) === 'true' ? 'true' : undefined,
+    ...(await definition.env({ inputs, config }))
+  };
+  for (const [key, value] of Object.entries(env)) {
+    if (value !== undefined && value !== '') {
+      process.env[key] = value;
+    }
+  }
+
+  // Nothing to update when the event links no issues, as in the workflows
+  if (definition.updatesIssues && !env.ISSUE_NODE_IDS && !env.ITEM_ID && !env.ISSUE_REFS) {
+    core.info(`ℹ️ No linked issues found - skipping '${command}'`);
+    return;
+  }
+
+  core.info(`▶️ Running command '${command}'`);
+  await definition.run();
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { COMMANDS, runAction };
+
+if (require.main === module) {
+  executeScript(runAction, 'Project Automation Action');
+}
@@ -1,6 +1,7 @@
 /**
  * Add domain value to project item
- * Sets the Domain field for an issue or project item in GitHub Projects V2
+ * Sets the Domain field for an issue, PR or project item in GitHub Projects V2, from the
+ * first DOMAIN_RULES rule that matches the issue or PR, or the DOMAIN fallback
  */
 
 const core = require('@actions/core');
@@ -8,52 +9,101 @@ const github = require('@actions/github');
 const { 
   validateEnvironmentVariables, 
   createOctokit, 
+  resolveProjectId,
   findProjectFields,
+  getProjectFields,
   findIssueProjectItem,
+  findPRProjectItem,
   withRetry,
+  runMutation,
   executeScript,
   GRAPHQL_QUERIES
 } = require('./shared-utils');
+const { parseDomainRules, loadIssueTemplates, resolveDomain } = require('./domain-rules');
+
+/**
+ * Sets the Domain field of a project item
+ * Warns instead of failing when the field has no such option, so a rule naming a
+ * missing option does not break the rest of the run
+ * @param {Object} octokit - Octokit instance
+ * @param {string} projectId - Project ID
+ * @param {string} itemId - Project item ID
+ * @param {string} domainValue - Domain option name
+ * @returns {Promise<boolean>} True if the field was set
+ */
+async function setDomain(octokit, projectId, itemId, domainValue) {
+  // Find Domain field and option; the options may have changed since they were cached
+  let { field } = await findProjectFields(octokit, projectId, 'Domain');
+  let option = field.options?.find(candidate => candidate.name === domainValue);
+  if (!option) {
+    const fields = await getProjectFields(octokit, projectId, { refresh: true });
+    field = fields.find(candidate => candidate.name === 'Domain') || field;
+    option = field.options?.find(candidate => candidate.name === domainValue);
+  }
+  if (!option) {
+    const options = (field.options || []).map(candidate => candidate.name).join(', ');
+    core.warning(`⚠️ The Domain field has no option "${domainValue}" (options: ${options || 'none'}) - add it to the project or fix DOMAIN/DOMAIN_RULES`);
+    return false;
+  }
+
+  // Update the Domain field value
+  const variables = { projectId, itemId, fieldId: field.id, optionId: option.id };
+  await runMutation(
+    () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_FIELD, variables),
+    { operation: 'updating domain field', variables }
+  );
+  return true;
+}
+
+/**
+ * Reads the current Domain of a project item
+ * @param {Object} octokit - Octokit instance
+ * @param {string} itemId - Project item ID
+ * @returns {Promise<string|null>} Domain option name, or null when empty
+ */
+async function getItemDomain(octokit, itemId) {
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_ITEM_STATUS, { itemId }),
+    { operation: 'reading project item domain' }
+  );
+  const value = result.item?.fieldValues.nodes.find(node => node?.field?.name === 'Domain');
+  return value?.name || null;
+}
 
 /**
  * Main function to add domain to project item
  */
 async function addDomain() {
   // Validate required environment variables
-  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'DOMAIN']);
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID']);
 
   const token = process.env.GITHUB_TOKEN;
-  const projectId = process.env.PROJECT_ID;
-  const domainValue = process.env.DOMAIN;
+  const fallback = process.env.DOMAIN;
+  const rules = parseDomainRules(process.env.DOMAIN_RULES);
   const providedItemId = process.env.ITEM_ID;
+  if (!fallback && rules.length === 0) {
+    throw new Error('Missing required environment variables: DOMAIN or DOMAIN_RULES');
+  }
 
   const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+  const { owner, repo } = github.context.repo;
+  const { payload } = github.context;
 
-  // Get content ID and issue number if not using provided item ID
-  let contentId, issueNumber;
-  if (!providedItemId) {
-    issueNumber = github.context.payload.issue?.number;
-    if (!issueNumber) {
-      throw new Error('No issue number found in context and no ITEM_ID provided');
-    }
-
-    const owner = github.context.repo.owner;
-    const repo = github.context.repo.repo;
-    
+  // Get the triggering issue or PR; the issue is fetched for its current labels and body
+  let content = payload.pull_request;
+  if (!content && payload.issue?.number) {
     const { data: issue } = await withRetry(
-      () => octokit.rest.issues.get({ owner, repo, issue_number: issueNumber }),
+      () => octokit.rest.issues.get({ owner, repo, issue_number: payload.issue.number }),
       { operation: 'fetching issue data' }
     );
-    contentId = issue.node_id;
+    content = issue;
   }
-
-  // Find Domain field and option
-  const { fieldId, optionId } = await findProjectFields(
-    octokit, 
-    projectId, 
-    'Domain', 
-    domainValue
-  );
+  if (!content && !providedItemId) {
+    throw new Error('No issue or PR found in context and no ITEM_ID provided');
+  }
+  const kind = payload.pull_request ? 'PR' : 'issue';
+  const reference = content ? ` for ${kind} #${content.number}` : ' for project item';
 
   // Find or use project item
   let item;
@@ -61,25 +111,41 @@ async function addDomain() {
     item = { id: providedItemId };
     core.info(`📌 Using provided item ID: ${providedItemId}`);
   } else {
-    item = await findIssueProjectItem(octokit, contentId, projectId);
+    item = kind === 'PR'
+      ? await findPRProjectItem(octokit, content.node_id, projectId)
+      : await findIssueProjectItem(octokit, content.node_id, projectId);
     if (!item) {
-      throw new Error(`Project item for issue #${issueNumber} not found in project ${projectId}`);
+      throw new Error(`Project item for ${kind} #${content.number} not found in project ${projectId}`);
     }
   }
 
-  // Update the Domain field value
-  await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_FIELD, {
-      projectId,
-      itemId: item.id,
-      fieldId,
-      optionId
-    }),
-    { operation: 'updating domain field' }
-  );
+  const { domain, rule } = content && rules.length > 0
+    ? await resolveDomain(octokit, content, { owner, repo, rules, templates: loadIssueTemplates(), fallback })
+    : { domain: fallback || null, rule: null };
+  if (!domain) {
+    core.info(`ℹ️ No DOMAIN_RULES rule matches${reference} and there is no DOMAIN fallback - leaving the Domain field alone`);
+    return;
+  }
+
+  // The fallback only fills an empty field, so it never overrides a domain set by hand or by a rule
+  const current = await getItemDomain(octokit, item.id);
+  if (current === domain) {
+    core.info(`ℹ️ Domain is already "${domain}"${reference}`);
+    return;
+  }
+  if (!rule && current) {
+    core.info(`ℹ️ No DOMAIN_RULES rule matches${reference} - keeping Domain "${current}"`);
+    return;
+  }
 
-  core.info(`✅ Set Domain field to "${domainValue}"${issueNumber ? ` for issue #${issueNumber}` : ' for project item'}`);
+  if (await setDomain(octokit, projectId, item.id, domain)) {
+    core.info(`✅ Set Domain field to "${domain}"${reference}${rule ? ' (DOMAIN_RULES)' : ''}`);
+  }
 }
 
-// Execute script with error handling
-executeScript(addDomain, 'Add Domain Script');
\ No newline at end of file
+// Export for use in other scripts and run main if called directly
+module.exports = { addDomain, setDomain };
+
+if (require.main === module) {
+  executeScript(addDomain, 'Add Domain Script');
+}
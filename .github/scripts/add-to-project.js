@@ -7,7 +7,9 @@ const core = require('@actions/core');
 const { 
   validateEnvironmentVariables, 
   createOctokit, 
-  withRetry,
+  resolveProjectId,
+  cacheProjectItem,
+  runMutation,
   setOutputs,
   executeScript,
   GRAPHQL_QUERIES
@@ -21,24 +23,33 @@ async function addToProject() {
   validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'CONTENT_ID']);
 
   const token = process.env.GITHUB_TOKEN;
-  const projectId = process.env.PROJECT_ID;
   const contentId = process.env.CONTENT_ID;
 
   const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
 
   // Add content to project with retry logic
-  const result = await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.ADD_TO_PROJECT, { projectId, contentId }),
-    { operation: 'adding content to project' }
+  const variables = { projectId, contentId };
+  const result = await runMutation(
+    () => octokit.graphql(GRAPHQL_QUERIES.ADD_TO_PROJECT, variables),
+    { operation: 'adding content to project', variables }
   );
 
-  const itemId = result.addProjectV2ItemById.item.id;
+  // A dry run has no real item; later steps skip their mutations anyway
+  const itemId = result ? result.addProjectV2ItemById.item.id : 'dry-run-item';
+  if (result) {
+    cacheProjectItem(projectId, contentId, itemId);
+  }
   
   core.info(`✅ Added content ${contentId} to project ${projectId}`);
   
   // Set outputs for downstream steps
-  setOutputs({ itemId });
+  setOutputs({ item_id: itemId });
 }
 
-// Execute script with error handling
-executeScript(addToProject, 'Add to Project Script');
\ No newline at end of file
+// Export for use in other scripts and run main if called directly
+module.exports = { addToProject };
+
+if (require.main === module) {
+  executeScript(addToProject, 'Add to Project Script');
+}
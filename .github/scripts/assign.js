@@ -0,0 +1,75 @@
+/**
+ * Assign issues and PRs
+ * Adds a user, such as the branch creator or the PR author, as the assignee of the
+ * issues and PRs that have none
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  parseIssueReference,
+  formatIssueReference,
+  parseList,
+  withRetry,
+  runMutation,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+
+/**
+ * Main function to assign a user to issues and PRs
+ */
+async function assign() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'ASSIGNEE', 'ISSUE_REFS']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const assignee = process.env.ASSIGNEE;
+  const defaultRepo = github.context.repo;
+  const references = parseList(process.env.ISSUE_REFS)
+    .map(reference => parseIssueReference(reference, defaultRepo))
+    .filter(Boolean);
+
+  // Bots create branches and PRs for dependency updates and releases, nobody works on those
+  if (assignee.endsWith('[bot]')) {
+    core.info(`ℹ️ ${assignee} is a bot - not assigning it`);
+    setOutputs({ assigned: '0' });
+    return;
+  }
+
+  const octokit = createOctokit(token);
+
+  let assigned = 0;
+  for (const reference of references) {
+    const label = formatIssueReference(reference, defaultRepo);
+    const { owner, repo, number } = reference;
+
+    const { data: issue } = await withRetry(
+      () => octokit.rest.issues.get({ owner, repo, issue_number: number }),
+      { operation: `fetching ${label}` }
+    );
+    if (issue.assignees.length > 0) {
+      core.info(`ℹ️ ${label} is already assigned to ${issue.assignees.map(user => user.login).join(', ')}`);
+      continue;
+    }
+
+    const variables = { owner, repo, issue_number: number, assignees: [assignee] };
+    await runMutation(
+      () => octokit.rest.issues.addAssignees(variables),
+      { operation: `assigning ${assignee} to ${label}`, variables }
+    );
+    core.info(`✅ Assigned ${assignee} to ${label}`);
+    assigned++;
+  }
+
+  setOutputs({ assigned: assigned.toString() });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { assign };
+
+if (require.main === module) {
+  executeScript(assign, 'Assign Script');
+}
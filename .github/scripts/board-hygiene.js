@@ -0,0 +1,295 @@
+/**
+ * Flag stale items on the board
+ * Scans every project item and flags the ones stuck in a status for longer than
+ * STALE_DAYS, in "Doing" without a branch or in review without an open PR; then
+ * labels, comments on or moves them back as STALE_ACTIONS says, and reports them
+ * in the job summary
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  getProjectFields,
+  listProjectItems,
+  formatIssueReference,
+  withRetry,
+  runMutation,
+  parseList,
+  getStage,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { resolveEnvironments } = require('./environments');
+const { collectEvidence } = require('./issue-resolver');
+const { setProjectFieldValue } = require('./project-fields');
+const { recordStatusChange } = require('./status-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * What can be done with a stale item; report only lists it in the job summary
+ */
+const STALE_ACTIONS = ['report', 'label', 'comment', 'move'];
+
+/**
+ * Hidden marker of the stale comment, so an item is only commented on once
+ */
+const STALE_MARKER = '<!-- project-automation:stale -->';
+
+/**
+ * Parses the STALE_DAYS option
+ * @param {string} value - Days as a number, or a JSON object of days by status name
+ * @returns {Function} Returns the days an item may stay in a status, or null when it never goes stale there
+ */
+function parseStaleDays(value) {
+  const trimmed = (value || '').trim();
+  if (trimmed.startsWith('{')) {
+    const byStatus = JSON.parse(trimmed);
+    return status => (byStatus[status] === undefined ? null : Number(byStatus[status]));
+  }
+
+  const days = trimmed ? Number(trimmed) : 14;
+  if (!Number.isFinite(days)) {
+    throw new Error(`STALE_DAYS must be a number of days or an object of days by status, got '${value}'`);
+  }
+  return () => days;
+}
+
+/**
+ * Works out what is wrong with one item
+ * @param {Object} item - Project item from listProjectItems
+ * @param {Object} options - Check options
+ * @param {Date} options.now - Current time
+ * @param {string} options.statusField - Status field name
+ * @param {Object} options.statuses - Status names ({ doing, review, fixing, approved, done, released })
+ * @param {Function} options.staleDays - Days allowed in a status, from parseStaleDays
+ * @param {Map|null} options.evidence - Branches and open PRs by issue reference, or null to skip those checks
+ * @param {Object} options.defaultRepo - Repository the evidence was collected from
+ * @returns {string[]} Problems, empty when the item is fine
+ */
+function findProblems(item, { now, statusField, statuses, staleDays, evidence, defaultRepo }) {
+  const value = item.fields[statusField];
+  const status = value?.name;
+  const stage = getStage(status, statuses);
+  // Only items being worked on can go stale
+  if (stage === 0 || stage === 3) {
+    return [];
+  }
+
+  const problems = [];
+  const days = staleDays(status);
+  const age = Math.floor((now - new Date(value.updatedAt || item.updatedAt)) / DAY_MS);
+  if (days !== null && age > days) {
+    problems.push(`in ${status} for ${age} days`);
+  }
+
+  const { content } = item;
+  if (content.type === 'pull_request') {
+    if (stage === 2 && content.state !== 'OPEN') {
+      problems.push('PR is no longer open');
+    }
+    return problems;
+  }
+
+  // Branches and PRs are only known for the issues of this repository
+  const sameRepo = content.owner === defaultRepo.owner && content.repo === defaultRepo.repo;
+  if (evidence && sameRepo) {
+    const found = evidence.get(formatIssueReference(content)) || { branches: [], openPullRequests: [] };
+    if (stage === 1 && found.branches.length === 0) {
+      problems.push('no branch');
+    }
+    if (stage === 2 && found.openPullRequests.length === 0) {
+      problems.push('no open PR');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Comments on a stale issue or PR, mentioning its assignees, unless it already has the stale comment
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} entry - Stale entry with content, reference and problems
+ */
+async function commentOnStaleItem(octokit, { content, reference, problems }) {
+  const issue = { owner: content.owner, repo: content.repo, issue_number: content.number };
+  const comments = await withRetry(
+    () => octokit.paginate(octokit.rest.issues.listComments, { ...issue, per_page: 100 }),
+    { operation: `listing comments of ${reference}` }
+  );
+  if (comments.some(comment => (comment.body || '').includes(STALE_MARKER))) {
+    core.info(`ℹ️ ${reference} already has a stale comment - skipping`);
+    return;
+  }
+
+  const mentions = content.assignees.map(login => `@${login} `).join('');
+  const body = `${STALE_MARKER}\n${mentions}This ${content.type === 'pull_request' ? 'PR' : 'issue'} looks stale on the project board: ${problems.join(', ')}. Please update its status, or close it if it is no longer needed.`;
+  const variables = { ...issue, body };
+  await runMutation(
+    () => octokit.rest.issues.createComment(variables),
+    { operation: `commenting on stale ${reference}`, variables }
+  );
+}
+
+/**
+ * Applies the configured actions to one stale item
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} entry - Stale entry with item, content, reference, status and problems
+ * @param {Object} options - { projectId, actions, label, statusField, moveTo, fields, recordHistory }
+ */
+async function applyStaleActions(octokit, entry, { projectId, actions, label, statusField, moveTo, fields, recordHistory }) {
+  const { content, reference } = entry;
+
+  if (actions.includes('label')) {
+    const variables = { owner: content.owner, repo: content.repo, issue_number: content.number, labels: [label] };
+    await runMutation(
+      () => octokit.rest.issues.addLabels(variables),
+      { operation: `labelling stale ${reference}`, variables }
+    );
+  }
+
+  if (actions.includes('comment')) {
+    await commentOnStaleItem(octokit, entry);
+  }
+
+  if (actions.includes('move') && entry.status !== moveTo) {
+    await setProjectFieldValue(octokit, {
+      projectId,
+      itemId: entry.item.id,
+      field: fields.find(field => field.name === statusField),
+      value: moveTo
+    });
+
+    // A failed history update must not fail the clean-up itself
+    if (recordHistory && content.type === 'issue') {
+      try {
+        await recordStatusChange(octokit, content, { from: entry.status, to: moveTo });
+      } catch (error) {
+        core.warning(`⚠️ Could not record status history of ${reference}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Builds the job summary table of the stale items
+ * @param {Object[]} stale - Stale entries
+ * @returns {string} Markdown table
+ */
+function buildStaleReport(stale) {
+  return [
+    '| Item | Status | Problems | Assignees |',
+    '|---|---|---|---|',
+    ...stale.map(entry => `| [${entry.reference}](${entry.content.url}) ${entry.content.title} | ${entry.status} | ${entry.problems.join(', ')} | ${entry.content.assignees.map(login => `@${login}`).join(', ') || '-'} |`)
+  ].join('\n');
+}
+
+/**
+ * Main function to flag stale items on the board
+ */
+async function boardHygiene() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const regex = process.env.REGEX;
+  const staleDays = parseStaleDays(process.env.STALE_DAYS);
+  const label = process.env.STALE_LABEL || 'stale';
+  const moveTo = process.env.STALE_STATUS || 'Todo';
+  const recordHistory = process.env.STATUS_HISTORY === 'true';
+  const actions = parseList(process.env.STALE_ACTIONS || 'report');
+  const unknown = actions.filter(action => !STALE_ACTIONS.includes(action));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown STALE_ACTIONS: ${unknown.join(', ')} (expected ${STALE_ACTIONS.join(', ')})`);
+  }
+
+  const environments = resolveEnvironments({
+    environments: process.env.ENVIRONMENTS,
+    stagingLabel: process.env.STAGING_LABEL,
+    productionLabel: process.env.PRODUCTION_LABEL
+  });
+  const statuses = {
+    doing: process.env.DOING || 'Doing',
+    review: process.env.REVIEW || 'Review',
+    fixing: process.env.FIXING || 'Fixes',
+    approved: process.env.APPROVED,
+    done: process.env.DONE || 'Done',
+    released: environments.map(environment => environment.status).filter(Boolean)
+  };
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+  const defaultRepo = github.context.repo;
+
+  const fields = await getProjectFields(octokit, projectId);
+  const statusField = process.env.FIELD_NAME || 'Status';
+  if (!fields.some(field => field.name === statusField)) {
+    throw new Error(`Field '${statusField}' not found in project ${projectId}`);
+  }
+
+  const items = (await listProjectItems(octokit, projectId)).filter(item => item.content);
+
+  // Branches are only matched to issues through the branch regex
+  let evidence = null;
+  if (regex) {
+    const openPullRequests = await withRetry(
+      () => octokit.paginate(octokit.rest.pulls.list, { ...defaultRepo, state: 'open', per_page: 100 }),
+      { operation: 'listing open PRs' }
+    );
+    evidence = await collectEvidence(octokit, { ...defaultRepo, regex, environments, openPullRequests, mergedPullRequests: [] });
+  } else {
+    core.info('ℹ️ No ISSUE_BRANCH_REGEX - not checking for missing branches and PRs');
+  }
+
+  const now = new Date();
+  const stale = [];
+  for (const item of items) {
+    const problems = findProblems(item, { now, statusField, statuses, staleDays, evidence, defaultRepo });
+    if (problems.length > 0) {
+      stale.push({
+        item,
+        content: item.content,
+        reference: formatIssueReference(item.content, defaultRepo),
+        status: item.fields[statusField].name,
+        problems
+      });
+    }
+  }
+
+  if (stale.length === 0) {
+    core.info(`✅ No stale items among ${items.length} item(s)`);
+    setOutputs({ stale: '0', stale_refs: '' });
+    return;
+  }
+
+  core.info(`🧹 ${stale.length} stale item(s):\n${stale.map(entry => `  ${entry.reference} (${entry.status}): ${entry.problems.join(', ')}`).join('\n')}`);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary
+      .addHeading('Stale items', 3)
+      .addRaw(buildStaleReport(stale), true)
+      .write();
+  }
+
+  const options = { projectId, actions, label, statusField, moveTo, fields, recordHistory };
+  for (const entry of stale) {
+    try {
+      await applyStaleActions(octokit, entry, options);
+    } catch (error) {
+      core.warning(`⚠️ Could not clean up ${entry.reference}: ${error.message}`);
+    }
+  }
+
+  setOutputs({
+    stale: stale.length.toString(),
+    stale_refs: stale.map(entry => entry.reference).join(',')
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { boardHygiene, findProblems, parseStaleDays };
+
+if (require.main === module) {
+  executeScript(boardHygiene, 'Board Hygiene Script');
+}
@@ -0,0 +1,278 @@
+/**
+ * Build and publish the changelog of a release
+ * Groups the issues promoted into the last environment by project domain and by
+ * label, links each one and the PRs that shipped it, and writes the Markdown to the
+ * deploy PR body, a draft GitHub Release and/or a changelog file
+ */
+
+const core = require('@actions/core');
+const {
+  findIssueProjectItem,
+  formatIssueReference,
+  withRetry,
+  runMutation,
+  parseList,
+  GRAPHQL_QUERIES
+} = require('./shared-utils');
+
+/**
+ * Where a changelog can be written: deploy PR body, draft release, changelog file
+ */
+const CHANGELOG_TARGETS = ['pr', 'release', 'file'];
+
+/**
+ * Changelog sections, in order, and the issue labels that put an issue in them
+ */
+const CHANGELOG_SECTIONS = [
+  { title: 'Features', labels: ['feature', 'enhancement'] },
+  { title: 'Bug fixes', labels: ['bug', 'fix'] },
+  { title: 'Chores', labels: ['chore', 'maintenance'] }
+];
+
+/**
+ * Section of the issues none of the CHANGELOG_SECTIONS labels match
+ */
+const OTHER_SECTION = 'Other changes';
+
+/**
+ * Markers around the changelog in the deploy PR body, so a rerun replaces it
+ */
+const PR_BODY_START = '<!-- changelog:start -->';
+const PR_BODY_END = '<!-- changelog:end -->';
+
+/**
+ * Parses the CHANGELOG option
+ * @param {string} value - Targets as a JSON array or comma-separated list
+ * @returns {string[]} Targets
+ * @throws {Error} If a target is not one of CHANGELOG_TARGETS
+ */
+function parseChangelogTargets(value) {
+  const targets = parseList(value).map(target => target.toLowerCase());
+  const unknown = targets.filter(target => !CHANGELOG_TARGETS.includes(target));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown CHANGELOG target(s): ${unknown.join(', ')} (expected ${CHANGELOG_TARGETS.join(', ')})`);
+  }
+  return targets;
+}
+
+/**
+ * Reads the domain of an issue from its project item
+ * @param {Object} octokit - Octokit instance
+ * @param {string} issueNodeId - Issue node ID
+ * @param {string} projectId - Project ID
+ * @param {string} domainField - Name of the domain field
+ * @returns {Promise<string|null>} Domain option name, or null if the issue has none
+ */
+async function getIssueDomain(octokit, issueNodeId, projectId, domainField) {
+  const item = await findIssueProjectItem(octokit, issueNodeId, projectId);
+  if (!item) {
+    return null;
+  }
+
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_ITEM_STATUS, { itemId: item.id }),
+    { operation: 'reading project item domain' }
+  );
+  const value = result.item?.fieldValues.nodes.find(node => node?.field?.name === domainField);
+  return value?.name || null;
+}
+
+/**
+ * Picks the changelog section of an issue from its labels
+ * @param {Object[]|string[]} labels - Issue labels
+ * @returns {string} Section title
+ */
+function getSection(labels) {
+  const names = labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+  const section = CHANGELOG_SECTIONS.find(candidate => candidate.labels.some(label => names.includes(label)));
+  return section ? section.title : OTHER_SECTION;
+}
+
+/**
+ * Formats one changelog line: the issue, and the PRs that shipped it
+ * @param {Object} entry - { issue, pullRequests }
+ * @param {Object} defaultRepo - Repository of the current run ({ owner, repo })
+ * @returns {string} Markdown list item
+ */
+function formatEntry({ issue, pullRequests = [] }, defaultRepo) {
+  const reference = formatIssueReference(issue, defaultRepo);
+  const issueLink = issue.html_url ? `[${reference}](${issue.html_url})` : reference;
+  const pullRequestLinks = pullRequests.map(pullRequest => {
+    const pullRequestReference = formatIssueReference(pullRequest, defaultRepo);
+    return pullRequest.html_url ? `[${pullRequestReference}](${pullRequest.html_url})` : pullRequestReference;
+  });
+  return `- ${issue.title} (${issueLink})${pullRequestLinks.length > 0 ? ` in ${pullRequestLinks.join(', ')}` : ''}`;
+}
+
+/**
+ * Builds the Markdown changelog
+ * Entries are grouped by domain when any of them has one, then by section
+ * @param {Object[]} entries - { issue, pullRequests, domain } per promoted issue
+ * @param {Object} options - Changelog options
+ * @param {string} options.title - Changelog heading
+ * @param {Object} options.defaultRepo - Repository of the current run ({ owner, repo })
+ * @returns {string} Markdown changelog
+ */
+function buildChangelog(entries, { title, defaultRepo }) {
+  const lines = [`## ${title}`, ''];
+  if (entries.length === 0) {
+    return [...lines, 'No issues were promoted.', ''].join('\n');
+  }
+
+  const byDomain = entries.some(entry => entry.domain);
+  const domains = byDomain
+    ? [...new Set(entries.map(entry => entry.domain || 'No domain'))].sort()
+    : [null];
+  const sections = [...CHANGELOG_SECTIONS.map(section => section.title), OTHER_SECTION];
+
+  for (const domain of domains) {
+    const domainEntries = byDomain ? entries.filter(entry => (entry.domain || 'No domain') === domain) : entries;
+    if (byDomain) {
+      lines.push(`### ${domain}`, '');
+    }
+
+    for (const section of sections) {
+      const sectionEntries = domainEntries.filter(entry => getSection(entry.issue.labels || []) === section);
+      if (sectionEntries.length > 0) {
+        lines.push(`${byDomain ? '####' : '###'} ${section}`, '', ...sectionEntries.map(entry => formatEntry(entry, defaultRepo)), '');
+      }
+    }
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Puts the changelog in a PR body, replacing the one of an earlier run
+ * @param {string} body - Current PR body
+ * @param {string} markdown - Changelog
+ * @returns {string} New PR body
+ */
+function replaceChangelogSection(body, markdown) {
+  const section = `${PR_BODY_START}\n${markdown.trim()}\n${PR_BODY_END}`;
+  const current = body || '';
+  const start = current.indexOf(PR_BODY_START);
+  const end = current.indexOf(PR_BODY_END);
+  if (start !== -1 && end > start) {
+    return current.slice(0, start) + section + current.slice(end + PR_BODY_END.length);
+  }
+  return current.trim() ? `${current.trim()}\n\n${section}` : section;
+}
+
+/**
+ * Puts the changelog on top of a changelog file, below its title
+ * @param {string} content - Current file content
+ * @param {string} markdown - Changelog
+ * @returns {string} New file content
+ */
+function prependToChangelogFile(content, markdown) {
+  if (!content.trim()) {
+    return `# Changelog\n\n${markdown.trim()}\n`;
+  }
+
+  const title = content.match(/^# .*\n+/);
+  return title
+    ? `${title[0]}${markdown.trim()}\n\n${content.slice(title[0].length)}`
+    : `${markdown.trim()}\n\n${content}`;
+}
+
+/**
+ * Writes the changelog to the body of the deploy PR
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { owner, repo, pullRequest, markdown }
+ */
+async function writeToPullRequest(octokit, { owner, repo, pullRequest, markdown }) {
+  const { data } = await withRetry(
+    () => octokit.rest.pulls.get({ owner, repo, pull_number: pullRequest.number }),
+    { operation: `fetching PR #${pullRequest.number}` }
+  );
+  const variables = { owner, repo, pull_number: pullRequest.number, body: replaceChangelogSection(data.body, markdown) };
+  await runMutation(
+    () => octokit.rest.pulls.update(variables),
+    { operation: `writing the changelog to PR #${pullRequest.number}`, variables }
+  );
+  core.info(`📝 Wrote the changelog to PR #${pullRequest.number}`);
+}
+
+/**
+ * Drafts a GitHub Release with the changelog
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { owner, repo, tag, branch, title, markdown }
+ */
+async function writeToRelease(octokit, { owner, repo, tag, branch, title, markdown }) {
+  const variables = { owner, repo, tag_name: tag, target_commitish: branch, name: title, body: markdown, draft: true };
+  const response = await runMutation(
+    () => octokit.rest.repos.createRelease(variables),
+    { operation: `drafting release ${tag}`, variables }
+  );
+  if (response) {
+    core.info(`📝 Drafted release ${tag}: ${response.data.html_url}`);
+  }
+}
+
+/**
+ * Commits the changelog to the top of a changelog file
+ * The deploy PR has already merged, so this pushes straight to the released branch,
+ * which fails when the branch is protected against the token
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { owner, repo, branch, file, title, markdown }
+ */
+async function writeToFile(octokit, { owner, repo, branch, file, title, markdown }) {
+  let current = { content: '', sha: undefined };
+  try {
+    const { data } = await withRetry(
+      () => octokit.rest.repos.getContent({ owner, repo, path: file, ref: branch }),
+      { operation: `reading ${file}` }
+    );
+    current = { content: Buffer.from(data.content, 'base64').toString('utf8'), sha: data.sha };
+  } catch (error) {
+    if (error.status !== 404) throw error;
+  }
+
+  const variables = {
+    owner,
+    repo,
+    path: file,
+    branch,
+    message: `docs: ${title}`,
+    content: Buffer.from(prependToChangelogFile(current.content, markdown)).toString('base64'),
+    ...(current.sha && { sha: current.sha })
+  };
+  await runMutation(
+    () => octokit.rest.repos.createOrUpdateFileContents(variables),
+    { operation: `committing ${file} to ${branch}`, variables }
+  );
+  core.info(`📝 Added the changelog to ${file} on ${branch}`);
+}
+
+/**
+ * Writes the changelog to every target; a failing target does not stop the others
+ * @param {Object} octokit - Octokit instance
+ * @param {string[]} targets - CHANGELOG targets
+ * @param {Object} options - { owner, repo, pullRequest, branch, tag, file, title, markdown }
+ */
+async function publishChangelog(octokit, targets, options) {
+  const writers = { pr: writeToPullRequest, release: writeToRelease, file: writeToFile };
+
+  for (const target of targets) {
+    if (target === 'pr' && !options.pullRequest) {
+      core.info('ℹ️ No deploy PR to write the changelog to');
+      continue;
+    }
+    try {
+      await writers[target](octokit, options);
+    } catch (error) {
+      core.warning(`⚠️ Could not write the changelog to ${target}: ${error.message}`);
+    }
+  }
+}
+
+module.exports = {
+  CHANGELOG_TARGETS,
+  parseChangelogTargets,
+  getIssueDomain,
+  buildChangelog,
+  replaceChangelogSection,
+  prependToChangelogFile,
+  publishChangelog
+};
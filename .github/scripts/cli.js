@@ -0,0 +1,830 @@
+#!/usr/bin/env node
+/**
+ * Local command line for the automation scripts
+ * `replay` runs the steps of the per-event workflows against a saved webhook payload,
+ * with the same context and environment the workflows give them; `reconcile` runs the
+ * reconcile workflow against a repository
+ *
+ * Usage:
+ *   node .github/scripts/cli.js replay --event pull_request --payload fixtures/pr-closed.json
+ *     [--repo owner/repo] [--rules .github/project-automation.yml] [--input DOING=Doing]
+ *     [--api-url http://localhost:3000] [--dry-run]
+ *   node .github/scripts/cli.js reconcile --repo owner/repo [--closed-since-days 30]
+ *     [--input DOING=Doing] [--api-url http://localhost:3000] [--dry-run]
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseArgs } = require('util');
+const { spawnSync } = require('child_process');
+
+const { resolveEnvironments, findEnvironmentIndex, findPromotion } = require('./environments');
+
+const SCRIPTS_DIR = __dirname;
+
+/**
+ * Steps shared by the workflows that move the linked issues to a status
+ * @param {string|Function} option - Config key of the status option (e.g. 'doing'), or a function returning the option
+ * @param {Function} branch - Returns the branch to resolve issues from
+ * @param {Object[]} beforeMove - Steps to run between finding and moving the issues (optional)
+ * @returns {Object[]} Find-issue, find-fields and move-issue steps
+ */
+function moveLinkedIssuesSteps(option, branch, beforeMove = []) {
+  const optionName = ctx => (typeof option === 'function' ? option(ctx) : ctx.config[option]);
+  const shouldMove = ctx => hasLinkedIssue(ctx) && Boolean(optionName(ctx));
+
+  return [
+    {
+      id: 'linked_issue',
+      name: 'Find task from branch',
+      script: 'find-issue.js',
+      env: ctx => ({ BRANCH: branch(ctx), REGEX: ctx.config.issue_branch_regex })
+    },
+    ...beforeMove,
+    {
+      id: 'get_ids',
+      name: 'Get project field IDs',
+      script: 'find-fields.js',
+      if: shouldMove,
+      env: ctx => ({ FIELD_NAME: ctx.config.field_name, OPTION_NAME: optionName(ctx), PROJECT_ID: ctx.config.project_id })
+    },
+    {
+      name: 'Move task',
+      script: 'move-issue.js',
+      if: shouldMove,
+      env: ctx => ({
+        ISSUE_REFS: ctx.steps.linked_issue.issue_refs,
+        ISSUE_NODE_IDS: ctx.steps.linked_issue.issue_node_ids,
+        FIELD_ID: ctx.steps.get_ids.field_id,
+        OPTION_ID: ctx.steps.get_ids.option_id,
+        PROJECT_ID: ctx.config.project_id,
+        STATUS_HISTORY: ctx.config.status_history,
+        WIP_LIMITS: ctx.config.wip_limits,
+        WIP_ENFORCEMENT: ctx.config.wip_enforcement
+      })
+    }
+  ];
+}
+
+/**
+ * Step assigning a user to issues or PRs without assignees, when AUTO_ASSIGN is on
+ * @param {string} name - Step name
+ * @param {Function} assignee - Returns the login to assign
+ * @param {Function} references - Returns the comma-separated issue or PR references
+ * @param {Function} condition - Extra condition of the step (optional)
+ * @returns {Object} Assign step
+ */
+function assignStep(name, assignee, references, condition = () => true) {
+  return {
+    name,
+    script: 'assign.js',
+    if: ctx => ctx.config.auto_assign === 'true' && condition(ctx),
+    continueOnError: true,
+    env: ctx => ({ ASSIGNEE: assignee(ctx), ISSUE_REFS: references(ctx) })
+  };
+}
+
+/**
+ * Step rolling the moved issues up to their parent issues, when SUB_ISSUE_ROLLUP is on
+ * @param {Function} issueNodeIds - Returns the comma-separated node IDs of the moved issues
+ * @param {Function} condition - Condition of the move step
+ * @returns {Object} Roll-up step
+ */
+function rollupStep(issueNodeIds, condition) {
+  return {
+    name: 'Roll up sub-issues to parent issues',
+    script: 'rollup-sub-issues.js',
+    if: ctx => condition(ctx) && ctx.config.sub_issue_rollup === 'true',
+    continueOnError: true,
+    env: ctx => ({
+      ISSUE_NODE_IDS: issueNodeIds(ctx),
+      PROJECT_ID: ctx.config.project_id,
+      FIELD_NAME: ctx.config.field_name,
+      DOING: ctx.config.doing,
+      REVIEW: ctx.config.review,
+      FIXING: ctx.config.fixing,
+      APPROVED: ctx.config.approved,
+      DONE: ctx.config.done,
+      ENVIRONMENTS: ctx.config.environments,
+      START_DATE_FIELD: ctx.config.start_date_field,
+      END_DATE_FIELD: ctx.config.end_date_field,
+      PROGRESS_FIELD: ctx.config.progress_field,
+      STATUS_HISTORY: ctx.config.status_history
+    })
+  };
+}
+
+/**
+ * Step resolving the environments, as the workflows do before their environment-aware steps
+ * @param {Function} branch - Returns the branch to find the environment of (optional)
+ * @returns {Object} Environments step
+ */
+function environmentsStep(branch = null) {
+  return {
+    id: 'environments',
+    name: 'Resolve environments',
+    script: 'environments.js',
+    env: ctx => ({
+      ENVIRONMENTS: ctx.config.environments,
+      STAGING_LABEL: ctx.config.staging_label,
+      PRODUCTION_LABEL: ctx.config.production_label,
+      ...(branch && { BRANCH: branch(ctx) })
+    })
+  };
+}
+
+/**
+ * Checks whether the find-issue step found at least one issue
+ * @param {Object} ctx - Replay context
+ * @returns {boolean} True if an issue is linked
+ */
+function hasLinkedIssue(ctx) {
+  return Boolean(ctx.steps.linked_issue?.issue_number);
+}
+
+/**
+ * Resolves the environments of the replayed configuration
+ * @param {Object} config - Outputs of the read-config step
+ * @returns {Object[]} Environments with name, branches, label and status
+ */
+function getEnvironments(config) {
+  return resolveEnvironments({
+    environments: config.environments,
+    stagingLabel: config.staging_label,
+    productionLabel: config.production_label
+  });
+}
+
+/**
+ * Checks whether a branch belongs to one of the environments, like the deployment PRs' heads
+ * @param {Object} config - Outputs of the read-config step
+ * @param {string} branch - Branch name
+ * @returns {boolean} True for environment branches
+ */
+function isEnvironmentBranch(config, branch) {
+  return findEnvironmentIndex(getEnvironments(config), branch) !== -1;
+}
+
+/**
+ * Environment of the base branch of the replayed PR
+ * @param {Object} ctx - Replay context
+ * @returns {Object|undefined} Environment the PR was merged into
+ */
+function getBaseEnvironment(ctx) {
+  const environments = getEnvironments(ctx.config);
+  return environments[findEnvironmentIndex(environments, ctx.payload.pull_request.base.ref)];
+}
+
+/**
+ * Pull request actions that change the review state besides reviews themselves
+ */
+const REVIEW_STATE_ACTIONS = ['review_requested', 'review_request_removed', 'synchronize'];
+
+/**
+ * Actions that can change the domain DOMAIN_RULES derive, per event
+ */
+const DOMAIN_SYNC_ACTIONS = {
+  issues: ['labeled', 'unlabeled', 'edited'],
+  pull_request: ['labeled', 'unlabeled', 'synchronize']
+};
+
+/**
+ * Per-event workflows, mirroring the jobs of project-automation-main.yml
+ * Each has a condition on the event and the steps of its reusable workflow;
+ * inline github-script steps are listed as skipped. The tests fail when a workflow's
+ * scripts no longer match its steps here
+ */
+const WORKFLOWS = [
+  {
+    name: 'run-rules',
+    when: ({ rulesFile }) => Boolean(rulesFile),
+    steps: [
+      {
+        name: 'Apply matching rules',
+        script: 'run-rules.js',
+        env: ctx => ({ RULES_FILE: ctx.rulesFile, ISSUE_BRANCH_REGEX: ctx.config.issue_branch_regex, PROJECT_ID: ctx.config.project_id })
+      }
+    ]
+  },
+  {
+    name: 'branch-created',
+    when: ({ event }) => event === 'create',
+    steps: [
+      // Assign first, so per-assignee WIP limits count the new assignee
+      ...moveLinkedIssuesSteps('doing', ctx => ctx.payload.ref, [
+        assignStep('Assign branch creator to task', ctx => ctx.payload.sender.login, ctx => ctx.steps.linked_issue.issue_refs, hasLinkedIssue)
+      ]),
+      {
+        name: 'Set current date in Start field',
+        script: 'set-date.js',
+        if: hasLinkedIssue,
+        env: ctx => ({ ISSUE_NODE_IDS: ctx.steps.linked_issue.issue_node_ids, PROJECT_ID: ctx.config.project_id, FIELD_NAME: ctx.config.start_date_field })
+      },
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, hasLinkedIssue),
+      {
+        name: 'Set current iteration',
+        script: 'set-field.js',
+        if: ctx => hasLinkedIssue(ctx) && Boolean(ctx.config.iteration_field),
+        continueOnError: true,
+        env: ctx => ({ ISSUE_NODE_IDS: ctx.steps.linked_issue.issue_node_ids, PROJECT_ID: ctx.config.project_id, FIELD_NAME: ctx.config.iteration_field, VALUE: 'current' })
+      }
+    ]
+  },
+  {
+    name: 'issue-opened',
+    when: ({ event, payload }) => event === 'issues' && payload.action === 'opened',
+    steps: [
+      {
+        id: 'add_to_project',
+        name: 'Add issue to project',
+        script: 'add-to-project.js',
+        env: ctx => ({ CONTENT_ID: ctx.payload.issue.node_id, PROJECT_ID: ctx.config.project_id })
+      },
+      {
+        name: 'Update Domain field in project',
+        script: 'add-domain.js',
+        continueOnError: true,
+        env: ctx => ({ ITEM_ID: ctx.steps.add_to_project.item_id, PROJECT_ID: ctx.config.project_id, DOMAIN: ctx.config.domain, DOMAIN_RULES: ctx.config.domain_rules })
+      },
+      {
+        name: 'Set current date in Date field',
+        script: 'set-date.js',
+        env: ctx => ({ ISSUE_NODE_ID: ctx.payload.issue.node_id, PROJECT_ID: ctx.config.project_id, FIELD_NAME: ctx.config.date_field })
+      }
+    ]
+  },
+  {
+    name: 'issue-closed',
+    when: ({ event, payload }) => event === 'issues' && payload.action === 'closed',
+    steps: [
+      {
+        name: 'Update End field with current date',
+        script: 'set-date.js',
+        env: ctx => ({ ISSUE_NODE_ID: ctx.payload.issue.node_id, PROJECT_ID: ctx.config.project_id, FIELD_NAME: ctx.config.end_date_field })
+      }
+    ]
+  },
+  {
+    name: 'pr-add',
+    when: ({ event, payload }) => event === 'pull_request' && payload.action === 'opened',
+    steps: [
+      {
+        id: 'add_to_project',
+        name: 'Add PR to project',
+        script: 'add-to-project.js',
+        env: ctx => ({ CONTENT_ID: ctx.payload.pull_request.node_id, PROJECT_ID: ctx.config.project_id })
+      },
+      {
+        name: 'Update Domain field in project',
+        script: 'add-domain.js',
+        continueOnError: true,
+        env: ctx => ({ ITEM_ID: ctx.steps.add_to_project.item_id, PROJECT_ID: ctx.config.project_id, DOMAIN: ctx.config.domain, DOMAIN_RULES: ctx.config.domain_rules })
+      },
+      assignStep('Assign PR to its author', ctx => ctx.payload.pull_request.user.login, ctx => String(ctx.payload.pull_request.number))
+    ]
+  },
+  {
+    name: 'pr-opened',
+    when: ({ event, payload, config }) => event === 'pull_request' && payload.action === 'opened'
+      && !isEnvironmentBranch(config, payload.pull_request.head.ref),
+    steps: [
+      environmentsStep(),
+      ...moveLinkedIssuesSteps('review', ctx => ctx.payload.pull_request.head.ref, [
+        assignStep('Assign PR author to task', ctx => ctx.payload.pull_request.user.login, ctx => ctx.steps.linked_issue.issue_refs, hasLinkedIssue)
+      ]),
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, hasLinkedIssue)
+    ]
+  },
+  {
+    name: 'pr-review',
+    when: ({ event, payload, config }) =>
+      (event === 'pull_request_review' || (event === 'pull_request' && REVIEW_STATE_ACTIONS.includes(payload.action)))
+      && !isEnvironmentBranch(config, payload.pull_request?.head.ref),
+    steps: [
+      environmentsStep(),
+      {
+        id: 'review_state',
+        name: 'Work out review state',
+        script: 'review-state.js',
+        env: ctx => ({ FIXING: ctx.config.fixing, REVIEW: ctx.config.review, APPROVED: ctx.config.approved })
+      },
+      ...moveLinkedIssuesSteps(ctx => ctx.steps.review_state.status, ctx => ctx.payload.pull_request.head.ref),
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, ctx => hasLinkedIssue(ctx) && Boolean(ctx.steps.review_state.status)),
+      {
+        name: 'Write reviewers to project',
+        script: 'set-reviewers.js',
+        if: ctx => Boolean(ctx.config.reviewers_field),
+        continueOnError: true,
+        env: ctx => ({
+          PR_NUMBER: ctx.payload.pull_request.number,
+          ISSUE_NODE_IDS: ctx.steps.linked_issue.issue_node_ids,
+          PROJECT_ID: ctx.config.project_id,
+          REVIEWERS_FIELD: ctx.config.reviewers_field
+        })
+      }
+    ]
+  },
+  {
+    name: 'domain-sync',
+    when: ({ event, payload }) => (event === 'issues' && DOMAIN_SYNC_ACTIONS.issues.includes(payload.action))
+      || (event === 'pull_request' && DOMAIN_SYNC_ACTIONS.pull_request.includes(payload.action)),
+    steps: [
+      {
+        name: 'Update Domain field in project',
+        script: 'add-domain.js',
+        if: ctx => Boolean(ctx.config.domain_rules),
+        continueOnError: true,
+        env: ctx => ({ PROJECT_ID: ctx.config.project_id, DOMAIN: ctx.config.domain, DOMAIN_RULES: ctx.config.domain_rules })
+      }
+    ]
+  },
+  {
+    name: 'pr-main-closed',
+    when: ({ event, payload, config }) => isMergedInto(event, payload, getEnvironments(config).slice(-1)[0].branches)
+      && !isRevert(payload.pull_request),
+    steps: [
+      environmentsStep(ctx => ctx.payload.pull_request.base.ref),
+      ...moveLinkedIssuesSteps(ctx => getBaseEnvironment(ctx).status || ctx.config.done, ctx => ctx.payload.pull_request.head.ref).map(step => ({
+        ...step,
+        if: ctx => !isEnvironmentBranch(ctx.config, ctx.payload.pull_request.head.ref) && (!step.if || step.if(ctx))
+      })),
+      { name: 'Add environment label to issues', inline: true },
+      {
+        name: 'Set current date in End field',
+        script: 'set-date.js',
+        if: ctx => !isEnvironmentBranch(ctx.config, ctx.payload.pull_request.head.ref) && hasLinkedIssue(ctx),
+        continueOnError: true,
+        env: ctx => ({ ISSUE_NODE_IDS: ctx.steps.linked_issue.issue_node_ids, PROJECT_ID: ctx.config.project_id, FIELD_NAME: ctx.config.end_date_field })
+      },
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, ctx => !isEnvironmentBranch(ctx.config, ctx.payload.pull_request.head.ref) && hasLinkedIssue(ctx)),
+      { name: 'Delete branch after merge', inline: true },
+      {
+        name: 'Remove PR from project',
+        script: 'remove-pr-from-project.js',
+        env: ctx => ({ PR_NODE_ID: ctx.payload.pull_request.node_id, PROJECT_ID: ctx.config.project_id })
+      }
+    ]
+  },
+  {
+    name: 'pr-stg-closed',
+    when: ({ event, payload, config }) => isMergedInto(event, payload, getEnvironments(config).slice(0, -1).flatMap(environment => environment.branches))
+      && !isEnvironmentBranch(config, payload.pull_request.head.ref)
+      && !isRevert(payload.pull_request),
+    steps: [
+      environmentsStep(ctx => ctx.payload.pull_request.base.ref),
+      ...moveLinkedIssuesSteps(ctx => getBaseEnvironment(ctx).status || ctx.config.done, ctx => ctx.payload.pull_request.head.ref),
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, hasLinkedIssue),
+      { name: 'Add environment label to issues', inline: true },
+      {
+        name: 'Open promotion PR to the next environment',
+        script: 'open-promotion-pr.js',
+        env: ctx => ({ BRANCH: ctx.payload.pull_request.base.ref, ENVIRONMENTS: ctx.config.environments })
+      },
+      { name: 'Delete branch after merge', inline: true },
+      {
+        name: 'Remove PR from project',
+        script: 'remove-pr-from-project.js',
+        env: ctx => ({ PR_NODE_ID: ctx.payload.pull_request.node_id, PROJECT_ID: ctx.config.project_id })
+      }
+    ]
+  },
+  {
+    name: 'pr-closed-unmerged',
+    when: ({ event, payload }) => event === 'pull_request'
+      && payload.action === 'closed'
+      && payload.pull_request?.merged !== true,
+    steps: [
+      environmentsStep(),
+      ...moveLinkedIssuesSteps('closed_unmerged', ctx => ctx.payload.pull_request.head.ref).map(step => ({
+        ...step,
+        if: ctx => !isEnvironmentBranch(ctx.config, ctx.payload.pull_request.head.ref) && (!step.if || step.if(ctx))
+      })),
+      {
+        name: 'Clear Start field',
+        script: 'set-field.js',
+        if: hasLinkedIssue,
+        continueOnError: true,
+        env: ctx => ({ ISSUE_NODE_IDS: ctx.steps.linked_issue.issue_node_ids, PROJECT_ID: ctx.config.project_id, FIELD_NAME: ctx.config.start_date_field, CLEAR: 'true' })
+      },
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, ctx => !isEnvironmentBranch(ctx.config, ctx.payload.pull_request.head.ref) && hasLinkedIssue(ctx)),
+      {
+        name: 'Remove PR from project',
+        script: 'remove-pr-from-project.js',
+        env: ctx => ({ PR_NODE_ID: ctx.payload.pull_request.node_id, PROJECT_ID: ctx.config.project_id })
+      }
+    ]
+  },
+  {
+    name: 'pr-reverted',
+    when: ({ event, payload }) => event === 'pull_request'
+      && payload.action === 'closed'
+      && payload.pull_request?.merged === true
+      && isRevert(payload.pull_request),
+    steps: [
+      {
+        id: 'linked_issue',
+        name: 'Reopen the reverted tasks',
+        script: 'revert-pr.js',
+        env: ctx => ({
+          REGEX: ctx.config.issue_branch_regex,
+          ENVIRONMENTS: ctx.config.environments,
+          STAGING_LABEL: ctx.config.staging_label,
+          PRODUCTION_LABEL: ctx.config.production_label
+        })
+      },
+      // Reuse the find-fields and move-issue steps with the reopened issues
+      ...moveLinkedIssuesSteps('doing', ctx => ctx.payload.pull_request.head.ref).slice(1),
+      rollupStep(ctx => ctx.steps.linked_issue.issue_node_ids, hasLinkedIssue),
+      {
+        name: 'Remove PR from project',
+        script: 'remove-pr-from-project.js',
+        env: ctx => ({ PR_NODE_ID: ctx.payload.pull_request.node_id, PROJECT_ID: ctx.config.project_id })
+      }
+    ]
+  },
+  {
+    name: 'stg-to-prod',
+    when: ({ event, payload, config }) => event === 'pull_request'
+      && payload.action === 'closed'
+      && payload.pull_request?.merged === true
+      && Boolean(findPromotion(getEnvironments(config), payload.pull_request.head.ref, payload.pull_request.base.ref)),
+    steps: [
+      {
+        id: 'promote',
+        name: 'Replace the environment label on the deployed issues',
+        script: 'stg-to-prod.js',
+        env: ctx => ({
+          REGEX: ctx.config.issue_branch_regex,
+          ENVIRONMENTS: ctx.config.environments,
+          STAGING_LABEL: ctx.config.staging_label,
+          PRODUCTION_LABEL: ctx.config.production_label,
+          CHANGELOG: ctx.config.changelog,
+          CHANGELOG_FILE: ctx.config.changelog_file,
+          PROJECT_ID: ctx.config.project_id
+        })
+      },
+      {
+        id: 'get_ids',
+        name: 'Get project field IDs',
+        script: 'find-fields.js',
+        if: ctx => Boolean(ctx.steps.promote.status && ctx.steps.promote.issue_node_ids),
+        env: ctx => ({ FIELD_NAME: ctx.config.field_name, OPTION_NAME: ctx.steps.promote.status, PROJECT_ID: ctx.config.project_id })
+      },
+      {
+        name: 'Move promoted tasks to the environment status',
+        script: 'move-issue.js',
+        if: ctx => Boolean(ctx.steps.promote.status && ctx.steps.promote.issue_node_ids),
+        env: ctx => ({
+          ISSUE_REFS: ctx.steps.promote.issue_refs,
+          ISSUE_NODE_IDS: ctx.steps.promote.issue_node_ids,
+          FIELD_ID: ctx.steps.get_ids.field_id,
+          OPTION_ID: ctx.steps.get_ids.option_id,
+          PROJECT_ID: ctx.config.project_id,
+          STATUS_HISTORY: ctx.config.status_history,
+          WIP_LIMITS: ctx.config.wip_limits,
+          WIP_ENFORCEMENT: ctx.config.wip_enforcement
+        })
+      },
+      rollupStep(ctx => ctx.steps.promote.issue_node_ids, ctx => Boolean(ctx.steps.promote.status && ctx.steps.promote.issue_node_ids)),
+      {
+        name: 'Open promotion PR to the next environment',
+        script: 'open-promotion-pr.js',
+        if: ctx => Boolean(ctx.steps.promote.environment),
+        env: ctx => ({ BRANCH: ctx.payload.pull_request.base.ref, ENVIRONMENTS: ctx.config.environments })
+      }
+    ]
+  }
+];
+
+/**
+ * Checks whether the event is a PR merged into one of the given branches
+ * @param {string} event - Event name
+ * @param {Object} payload - Webhook payload
+ * @param {string[]} branches - Base branch names
+ * @returns {boolean} True if the PR was merged into one of the branches
+ */
+function isMergedInto(event, payload, branches) {
+  return event === 'pull_request'
+    && payload.action === 'closed'
+    && payload.pull_request?.merged === true
+    && branches.includes(payload.pull_request.base.ref);
+}
+
+/**
+ * Checks whether a pull request is a revert made with GitHub's "Revert" button
+ * @param {Object} pullRequest - Pull request from the payload
+ * @returns {boolean} True if the title or body marks it as a revert
+ */
+function isRevert(pullRequest) {
+  return Boolean(pullRequest)
+    && ((pullRequest.title || '').startsWith('Revert "') || (pullRequest.body || '').startsWith('Reverts '));
+}
+
+/**
+ * Parses a GITHUB_OUTPUT or GITHUB_ENV file written by @actions/core
+ * @param {string} filePath - Path of the file
+ * @returns {Object} Values keyed by name
+ */
+function parseCommandFile(filePath) {
+  const values = {};
+  const lines = fs.readFileSync(filePath, 'utf8').split(os.EOL);
+
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    const heredoc = line.match(/^([^=<]+)<<(.+)$/);
+    if (heredoc) {
+      const [, name, delimiter] = heredoc;
+      const valueLines = [];
+      while (++index < lines.length && lines[index] !== delimiter) {
+        valueLines.push(lines[index]);
+      }
+      values[name] = valueLines.join(os.EOL);
+    } else if (line.includes('=')) {
+      const separator = line.indexOf('=');
+      values[line.slice(0, separator)] = line.slice(separator + 1);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Number of steps run so far, used to name their command files
+ */
+let stepCount = 0;
+
+/**
+ * Runs one script as its own process, like a workflow step
+ * @param {string} script - Script file name in this directory
+ * @param {Object} env - Environment of the step
+ * @param {string} workDir - Temporary directory of the replay
+ * @returns {Object} Object with ok, outputs and exported env
+ */
+function runScript(script, env, workDir) {
+  stepCount++;
+  const outputFile = path.join(workDir, `output-${stepCount}`);
+  const envFile = path.join(workDir, `env-${stepCount}`);
+  fs.writeFileSync(outputFile, '');
+  fs.writeFileSync(envFile, '');
+
+  const result = spawnSync(process.execPath, [path.join(SCRIPTS_DIR, script)], {
+    stdio: 'inherit',
+    env: { ...env, GITHUB_OUTPUT: outputFile, GITHUB_ENV: envFile }
+  });
+
+  return {
+    ok: result.status === 0,
+    outputs: parseCommandFile(outputFile),
+    exported: parseCommandFile(envFile)
+  };
+}
+
+/**
+ * Builds the base environment of every step from the replayed event
+ * @param {Object} options - Replay options
+ * @param {string} payloadPath - Absolute path of the payload file
+ * @param {Object} payload - Webhook payload
+ * @param {string} workDir - Temporary directory of the replay
+ * @returns {Object} Environment variables
+ */
+function buildEnvironment(options, payloadPath, payload, workDir) {
+  const repository = options.repo || payload.repository?.full_name;
+  if (!repository) {
+    throw new Error('The payload has no repository.full_name - pass --repo owner/repo');
+  }
+
+  const pullRequest = payload.pull_request;
+  const env = {
+    ...process.env,
+    GITHUB_ACTIONS: 'true',
+    GITHUB_EVENT_NAME: options.event,
+    GITHUB_EVENT_PATH: payloadPath,
+    GITHUB_REPOSITORY: repository,
+    GITHUB_REF_NAME: options.event === 'create' ? payload.ref : pullRequest?.base?.ref || '',
+    GITHUB_HEAD_REF: pullRequest?.head?.ref || '',
+    GITHUB_BASE_REF: pullRequest?.base?.ref || '',
+    GITHUB_STEP_SUMMARY: path.join(workDir, 'summary.md'),
+    RUNNER_TEMP: workDir,
+    LOG_API_REQUESTS: 'true'
+  };
+
+  if (options['api-url']) {
+    env.GITHUB_API_URL = options['api-url'];
+  }
+  if (options['dry-run']) {
+    env.DRY_RUN = 'true';
+  }
+
+  return env;
+}
+
+/**
+ * Adds workflow inputs to an environment as config environment variables, as in the "Read config" steps
+ * @param {Object} env - Environment variables
+ * @param {string[]} inputs - KEY=value pairs from --input
+ * @returns {Object} Environment variables with the inputs
+ */
+function applyInputs(env, inputs = []) {
+  for (const input of inputs) {
+    const separator = input.indexOf('=');
+    if (separator === -1) {
+      throw new Error(`--input expects KEY=value, got "${input}"`);
+    }
+    env[input.slice(0, separator).toUpperCase()] = input.slice(separator + 1);
+  }
+  return env;
+}
+
+/**
+ * Runs the reconcile workflow against a repository
+ * @param {Object} options - Parsed command line options
+ * @returns {boolean} True if every step succeeded
+ */
+function reconcile(options) {
+  if (!options.repo) {
+    throw new Error('reconcile needs --repo owner/repo');
+  }
+
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-automation-'));
+  try {
+    fs.writeFileSync(path.join(workDir, 'summary.md'), '');
+
+    let env = applyInputs({
+      ...process.env,
+      GITHUB_ACTIONS: 'true',
+      GITHUB_EVENT_NAME: 'workflow_dispatch',
+      GITHUB_REPOSITORY: options.repo,
+      GITHUB_STEP_SUMMARY: path.join(workDir, 'summary.md'),
+      RUNNER_TEMP: workDir,
+      ...(options['api-url'] && { GITHUB_API_URL: options['api-url'] }),
+      ...(options['dry-run'] && { DRY_RUN: 'true' })
+    }, options.input);
+
+    console.log('⚙️ Read config');
+    const configStep = runScript('read-config.js', env, workDir);
+    let success = configStep.ok;
+    if (success) {
+      env = { ...env, ...configStep.exported };
+      const config = configStep.outputs;
+
+      console.log('\n▶️ Reconcile issues and PRs');
+      success = runScript('reconcile.js', {
+        ...env,
+        PROJECT_ID: config.project_id,
+        CLOSED_SINCE_DAYS: options['closed-since-days'] || '',
+        REGEX: config.issue_branch_regex,
+        DOMAIN: config.domain || '',
+        DOMAIN_RULES: config.domain_rules || '',
+        FIELD_NAME: config.field_name,
+        DOING: config.doing,
+        REVIEW: config.review,
+        FIXING: config.fixing,
+        APPROVED: config.approved || '',
+        DONE: config.done,
+        ENVIRONMENTS: config.environments || '',
+        DATE_FIELD: config.date_field,
+        START_DATE_FIELD: config.start_date_field,
+        END_DATE_FIELD: config.end_date_field,
+        STATUS_HISTORY: config.status_history
+      }, workDir).ok;
+    }
+    return success;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Replays a webhook payload through the matching workflows
+ * @param {Object} options - Parsed command line options
+ * @returns {boolean} True if every step succeeded
+ */
+function replay(options) {
+  if (!options.event || !options.payload) {
+    throw new Error('replay needs --event and --payload');
+  }
+
+  const payloadPath = path.resolve(options.payload);
+  const payload = JSON.parse(fs.readFileSync(payloadPath, 'utf8'));
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'project-automation-'));
+  try {
+    return replayWorkflows(options, payloadPath, payload, workDir);
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+/**
+ * Runs the workflows handling a replayed payload
+ * @param {Object} options - Parsed command line options
+ * @param {string} payloadPath - Absolute path of the payload file
+ * @param {Object} payload - Webhook payload
+ * @param {string} workDir - Temporary directory of the replay
+ * @returns {boolean} True if every step succeeded
+ */
+function replayWorkflows(options, payloadPath, payload, workDir) {
+  fs.writeFileSync(path.join(workDir, 'summary.md'), '');
+
+  let env = applyInputs(buildEnvironment(options, payloadPath, payload, workDir), options.input);
+
+  // Config comes first, as the environments decide which workflows handle a closed PR
+  console.log('⚙️ Read config');
+  const configStep = runScript('read-config.js', env, workDir);
+  if (!configStep.ok) {
+    return false;
+  }
+  env = { ...env, ...configStep.exported };
+
+  const eventContext = { event: options.event, payload, rulesFile: options.rules, config: configStep.outputs };
+  const workflows = options.rules
+    ? WORKFLOWS.filter(workflow => workflow.name === 'run-rules')
+    : WORKFLOWS.filter(workflow => workflow.name !== 'run-rules' && workflow.when(eventContext));
+
+  if (workflows.length === 0) {
+    console.log(`ℹ️ No workflow handles '${options.event}${payload.action ? `.${payload.action}` : ''}'`);
+    return true;
+  }
+
+  let success = true;
+  for (const workflow of workflows) {
+    console.log(`\n📂 Workflow ${workflow.name}`);
+    const ctx = { ...eventContext, steps: {} };
+
+    for (const step of workflow.steps) {
+      if (step.inline) {
+        console.log(`⏭️ ${step.name} (inline workflow step, not replayed)`);
+        continue;
+      }
+      if (step.if && !step.if(ctx)) {
+        console.log(`⏭️ ${step.name} (condition not met)`);
+        continue;
+      }
+
+      console.log(`\n▶️ ${step.name}`);
+      const stepEnv = Object.fromEntries(
+        Object.entries(step.env(ctx)).map(([key, value]) => [key, value === undefined ? '' : String(value)])
+      );
+      const result = runScript(step.script, { ...env, ...stepEnv }, workDir);
+      if (step.id) {
+        ctx.steps[step.id] = result.outputs;
+      }
+
+      if (!result.ok && !step.continueOnError) {
+        console.log(`❌ ${step.name} failed - stopping workflow ${workflow.name}`);
+        success = false;
+        break;
+      }
+    }
+  }
+
+  const summary = fs.readFileSync(path.join(workDir, 'summary.md'), 'utf8');
+  if (summary) {
+    console.log(`\n📝 Job summary:\n${summary}`);
+  }
+
+  return success;
+}
+
+/**
+ * Entry point: parses the command line and runs the command
+ */
+function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      event: { type: 'string' },
+      payload: { type: 'string' },
+      repo: { type: 'string' },
+      rules: { type: 'string' },
+      input: { type: 'string', multiple: true },
+      'closed-since-days': { type: 'string' },
+      'api-url': { type: 'string' },
+      'dry-run': { type: 'boolean' }
+    }
+  });
+
+  const commands = { replay, reconcile };
+  const [command] = positionals;
+  if (!commands[command]) {
+    console.error([
+      'Usage: cli.js replay --event <name> --payload <file> [--repo owner/repo] [--rules file] [--input KEY=value] [--api-url url] [--dry-run]',
+      '       cli.js reconcile --repo owner/repo [--closed-since-days N] [--input KEY=value] [--api-url url] [--dry-run]'
+    ].join('\n'));
+    process.exit(1);
+  }
+
+  try {
+    process.exit(commands[command](values) ? 0 : 1);
+  } catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+  }
+}
+
+// Export for tests and run main if called directly
+module.exports = { WORKFLOWS, parseCommandFile, replay, reconcile };
+
+if (require.main === module) {
+  main();
+}
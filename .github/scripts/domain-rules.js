@@ -0,0 +1,190 @@
+/**
+ * Resolve the domain of an issue or PR from DOMAIN_RULES
+ * Rules map labels, issue templates, issue form answers and the paths a PR changes
+ * to a Domain option; the first matching rule wins and DOMAIN is the fallback
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { withRetry, matchesGlob } = require('./shared-utils');
+
+/**
+ * Where the caller repository keeps its issue templates
+ */
+const ISSUE_TEMPLATE_DIR = path.join('.github', 'ISSUE_TEMPLATE');
+
+/**
+ * What GitHub writes in an issue form for a field left empty
+ */
+const NO_RESPONSE = '_No response_';
+
+/**
+ * Parses the DOMAIN_RULES option
+ * @param {Object[]|string} value - Rules as a list or JSON string (optional)
+ * @returns {Object[]} Rules with domain, labels, paths, templates and fields
+ * @throws {Error} If a rule misses its domain or has nothing to match
+ */
+function parseDomainRules(value) {
+  const configured = typeof value === 'string' && value.trim() ? JSON.parse(value) : value;
+  if (!Array.isArray(configured)) {
+    return [];
+  }
+
+  return configured.map((rule, index) => {
+    if (!rule?.domain) {
+      throw new Error(`DOMAIN_RULES[${index}] is missing domain`);
+    }
+    const normalized = {
+      domain: rule.domain,
+      labels: [].concat(rule.labels || []).map(label => label.toLowerCase()),
+      paths: [].concat(rule.paths || []),
+      templates: [].concat(rule.templates || []).map(template => template.toLowerCase()),
+      fields: Object.entries(rule.fields || {}).map(([label, values]) => ({
+        label: label.toLowerCase(),
+        values: [].concat(values).map(answer => answer.toLowerCase())
+      }))
+    };
+    if (['labels', 'paths', 'templates', 'fields'].every(key => normalized[key].length === 0)) {
+      throw new Error(`DOMAIN_RULES[${index}] (${rule.domain}) needs labels, paths, templates or fields to match`);
+    }
+    return normalized;
+  });
+}
+
+/**
+ * Parses the answers of an issue created from an issue form
+ * @param {string} body - Issue body
+ * @returns {Object} Answers by lowercase field label; empty fields are left out
+ */
+function parseIssueForm(body) {
+  const answers = {};
+  const sections = (body || '').split(/^###[ \t]+(.+)$/m);
+  for (let index = 1; index < sections.length; index += 2) {
+    const answer = sections[index + 1].trim();
+    if (answer && answer !== NO_RESPONSE) {
+      answers[sections[index].trim().toLowerCase()] = answer;
+    }
+  }
+  return answers;
+}
+
+/**
+ * Reads the issue templates of the caller repository
+ * @param {string} dir - Template directory (default: .github/ISSUE_TEMPLATE)
+ * @returns {Object[]} Templates with name, title prefix and form field labels
+ */
+function loadIssueTemplates(dir = ISSUE_TEMPLATE_DIR) {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const templates = [];
+  for (const file of fs.readdirSync(dir).sort()) {
+    const content = fs.readFileSync(path.join(dir, file), 'utf8');
+    let template;
+    if (/\.ya?ml$/.test(file) && !/^config\.ya?ml$/.test(file)) {
+      template = yaml.load(content);
+    } else if (file.endsWith('.md')) {
+      const frontMatter = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
+      template = frontMatter ? yaml.load(frontMatter[1]) : null;
+    }
+    if (template?.name) {
+      templates.push({
+        name: template.name,
+        title: template.title || '',
+        fields: (template.body || [])
+          .filter(element => element.type !== 'markdown' && element.attributes?.label)
+          .map(element => element.attributes.label.toLowerCase())
+      });
+    }
+  }
+  return templates;
+}
+
+/**
+ * Works out which template an issue was created from
+ * Issue forms are recognised by their field headings, other templates by their title prefix
+ * @param {Object} issue - Issue with title and body
+ * @param {Object[]} templates - Templates from loadIssueTemplates
+ * @returns {string|null} Template name, or null when none matches
+ */
+function findIssueTemplate(issue, templates) {
+  // Headings of empty answers count too, so not parseIssueForm
+  const headings = ((issue.body || '').match(/^###[ \t]+.+$/gm) || [])
+    .map(heading => heading.replace(/^###[ \t]+/, '').trim().toLowerCase());
+
+  const form = templates.find(template => template.fields.length > 0
+    && template.fields.every(label => headings.includes(label)));
+  const titled = templates.find(template => template.title && (issue.title || '').startsWith(template.title));
+  return (form || titled)?.name || null;
+}
+
+/**
+ * Lists the files a PR changes
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { owner, repo, number }
+ * @returns {Promise<string[]>} Changed file paths, renamed files with both paths
+ */
+async function listChangedFiles(octokit, { owner, repo, number }) {
+  const files = await withRetry(
+    () => octokit.paginate(octokit.rest.pulls.listFiles, { owner, repo, pull_number: number, per_page: 100 }),
+    { operation: `listing files of PR #${number}` }
+  );
+  return files.flatMap(file => [file.filename, file.previous_filename].filter(Boolean));
+}
+
+/**
+ * Finds the first rule matching what is known about an issue or PR
+ * A rule matches on any of its labels, paths or templates, or when every one of its fields matches
+ * @param {Object[]} rules - Rules from parseDomainRules
+ * @param {Object} facts - { labels, paths, template, answers } of the issue or PR
+ * @returns {Object|null} Matching rule, or null when none matches
+ */
+function findDomainRule(rules, { labels = [], paths = [], template = null, answers = {} }) {
+  const labelNames = labels.map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+  return rules.find(rule =>
+    rule.labels.some(label => labelNames.includes(label))
+    || (rule.paths.length > 0 && paths.some(file => matchesGlob(file, rule.paths)))
+    || (template !== null && rule.templates.includes(template.toLowerCase()))
+    || (rule.fields.length > 0 && rule.fields.every(field => field.values.includes((answers[field.label] || '').toLowerCase())))
+  ) || null;
+}
+
+/**
+ * Resolves the domain of an issue or PR
+ * Only lists the changed files of a PR when a rule matches on paths
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} content - Issue or PR from the REST API or an event payload
+ * @param {Object} options - Resolution options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {Object[]} options.rules - Rules from parseDomainRules
+ * @param {Object[]} options.templates - Templates from loadIssueTemplates
+ * @param {string} options.fallback - Domain when no rule matches (optional)
+ * @returns {Promise<Object>} { domain, rule }; rule is null when the fallback (or nothing) applies
+ */
+async function resolveDomain(octokit, content, { owner, repo, rules, templates = [], fallback }) {
+  const isPullRequest = Boolean(content.head || content.pull_request);
+  const facts = { labels: content.labels || [] };
+
+  if (isPullRequest && rules.some(rule => rule.paths.length > 0)) {
+    facts.paths = await listChangedFiles(octokit, { owner, repo, number: content.number });
+  }
+  if (!isPullRequest) {
+    facts.template = findIssueTemplate(content, templates);
+    facts.answers = parseIssueForm(content.body);
+  }
+
+  const rule = findDomainRule(rules, facts);
+  return { domain: rule ? rule.domain : fallback || null, rule };
+}
+
+module.exports = {
+  parseDomainRules,
+  parseIssueForm,
+  loadIssueTemplates,
+  findIssueTemplate,
+  findDomainRule,
+  resolveDomain
+};
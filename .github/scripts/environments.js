@@ -0,0 +1,116 @@
+/**
+ * Resolve the environment promotion pipeline
+ * Environments are ordered from the first one feature PRs merge into to production;
+ * merging the branch of one environment into the next promotes its issues
+ */
+
+const core = require('@actions/core');
+const { setOutputs, executeScript } = require('./shared-utils');
+
+/**
+ * Environments used when ENVIRONMENTS is not configured: staging, then production
+ * @param {string} stagingLabel - Staging label
+ * @param {string} productionLabel - Production label
+ * @returns {Object[]} Default environments
+ */
+function defaultEnvironments(stagingLabel, productionLabel) {
+  return [
+    { name: 'staging', branches: ['staging', 'develop'], label: stagingLabel || 'staging', status: '' },
+    { name: 'production', branches: ['main', 'master'], label: productionLabel || 'production', status: '' }
+  ];
+}
+
+/**
+ * Resolves the ordered environments from the configuration
+ * @param {Object} options - Environment options
+ * @param {Object[]|string} options.environments - ENVIRONMENTS as a list or JSON string (optional)
+ * @param {string} options.stagingLabel - Staging label for the default environments
+ * @param {string} options.productionLabel - Production label for the default environments
+ * @returns {Object[]} Environments with name, branches, label and status
+ * @throws {Error} If an environment misses its name, branch or label
+ */
+function resolveEnvironments({ environments, stagingLabel, productionLabel } = {}) {
+  const configured = typeof environments === 'string' && environments.trim()
+    ? JSON.parse(environments)
+    : environments;
+
+  if (!Array.isArray(configured) || configured.length === 0) {
+    return defaultEnvironments(stagingLabel, productionLabel);
+  }
+
+  return configured.map((environment, index) => {
+    const missing = ['name', 'branch', 'label'].filter(key => !environment?.[key] || environment[key].length === 0);
+    if (missing.length > 0) {
+      throw new Error(`ENVIRONMENTS[${index}] is missing ${missing.join(', ')}`);
+    }
+    return {
+      name: environment.name,
+      branches: [].concat(environment.branch),
+      label: environment.label,
+      status: environment.status || ''
+    };
+  });
+}
+
+/**
+ * Finds the environment a branch belongs to
+ * @param {Object[]} environments - Resolved environments
+ * @param {string} branch - Branch name
+ * @returns {number} Index of the environment, or -1 for other branches
+ */
+function findEnvironmentIndex(environments, branch) {
+  return environments.findIndex(environment => environment.branches.includes(branch));
+}
+
+/**
+ * Works out whether merging head into base promotes an environment into the next one
+ * @param {Object[]} environments - Resolved environments
+ * @param {string} head - Head branch of the pull request
+ * @param {string} base - Base branch of the pull request
+ * @returns {Object|null} { from, to } environments, or null if it is not a promotion
+ */
+function findPromotion(environments, head, base) {
+  const index = findEnvironmentIndex(environments, head);
+  if (index === -1 || findEnvironmentIndex(environments, base) !== index + 1) {
+    return null;
+  }
+  return { from: environments[index], to: environments[index + 1] };
+}
+
+/**
+ * Main function to describe the environments for workflow conditions
+ */
+async function describeEnvironments() {
+  const environments = resolveEnvironments({
+    environments: process.env.ENVIRONMENTS,
+    stagingLabel: process.env.STAGING_LABEL,
+    productionLabel: process.env.PRODUCTION_LABEL
+  });
+  const branch = process.env.BRANCH || '';
+
+  core.info(`🚉 Environments: ${environments.map(environment => `${environment.name} (${environment.branches.join(', ')})`).join(' → ')}`);
+
+  const index = branch ? findEnvironmentIndex(environments, branch) : -1;
+  const environment = environments[index];
+  if (branch) {
+    core.info(environment ? `📍 '${branch}' is the ${environment.name} branch` : `📍 '${branch}' is not an environment branch`);
+  }
+
+  setOutputs({
+    branches: JSON.stringify(environments.flatMap(candidate => candidate.branches)),
+    // Feature PRs merged into these go through the promotion pipeline, into the last one they are released
+    release_branches: JSON.stringify(environments.slice(0, -1).flatMap(candidate => candidate.branches)),
+    production_branches: JSON.stringify(environments[environments.length - 1].branches),
+    environment: environment?.name || '',
+    label: environment?.label || '',
+    status: environment?.status || '',
+    next_environment: environments[index + 1] && environment ? environments[index + 1].name : ''
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { describeEnvironments, resolveEnvironments, findEnvironmentIndex, findPromotion };
+
+if (require.main === module) {
+  executeScript(describeEnvironments, 'Environments Script');
+}
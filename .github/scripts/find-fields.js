@@ -6,6 +6,7 @@
 const { 
   validateEnvironmentVariables, 
   createOctokit, 
+  resolveProjectId,
   findProjectFields,
   setOutputs,
   executeScript
@@ -19,11 +20,11 @@ async function findFields() {
   validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'FIELD_NAME', 'OPTION_NAME']);
 
   const token = process.env.GITHUB_TOKEN;
-  const projectId = process.env.PROJECT_ID;
   const fieldName = process.env.FIELD_NAME;
   const optionName = process.env.OPTION_NAME;
 
   const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
 
   // Find field and option using shared utility
   const { fieldId, optionId } = await findProjectFields(
@@ -34,8 +35,12 @@ async function findFields() {
   );
 
   // Set outputs for downstream steps
-  setOutputs({ fieldId, optionId });
+  setOutputs({ field_id: fieldId, option_id: optionId });
 }
 
-// Execute script with error handling
-executeScript(findFields, 'Find Fields Script');
\ No newline at end of file
+// Export for use in other scripts and run main if called directly
+module.exports = { findFields };
+
+if (require.main === module) {
+  executeScript(findFields, 'Find Fields Script');
+}
@@ -1,81 +1,94 @@
 /**
- * Find issue from branch name
- * Extracts issue number from branch name and fetches issue details
+ * Find issues linked to a branch or pull request
+ * Resolves issues from the branch name, PR closing keywords, commit messages
+ * and closingIssuesReferences, in this or other repositories, then fetches their details
  */
 
 const core = require('@actions/core');
 const github = require('@actions/github');
-const { 
-  validateEnvironmentVariables, 
-  createOctokit, 
-  extractIssueFromBranch,
+const {
+  validateEnvironmentVariables,
+  createOctokit,
   withRetry,
+  formatIssueReference,
   setOutputs,
   executeScript
 } = require('./shared-utils');
+const { resolveLinkedIssues } = require('./issue-resolver');
 
 /**
- * Main function to find issue from branch
+ * Main function to find issues from branch and pull request
  */
 async function findIssue() {
   // Support both TOKEN and GITHUB_TOKEN for backward compatibility
   const tokenVar = process.env.GITHUB_TOKEN ? 'GITHUB_TOKEN' : 'TOKEN';
-  
+
   // Validate required environment variables
   validateEnvironmentVariables([tokenVar, 'BRANCH', 'REGEX']);
 
   const token = process.env.GITHUB_TOKEN || process.env.TOKEN;
   const branch = process.env.BRANCH;
   const regex = process.env.REGEX;
+  const owner = github.context.repo.owner;
+  const repo = github.context.repo.repo;
 
   const octokit = createOctokit(token);
 
-  // Extract issue number from branch name
-  const issueNumber = extractIssueFromBranch(branch, regex);
-  
-  if (!issueNumber) {
-    core.info(`ℹ️ No issue number found in branch '${branch}' using regex '${regex}'`);
+  // Use the PR from the event payload, or fetch it when only PR_NUMBER is given
+  let pullRequest = github.context.payload.pull_request;
+  if (!pullRequest && process.env.PR_NUMBER) {
+    const { data } = await withRetry(
+      () => octokit.rest.pulls.get({ owner, repo, pull_number: parseInt(process.env.PR_NUMBER, 10) }),
+      { operation: `fetching PR #${process.env.PR_NUMBER}` }
+    );
+    pullRequest = data;
+  }
+
+  const issues = await resolveLinkedIssues(octokit, { owner, repo, branch, regex, pullRequest });
+
+  if (issues.length === 0) {
+    core.info(`ℹ️ No linked issues found for branch '${branch}'${pullRequest ? ` or PR #${pullRequest.number}` : ''}`);
     setOutputs({
       issue: "",
       issue_number: "",
-      issue_node_id: ""
+      issue_node_id: "",
+      issues: "[]",
+      issue_numbers: "",
+      issue_refs: "",
+      issue_node_ids: ""
     });
     return;
   }
 
-  // Fetch issue details
-  try {
-    const issue = await withRetry(
-      () => octokit.rest.issues.get({
-        owner: github.context.repo.owner,
-        repo: github.context.repo.repo,
-        issue_number: issueNumber
-      }),
-      { operation: `fetching issue #${issueNumber}` }
-    );
+  // Keep the single-issue outputs pointing at the first linked issue
+  const [firstIssue] = issues;
+  const { data: issueData } = await withRetry(
+    () => octokit.rest.issues.get({ owner: firstIssue.owner, repo: firstIssue.repo, issue_number: firstIssue.number }),
+    { operation: `fetching issue ${formatIssueReference(firstIssue, { owner, repo })}` }
+  );
 
-    core.info(`✅ Found issue #${issueNumber}`);
-    
-    setOutputs({
-      issue: JSON.stringify(issue.data),
-      issue_number: issueNumber.toString(),
-      issue_node_id: issue.data.node_id
-    });
+  const issueRefs = issues.map(issue => formatIssueReference(issue, { owner, repo }));
+  core.info(`✅ Found ${issues.length} linked issue(s): ${issueRefs.join(', ')}`);
 
-  } catch (error) {
-    // If issue doesn't exist, return empty values instead of failing
-    if (error.status === 404) {
-      core.info(`ℹ️ No issue found for #${issueNumber}`);
-      setOutputs({
-        issue: "",
-        issue_number: "",
-        issue_node_id: ""
-      });
-    } else {
-      throw error; // Re-throw other errors
-    }
-  }
+  setOutputs({
+    issue: JSON.stringify(issueData),
+    issue_number: firstIssue.number.toString(),
+    issue_node_id: firstIssue.nodeId,
+    issues: JSON.stringify(issues.map(issue => ({
+      owner: issue.owner,
+      repo: issue.repo,
+      number: issue.number,
+      node_id: issue.nodeId
+    }))),
+    issue_numbers: issues.map(issue => issue.number).join(','),
+    issue_refs: issueRefs.join(','),
+    issue_node_ids: issues.map(issue => issue.nodeId).join(',')
+  });
 }
 
-// Execute script with error handling
-executeScript(findIssue, 'Find Issue Script');
\ No newline at end of file
+// Export for use in other scripts and run main if called directly
+module.exports = { findIssue };
+
+if (require.main === module) {
+  executeScript(findIssue, 'Find Issue Script');
+}
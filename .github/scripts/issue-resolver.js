@@ -0,0 +1,195 @@
+/**
+ * Resolve issues linked to a branch or pull request
+ * Gathers issue references from the branch name, PR title/body closing keywords,
+ * commit messages and GitHub's closingIssuesReferences connection, and collects the
+ * branches and PRs working on each issue of a repository
+ */
+
+const core = require('@actions/core');
+const {
+  extractIssueFromBranch,
+  extractClosingIssueReferences,
+  formatIssueReference,
+  withRetry,
+  GRAPHQL_QUERIES
+} = require('./shared-utils');
+const { findEnvironmentIndex } = require('./environments');
+
+/**
+ * Fetches the issues GitHub itself links to a PR as closing references
+ * @param {Object} octokit - Octokit instance
+ * @param {string} prNodeId - PR node ID
+ * @returns {Promise<Object[]>} Array of { owner, repo, number, nodeId }
+ */
+async function findClosingIssueReferences(octokit, prNodeId) {
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.PR_CLOSING_ISSUES, { prNodeId }),
+    { operation: 'finding PR closing issue references' }
+  );
+
+  const nodes = result.pullRequest?.closingIssuesReferences?.nodes || [];
+  return nodes.map(issue => ({
+    owner: issue.repository.owner.login,
+    repo: issue.repository.name,
+    number: issue.number,
+    nodeId: issue.id
+  }));
+}
+
+/**
+ * Collects issue references used with closing keywords in a PR's commits
+ * @param {Object} octokit - Octokit instance
+ * @param {string} owner - Repository owner
+ * @param {string} repo - Repository name
+ * @param {number} pullNumber - PR number
+ * @returns {Promise<Object[]>} Issue references ({ owner, repo, number })
+ */
+async function findCommitIssueReferences(octokit, owner, repo, pullNumber) {
+  const commits = await withRetry(
+    () => octokit.paginate(octokit.rest.pulls.listCommits, {
+      owner,
+      repo,
+      pull_number: pullNumber,
+      per_page: 100
+    }),
+    { operation: `listing commits of PR #${pullNumber}` }
+  );
+
+  return commits.flatMap(commit => extractClosingIssueReferences(commit.commit?.message, { owner, repo }));
+}
+
+/**
+ * Resolves every issue linked to a branch and, optionally, its pull request
+ * Issues may live in other repositories when referenced as owner/repo#N or by URL
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Resolver options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.branch - Branch name (optional)
+ * @param {string} options.regex - Regex capturing the issue reference (optional)
+ * @param {Object} options.pullRequest - PR payload with number, node_id, title and body (optional)
+ * @returns {Promise<Object[]>} De-duplicated array of { owner, repo, number, nodeId, sources }
+ */
+async function resolveLinkedIssues(octokit, { owner, repo, branch, regex, pullRequest } = {}) {
+  const defaultRepo = { owner, repo };
+  const linked = new Map();
+
+  const addIssue = (reference, source) => {
+    const key = formatIssueReference(reference);
+    const existing = linked.get(key);
+    if (existing) {
+      if (!existing.sources.includes(source)) {
+        existing.sources.push(source);
+      }
+      existing.nodeId = existing.nodeId || reference.nodeId || null;
+      return;
+    }
+    linked.set(key, {
+      owner: reference.owner,
+      repo: reference.repo,
+      number: reference.number,
+      nodeId: reference.nodeId || null,
+      sources: [source]
+    });
+  };
+
+  if (branch && regex) {
+    const reference = extractIssueFromBranch(branch, regex, defaultRepo);
+    if (reference) {
+      addIssue(reference, 'branch');
+    }
+  }
+
+  if (pullRequest) {
+    extractClosingIssueReferences(pullRequest.title, defaultRepo).forEach(reference => addIssue(reference, 'title'));
+    extractClosingIssueReferences(pullRequest.body, defaultRepo).forEach(reference => addIssue(reference, 'body'));
+
+    if (pullRequest.number) {
+      const commitReferences = await findCommitIssueReferences(octokit, owner, repo, pullRequest.number);
+      commitReferences.forEach(reference => addIssue(reference, 'commit'));
+    }
+
+    if (pullRequest.node_id) {
+      const references = await findClosingIssueReferences(octokit, pullRequest.node_id);
+      references.forEach(reference => addIssue(reference, 'closingIssuesReferences'));
+    }
+  }
+
+  // Fetch node IDs from the issue's own repository, dropping references that don't exist
+  const issues = [];
+  for (const issue of linked.values()) {
+    const label = formatIssueReference(issue, defaultRepo);
+
+    if (!issue.nodeId) {
+      try {
+        const { data } = await withRetry(
+          () => octokit.rest.issues.get({ owner: issue.owner, repo: issue.repo, issue_number: issue.number }),
+          { operation: `fetching issue ${label}` }
+        );
+        issue.nodeId = data.node_id;
+      } catch (error) {
+        if (error.status === 404) {
+          core.info(`ℹ️ No issue found for ${label}`);
+          continue;
+        }
+        throw error;
+      }
+    }
+
+    core.info(`🔗 Linked issue ${label} (from ${issue.sources.join(', ')})`);
+    issues.push(issue);
+  }
+
+  return issues;
+}
+
+/**
+ * Collects the branches and PRs working on each issue
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Lookup options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {string} options.regex - Regex capturing the issue reference from branch names
+ * @param {Object[]} options.environments - Resolved environments, whose branches and promotion PRs are skipped
+ * @param {Object[]} options.openPullRequests - Open PRs
+ * @param {Object[]} options.mergedPullRequests - Recently merged PRs
+ * @returns {Promise<Map>} Evidence ({ branches, openPullRequests, mergedPullRequests }) keyed by issue reference
+ */
+async function collectEvidence(octokit, { owner, repo, regex, environments, openPullRequests, mergedPullRequests }) {
+  const evidence = new Map();
+  const evidenceFor = issue => {
+    const key = formatIssueReference(issue);
+    if (!evidence.has(key)) {
+      evidence.set(key, { branches: [], openPullRequests: [], mergedPullRequests: [] });
+    }
+    return evidence.get(key);
+  };
+
+  const branches = await withRetry(
+    () => octokit.paginate(octokit.rest.repos.listBranches, { owner, repo, per_page: 100 }),
+    { operation: 'listing branches' }
+  );
+  for (const branch of branches) {
+    const issue = regex ? extractIssueFromBranch(branch.name, regex, { owner, repo }) : null;
+    if (issue) {
+      evidenceFor(issue).branches.push(branch.name);
+    }
+  }
+
+  for (const [kind, pullRequests] of [['openPullRequests', openPullRequests], ['mergedPullRequests', mergedPullRequests]]) {
+    for (const pullRequest of pullRequests) {
+      if (findEnvironmentIndex(environments, pullRequest.head.ref) !== -1) continue;
+
+      const issues = await resolveLinkedIssues(octokit, { owner, repo, branch: pullRequest.head.ref, regex, pullRequest });
+      issues.forEach(issue => evidenceFor(issue)[kind].push(pullRequest));
+    }
+  }
+
+  return evidence;
+}
+
+module.exports = {
+  resolveLinkedIssues,
+  findClosingIssueReferences,
+  collectEvidence
+};
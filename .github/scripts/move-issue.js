@@ -1,62 +1,173 @@
 /**
- * Move issue to different status in project
- * Updates the field value for an issue in GitHub Projects V2
+ * Move issues to different status in project
+ * Updates the field value for one or more issues in GitHub Projects V2
  */
 
 const core = require('@actions/core');
 const { 
   validateEnvironmentVariables, 
   createOctokit, 
+  resolveProjectId,
+  getProjectFields,
   findIssueProjectItem,
-  withRetry,
+  cacheProjectItem,
+  listProjectItems,
+  formatIssueReference,
+  runMutation,
+  parseList,
   executeScript,
   GRAPHQL_QUERIES
 } = require('./shared-utils');
+const { getItemStatus, getOptionName, recordStatusChange } = require('./status-history');
+const { WIP_ENFORCEMENTS, parseWipLimits, countWipItems, addToWipCounts, findWipViolations } = require('./wip-limits');
 
 /**
- * Main function to move issue
+ * Comments on an issue the WIP limits kept from moving
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} content - Issue of the project item, from listProjectItems
+ * @param {string} status - Status it was not moved to
+ * @param {string[]} violations - Exceeded limits
+ */
+async function commentOnBlockedMove(octokit, content, status, violations) {
+  const variables = {
+    owner: content.owner,
+    repo: content.repo,
+    issue_number: content.number,
+    body: `🚧 This issue was not moved to **${status}** because of the WIP limits: ${violations.join('; ')}. Finish or move other items first, then move it again.`
+  };
+  await runMutation(
+    () => octokit.rest.issues.createComment(variables),
+    { operation: `commenting on blocked move of ${formatIssueReference(content)}`, variables }
+  );
+}
+
+/**
+ * Main function to move issues
  */
 async function moveIssue() {
   // Validate required environment variables
   validateEnvironmentVariables([
     'GITHUB_TOKEN', 
     'PROJECT_ID', 
-    'ISSUE_NODE_ID', 
     'FIELD_ID', 
     'OPTION_ID'
   ]);
 
   const token = process.env.GITHUB_TOKEN;
-  const projectId = process.env.PROJECT_ID;
-  const issueNodeId = process.env.ISSUE_NODE_ID;
   const fieldId = process.env.FIELD_ID;
   const optionId = process.env.OPTION_ID;
-  const issueNumber = process.env.ISSUE_NUMBER; // Optional for logging
+
+  // ISSUE_NODE_IDS lists every linked issue; ISSUE_NODE_ID is kept for single-issue callers
+  const issueNodeIds = parseList(process.env.ISSUE_NODE_IDS || process.env.ISSUE_NODE_ID);
+  // Optional for logging: "#12" or "owner/repo#12" references, or plain issue numbers
+  const issueRefs = parseList(process.env.ISSUE_REFS || process.env.ISSUE_NUMBERS || process.env.ISSUE_NUMBER)
+    .map(reference => (reference.includes('#') ? reference : `#${reference}`));
+
+  if (issueNodeIds.length === 0) {
+    throw new Error('Missing required environment variables: ISSUE_NODE_IDS or ISSUE_NODE_ID');
+  }
 
   const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
 
-  // Find the project item for this issue
-  const item = await findIssueProjectItem(octokit, issueNodeId, projectId);
-  
-  if (!item) {
-    core.warning(`⚠️ No project item found for issue${issueNumber ? ` #${issueNumber}` : ''} with node_id ${issueNodeId} in project ${projectId}`);
-    core.warning(`This could mean: 1) Issue not in project, 2) Node ID mismatch`);
-    return;
+  // STATUS_HISTORY=true appends every transition to a history comment on the issue
+  const recordHistory = process.env.STATUS_HISTORY === 'true';
+  const wipLimits = parseWipLimits(process.env.WIP_LIMITS);
+  const enforcement = process.env.WIP_ENFORCEMENT || 'warn';
+  if (!WIP_ENFORCEMENTS.includes(enforcement)) {
+    throw new Error(`WIP_ENFORCEMENT must be one of ${WIP_ENFORCEMENTS.join(', ')}, got '${enforcement}'`);
   }
+  const newStatus = recordHistory || Object.keys(wipLimits).length > 0
+    ? await getOptionName(octokit, projectId, fieldId, optionId)
+    : null;
 
-  // Update the field value with retry logic
-  await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_FIELD, {
-      projectId,
-      itemId: item.id,
-      fieldId,
-      optionId
-    }),
-    { operation: 'updating issue status' }
-  );
+  // Only a limited target status needs the board: it is listed once, counted once,
+  // and each moved issue is then added to the counts
+  const limit = newStatus ? wipLimits[newStatus] : undefined;
+  let wip = null;
+  if (limit) {
+    const fieldName = (await getProjectFields(octokit, projectId)).find(field => field.id === fieldId).name;
+    const items = await listProjectItems(octokit, projectId);
+    wip = { fieldName, items, counts: countWipItems(items, fieldName, newStatus), exceeded: [] };
+  }
+
+  let movedCount = 0;
+  for (const [index, issueNodeId] of issueNodeIds.entries()) {
+    const issueRef = issueRefs[index];
+
+    // Find the project item for this issue, on the already listed board when there is one
+    const boardItem = wip?.items.find(candidate => candidate.content?.nodeId === issueNodeId);
+    if (boardItem) {
+      cacheProjectItem(projectId, issueNodeId, boardItem.id);
+    }
+    const item = boardItem ? { id: boardItem.id } : await findIssueProjectItem(octokit, issueNodeId, projectId);
 
-  core.info(`✅ Moved issue${issueNumber ? ` #${issueNumber}` : ''} to new status`);
+    if (!item) {
+      core.warning(`⚠️ No project item found for issue${issueRef ? ` ${issueRef}` : ''} with node_id ${issueNodeId} in project ${projectId}`);
+      core.warning(`This could mean: 1) Issue not in project, 2) Node ID mismatch`);
+      continue;
+    }
+
+    if (wip) {
+      const label = `issue${issueRef ? ` ${issueRef}` : ''}`;
+      const assignees = boardItem?.content?.assignees || [];
+      const alreadyThere = boardItem?.fields[wip.fieldName]?.name === newStatus;
+      const violations = alreadyThere ? [] : findWipViolations(newStatus, limit, wip.counts, assignees);
+
+      if (violations.length > 0 && enforcement === 'block') {
+        core.warning(`🚫 Not moving ${label} to ${newStatus}: ${violations.join('; ')}`);
+        wip.exceeded.push(`Blocked ${label}: ${violations.join('; ')}`);
+        if (boardItem?.content) {
+          await commentOnBlockedMove(octokit, boardItem.content, newStatus, violations);
+        }
+        continue;
+      }
+      if (violations.length > 0 && enforcement === 'warn') {
+        core.warning(`⚠️ Moving ${label} to ${newStatus} exceeds the WIP limits: ${violations.join('; ')}`);
+        wip.exceeded.push(`Moved ${label} over the limit: ${violations.join('; ')}`);
+      } else if (violations.length > 0) {
+        core.info(`ℹ️ Moving ${label} to ${newStatus} over the WIP limits (allowed): ${violations.join('; ')}`);
+      }
+      if (!alreadyThere) {
+        addToWipCounts(wip.counts, assignees);
+      }
+    }
+
+    const previous = recordHistory ? await getItemStatus(octokit, item.id, fieldId) : null;
+
+    // Update the field value with retry logic
+    const variables = { projectId, itemId: item.id, fieldId, optionId };
+    await runMutation(
+      () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_FIELD, variables),
+      { operation: 'updating issue status', variables }
+    );
+
+    core.info(`✅ Moved issue${issueRef ? ` ${issueRef}` : ''} to new status`);
+    movedCount++;
+
+    // A failed history update must not fail the move itself
+    if (previous?.issue && newStatus) {
+      try {
+        await recordStatusChange(octokit, previous.issue, { from: previous.status, to: newStatus });
+      } catch (error) {
+        core.warning(`⚠️ Could not record status history${issueRef ? ` of ${issueRef}` : ''}: ${error.message}`);
+      }
+    }
+  }
+
+  core.info(`📋 Moved ${movedCount}/${issueNodeIds.length} linked issue(s)`);
+
+  if (wip?.exceeded.length > 0 && process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary
+      .addHeading(`WIP limits of ${newStatus}`, 3)
+      .addList(wip.exceeded)
+      .write();
+  }
 }
 
-// Execute script with error handling
-executeScript(moveIssue, 'Move Issue Script');
\ No newline at end of file
+// Export for use in other scripts and run main if called directly
+module.exports = { moveIssue };
+
+if (require.main === module) {
+  executeScript(moveIssue, 'Move Issue Script');
+}
@@ -0,0 +1,90 @@
+/**
+ * Open the next promotion pull request
+ * After a merge into an environment branch, opens a PR from that branch into the
+ * branch of the next environment, unless one is already open or there is nothing to promote
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  runMutation,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { resolveEnvironments, findEnvironmentIndex } = require('./environments');
+
+/**
+ * Main function to open the next promotion PR
+ */
+async function openPromotionPR() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'BRANCH']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const branch = process.env.BRANCH;
+  const environments = resolveEnvironments({
+    environments: process.env.ENVIRONMENTS,
+    stagingLabel: process.env.STAGING_LABEL,
+    productionLabel: process.env.PRODUCTION_LABEL
+  });
+
+  const index = findEnvironmentIndex(environments, branch);
+  const from = environments[index];
+  const to = index === -1 ? undefined : environments[index + 1];
+  if (!to) {
+    core.info(`ℹ️ '${branch}' is not followed by another environment - no promotion PR needed`);
+    setOutputs({ pr_number: '', pr_url: '' });
+    return;
+  }
+
+  const { owner, repo } = github.context.repo;
+  const base = to.branches[0];
+  const octokit = createOctokit(token);
+
+  try {
+    const variables = {
+      owner,
+      repo,
+      title: `deploy: ${branch} -> ${base}`,
+      head: branch,
+      base,
+      body: [
+        `## Deploy from ${from.name} to ${to.name}`,
+        '',
+        `This PR was automatically created to promote the changes on \`${branch}\` to \`${base}\`.`,
+        '',
+        '🤖 *This PR was created automatically by GitHub Actions*'
+      ].join('\n')
+    };
+    const response = await runMutation(
+      () => octokit.rest.pulls.create(variables),
+      { operation: `creating PR from ${branch} to ${base}`, variables }
+    );
+
+    if (!response) {
+      setOutputs({ pr_number: '', pr_url: '' });
+      return;
+    }
+
+    core.info(`✅ PR created: ${response.data.html_url}`);
+    setOutputs({ pr_number: response.data.number.toString(), pr_url: response.data.html_url });
+  } catch (error) {
+    if (error.message.includes('No commits between')) {
+      core.info(`ℹ️ No changes between ${branch} and ${base} - PR not needed`);
+    } else if (error.message.includes('A pull request already exists')) {
+      core.info(`ℹ️ PR from ${branch} to ${base} already exists`);
+    } else {
+      throw error;
+    }
+    setOutputs({ pr_number: '', pr_url: '' });
+  }
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { openPromotionPR };
+
+if (require.main === module) {
+  executeScript(openPromotionPR, 'Open Promotion PR Script');
+}
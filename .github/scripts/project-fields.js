@@ -0,0 +1,162 @@
+/**
+ * Project field value helpers
+ * Converts raw values into Projects V2 field values for every writable field type
+ * and writes or clears them on project items
+ */
+
+const core = require('@actions/core');
+const { runMutation, GRAPHQL_QUERIES } = require('./shared-utils');
+
+/**
+ * Field data types that can be written through updateProjectV2ItemFieldValue
+ */
+const WRITABLE_FIELD_TYPES = ['TEXT', 'NUMBER', 'DATE', 'SINGLE_SELECT', 'ITERATION'];
+
+/**
+ * Formats a date as YYYY-MM-DD (UTC)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+function toISODate(date) {
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Computes the end date (exclusive) of an iteration
+ * @param {Object} iteration - Iteration with startDate and duration in days
+ * @returns {string} ISO date of the first day after the iteration
+ */
+function getIterationEndDate(iteration) {
+  const end = new Date(`${iteration.startDate}T00:00:00Z`);
+  end.setUTCDate(end.getUTCDate() + iteration.duration);
+  return toISODate(end);
+}
+
+/**
+ * Finds an iteration of an iteration field
+ * @param {Object} field - Iteration field with configuration.iterations
+ * @param {string} selector - "current", "next", or an iteration title or ID
+ * @param {Date} date - Reference date for "current" and "next" (default: now)
+ * @returns {Object|null} Iteration with id, title, startDate and duration, or null if none matches
+ */
+function findIteration(field, selector, date = new Date()) {
+  const configuration = field.configuration || {};
+  const iterations = [...(configuration.completedIterations || []), ...(configuration.iterations || [])]
+    .sort((a, b) => a.startDate.localeCompare(b.startDate));
+  const today = toISODate(date);
+
+  switch (String(selector).toLowerCase()) {
+    case 'current':
+      return iterations.find(
+        iteration => iteration.startDate <= today && today < getIterationEndDate(iteration)
+      ) || null;
+    case 'next':
+      return iterations.find(iteration => iteration.startDate > today) || null;
+    default:
+      return iterations.find(iteration => iteration.title === selector || iteration.id === selector) || null;
+  }
+}
+
+/**
+ * Builds the ProjectV2FieldValue input for a field from a raw value
+ * @param {Object} field - Project field with dataType (and options or configuration)
+ * @param {string|number} rawValue - Value to write; dates accept "today", iterations "current"/"next"
+ * @param {Date} date - Reference date for "today", "current" and "next" (default: now)
+ * @returns {Object} Field value input, e.g. { text: '...' } or { singleSelectOptionId: '...' }
+ * @throws {Error} If the field type is not writable or the value does not fit it
+ */
+function buildFieldValue(field, rawValue, date = new Date()) {
+  const value = String(rawValue).trim();
+
+  switch (field.dataType) {
+    case 'TEXT':
+      return { text: String(rawValue) };
+
+    case 'NUMBER': {
+      const number = Number(value);
+      if (value === '' || Number.isNaN(number)) {
+        throw new Error(`Field '${field.name}' expects a number, got "${rawValue}"`);
+      }
+      return { number };
+    }
+
+    case 'DATE': {
+      const dateValue = value.toLowerCase() === 'today' ? toISODate(date) : value;
+      if (!/^\d{4}-\d{2}-\d{2}$/.test(dateValue)) {
+        throw new Error(`Field '${field.name}' expects a date (YYYY-MM-DD or "today"), got "${rawValue}"`);
+      }
+      return { date: dateValue };
+    }
+
+    case 'SINGLE_SELECT': {
+      const options = field.options || [];
+      const option = options.find(opt => opt.name === value)
+        || options.find(opt => opt.name.toLowerCase() === value.toLowerCase());
+      if (!option) {
+        throw new Error(`Option '${value}' not found in field '${field.name}'`);
+      }
+      return { singleSelectOptionId: option.id };
+    }
+
+    case 'ITERATION': {
+      const iteration = findIteration(field, value, date);
+      if (!iteration) {
+        throw new Error(`Iteration '${value}' not found in field '${field.name}'`);
+      }
+      return { iterationId: iteration.id };
+    }
+
+    default:
+      throw new Error(`Field '${field.name}' has type ${field.dataType}, which cannot be set (supported: ${WRITABLE_FIELD_TYPES.join(', ')})`);
+  }
+}
+
+/**
+ * Sets a field value on a project item, whatever the field type
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Update options
+ * @param {string} options.projectId - Project ID
+ * @param {string} options.itemId - Project item ID
+ * @param {Object} options.field - Project field (from findProjectFields)
+ * @param {string|number} options.value - Raw value, converted with buildFieldValue
+ * @returns {Promise<Object>} The field value input that was written
+ */
+async function setProjectFieldValue(octokit, { projectId, itemId, field, value }) {
+  const fieldValue = buildFieldValue(field, value);
+
+  const variables = { projectId, itemId, fieldId: field.id, value: fieldValue };
+  await runMutation(
+    () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_FIELD_VALUE, variables),
+    { operation: `updating field '${field.name}'`, variables }
+  );
+
+  core.info(`✅ Set field '${field.name}' to "${value}" on item ${itemId}`);
+  return fieldValue;
+}
+
+/**
+ * Clears a field value on a project item
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Clear options
+ * @param {string} options.projectId - Project ID
+ * @param {string} options.itemId - Project item ID
+ * @param {Object} options.field - Project field (from findProjectFields)
+ */
+async function clearProjectFieldValue(octokit, { projectId, itemId, field }) {
+  const variables = { projectId, itemId, fieldId: field.id };
+  await runMutation(
+    () => octokit.graphql(GRAPHQL_QUERIES.CLEAR_PROJECT_FIELD, variables),
+    { operation: `clearing field '${field.name}'`, variables }
+  );
+
+  core.info(`✅ Cleared field '${field.name}' on item ${itemId}`);
+}
+
+module.exports = {
+  WRITABLE_FIELD_TYPES,
+  findIteration,
+  getIterationEndDate,
+  buildFieldValue,
+  setProjectFieldValue,
+  clearProjectFieldValue
+};
@@ -1,58 +1,349 @@
 const core = require('@actions/core');
 const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { createOctokit, resolveProjectId } = require('./shared-utils');
+const CONFIG_SCHEMA = require('../../config.schema.json');
 
 /**
- * Reads configuration from inputs or config.json file
- * @param {Object} inputs - Input parameters object
- * @param {string} inputs.project_id - Project ID from workflow input
- * @param {string} inputs.domain - Domain from workflow input
- * @param {string} configPath - Path to config.json file (default: '.github/config.json')
- * @returns {Object} Configuration object with project_id and domain
+ * Event matcher keys accepted in a rule's "when" block
+ */
+const RULE_MATCHER_KEYS = ['event', 'action', 'base', 'head', 'review_state', 'labels', 'merged'];
+
+/**
+ * Rule action types and the keys each one requires
+ */
+const RULE_ACTION_TYPES = {
+  'set-field': ['field'],
+  'set-date': ['field'],
+  'add-label': ['labels'],
+  'remove-label': ['labels'],
+  'add-to-project': [],
+  'remove-from-project': []
+};
+
+/**
+ * Items a rule action can apply to
+ */
+const RULE_TARGETS = ['linked-issues', 'subject'];
+
+/**
+ * Computes the edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1].toUpperCase() === b[j - 1].toUpperCase() ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Finds the known key closest to an unknown one
+ * @param {string} key - Unknown key
+ * @param {string[]} knownKeys - Keys allowed at this level
+ * @returns {string|null} Closest known key, or null if none is close enough
+ */
+function suggestKey(key, knownKeys) {
+  const maxDistance = Math.max(2, Math.floor(key.length / 3));
+  let suggestion = null;
+  let bestDistance = Infinity;
+
+  for (const knownKey of knownKeys) {
+    const distance = editDistance(key, knownKey);
+    if (distance <= maxDistance && distance < bestDistance) {
+      suggestion = knownKey;
+      bestDistance = distance;
+    }
+  }
+
+  return suggestion;
+}
+
+/**
+ * Describes the JSON type of a value for error messages
+ * @param {any} value - Value to describe
+ * @returns {string} JSON type name
+ */
+function describeType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+/**
+ * Validates a value against the JSON schema subset used by config.schema.json
+ * (type, enum, format "regex", properties, additionalProperties and items)
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema for the value
+ * @param {string} source - File or input the value came from, for error messages
+ * @param {string} keyPath - Path of the value inside the source
+ * @returns {string[]} Validation errors, empty when the value is valid
  */
-function readConfig(inputs = {}, configPath = '.github/config.json') {
-  const config = {};
-
-  // Read PROJECT_ID
-  if (inputs.project_id) {
-    config.project_id = inputs.project_id;
-    core.info(`Using PROJECT_ID from input: ${config.project_id}`);
-  } else {
-    // Try to read from config.json
-    if (fs.existsSync(configPath)) {
-      try {
-        const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        config.project_id = configData.PROJECT_ID;
-        core.info(`Using PROJECT_ID from config.json: ${config.project_id}`);
-      } catch (error) {
-        core.setFailed(`Error reading config.json: ${error.message}`);
-        return null;
+function validateSchema(value, schema, source, keyPath = '') {
+  const errors = [];
+  const location = keyPath ? `${source}: "${keyPath}"` : source;
+  const actualType = describeType(value);
+  const expectedTypes = [].concat(schema.type || []);
+
+  if (expectedTypes.length > 0) {
+    const matchesType = expectedTypes.some(type => type === actualType || (type === 'number' && actualType === 'integer'));
+    if (!matchesType) {
+      return [`${location} must be of type ${expectedTypes.join(' or ')}, got ${actualType}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${location} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+  }
+
+  if (schema.format === 'regex') {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      errors.push(`${location} must be a valid regular expression: ${error.message}`);
+    }
+  }
+
+  if (actualType === 'object' && schema.properties) {
+    const knownKeys = Object.keys(schema.properties);
+    for (const [key, childValue] of Object.entries(value)) {
+      const childPath = keyPath ? `${keyPath}.${key}` : key;
+      if (schema.properties[key]) {
+        errors.push(...validateSchema(childValue, schema.properties[key], source, childPath));
+      } else if (schema.additionalProperties === false) {
+        const suggestion = suggestKey(key, knownKeys);
+        errors.push(`${source}: "${childPath}" is not a known option${suggestion ? ` - did you mean "${suggestion}"?` : ''}`);
       }
-    } else {
-      core.setFailed(`No PROJECT_ID provided as input and ${configPath} not found in the repository`);
-      return null;
     }
   }
 
-  // Read DOMAIN
-  if (inputs.domain) {
-    config.domain = inputs.domain;
-    core.info(`Using DOMAIN from input: ${config.domain}`);
-  } else {
-    // Try to read from config.json
-    if (fs.existsSync(configPath)) {
-      try {
-        const configData = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-        config.domain = configData.DOMAIN;
-        if (config.domain) {
-          core.info(`Using DOMAIN from config.json: ${config.domain}`);
-        }
-      } catch (error) {
-        core.warning(`Error reading DOMAIN from config.json: ${error.message}`);
+  if (actualType === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, source, `${keyPath}[${index}]`));
+    });
+  }
+
+  return errors;
+}
+
+/**
+ * Reads a JSON configuration layer from a file or an inline JSON string
+ * @param {string} reference - Path to a JSON file, or a JSON object string
+ * @param {string} source - Name of the layer for error messages
+ * @returns {Object} Object with values and errors
+ */
+function loadConfigLayer(reference, source) {
+  if (!reference) {
+    return { values: {}, errors: [] };
+  }
+
+  const isInline = reference.trim().startsWith('{');
+  const layerSource = isInline ? source : reference;
+
+  try {
+    const content = isInline ? reference : fs.readFileSync(reference, 'utf8');
+    const values = JSON.parse(content);
+    return { values, errors: validateSchema(values, CONFIG_SCHEMA, layerSource) };
+  } catch (error) {
+    return { values: {}, errors: [`${layerSource}: ${error.message}`] };
+  }
+}
+
+/**
+ * Reads configuration from defaults, org config, the repository config file and inputs
+ * Later layers take precedence: schema defaults < org defaults < config.json < workflow inputs
+ * @param {Object} inputs - Workflow inputs keyed by lowercase option name (e.g. project_id, field_name)
+ * @param {string} configPath - Path to config.json file (default: '.github/config.json')
+ * @param {string} orgConfig - Org defaults as a JSON file path or inline JSON (default: ORG_CONFIG env)
+ * @param {Object} options - Read options
+ * @param {boolean} options.requiresProject - Fail when no project is configured (default: true)
+ * @returns {Object|null} Resolved configuration keyed by lowercase option name, or null on error
+ */
+function readConfig(inputs = {}, configPath = '.github/config.json', orgConfig = process.env.ORG_CONFIG, { requiresProject = true } = {}) {
+  const resolved = {};
+  const sources = {};
+  const errors = [];
+
+  const applyLayer = (values, source) => {
+    for (const [key, value] of Object.entries(values)) {
+      if (key === '$schema' || value === undefined || value === '') continue;
+      resolved[key] = value;
+      sources[key] = source;
+    }
+  };
+
+  // Schema defaults
+  applyLayer(
+    Object.fromEntries(
+      Object.entries(CONFIG_SCHEMA.properties)
+        .filter(([, property]) => property.default !== undefined)
+        .map(([key, property]) => [key, property.default])
+    ),
+    'default'
+  );
+
+  // Org defaults
+  const orgLayer = loadConfigLayer(orgConfig, 'ORG_CONFIG');
+  errors.push(...orgLayer.errors);
+  applyLayer(orgLayer.values, 'org config');
+
+  // Repository config file
+  if (fs.existsSync(configPath)) {
+    const repoLayer = loadConfigLayer(configPath, configPath);
+    errors.push(...repoLayer.errors);
+    applyLayer(repoLayer.values, configPath);
+  }
+
+  // Workflow inputs
+  const inputValues = Object.fromEntries(
+    Object.entries(inputs)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([key, value]) => [key.toUpperCase(), value])
+  );
+  errors.push(...validateSchema(inputValues, CONFIG_SCHEMA, 'workflow inputs'));
+  applyLayer(inputValues, 'input');
+
+  const hasProjectOwner = Boolean(resolved.PROJECT_OWNER && resolved.PROJECT_NUMBER);
+  if (requiresProject && !resolved.PROJECT_ID && !resolved.PROJECT_URL && !hasProjectOwner) {
+    errors.push(`No PROJECT_ID, PROJECT_URL or PROJECT_OWNER and PROJECT_NUMBER provided as input, in ${configPath} or in the org config`);
+  }
+
+  if (errors.length > 0) {
+    core.setFailed(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+    return null;
+  }
+
+  // Dump the effective configuration and where each value came from
+  core.startGroup('Effective configuration');
+  for (const [key, value] of Object.entries(resolved)) {
+    core.info(`${key} = ${JSON.stringify(value)} (${sources[key]})`);
+  }
+  core.endGroup();
+
+  return Object.fromEntries(
+    Object.entries(resolved).map(([key, value]) => [key.toLowerCase(), value])
+  );
+}
+
+/**
+ * Resolves the configured project reference to a node ID
+ * @param {Object} config - Configuration returned by readConfig
+ * @param {string} token - GitHub token, only needed when the project is not given by node ID
+ * @returns {Promise<string>} Project node ID
+ */
+async function resolveConfiguredProject(config, token) {
+  const reference = config.project_id || config.project_url || {
+    owner: config.project_owner,
+    number: parseInt(config.project_number, 10)
+  };
+
+  // Node IDs need no lookup, so no token is required for them
+  return resolveProjectId(token ? createOctokit(token) : null, reference);
+}
+
+/**
+ * Validates a parsed rules document
+ * @param {Object} document - Parsed rules file content
+ * @returns {string[]} Validation errors, empty when the document is valid
+ */
+function validateRules(document) {
+  const errors = [];
+
+  if (!document || !Array.isArray(document.rules)) {
+    return ['"rules" must be a list of rules'];
+  }
+
+  document.rules.forEach((rule, ruleIndex) => {
+    const rulePath = `rules[${ruleIndex}]`;
+
+    if (!rule || typeof rule !== 'object') {
+      errors.push(`${rulePath} must be an object`);
+      return;
+    }
+
+    if (!rule.when || typeof rule.when !== 'object') {
+      errors.push(`${rulePath}.when must be an object`);
+    } else {
+      if (!rule.when.event) {
+        errors.push(`${rulePath}.when.event is required`);
       }
+      Object.keys(rule.when)
+        .filter(key => !RULE_MATCHER_KEYS.includes(key))
+        .forEach(key => errors.push(`${rulePath}.when.${key} is not a known matcher (expected one of: ${RULE_MATCHER_KEYS.join(', ')})`));
     }
+
+    if (!Array.isArray(rule.actions) || rule.actions.length === 0) {
+      errors.push(`${rulePath}.actions must be a non-empty list`);
+      return;
+    }
+
+    rule.actions.forEach((action, actionIndex) => {
+      const actionPath = `${rulePath}.actions[${actionIndex}]`;
+      const requiredKeys = RULE_ACTION_TYPES[action?.type];
+
+      if (!requiredKeys) {
+        errors.push(`${actionPath}.type must be one of: ${Object.keys(RULE_ACTION_TYPES).join(', ')}`);
+        return;
+      }
+
+      requiredKeys
+        .filter(key => action[key] === undefined || action[key] === '')
+        .forEach(key => errors.push(`${actionPath}.${key} is required for "${action.type}"`));
+
+      if (action.type === 'set-field' && action.value === undefined && action.clear !== true) {
+        errors.push(`${actionPath}.value is required for "set-field" unless "clear" is true`);
+      }
+
+      if (action.target && !RULE_TARGETS.includes(action.target)) {
+        errors.push(`${actionPath}.target must be one of: ${RULE_TARGETS.join(', ')}`);
+      }
+    });
+  });
+
+  return errors;
+}
+
+/**
+ * Reads and validates the transition rules file (YAML or JSON)
+ * @param {string} rulesPath - Path to the rules file (default: '.github/project-automation.yml')
+ * @returns {Object[]} Validated list of rules
+ * @throws {Error} If the file is missing, cannot be parsed or is invalid
+ */
+function readRules(rulesPath = '.github/project-automation.yml') {
+  if (!fs.existsSync(rulesPath)) {
+    throw new Error(`Rules file ${rulesPath} not found in the repository`);
   }
 
-  return config;
+  let document;
+  try {
+    const content = fs.readFileSync(rulesPath, 'utf8');
+    document = path.extname(rulesPath) === '.json' ? JSON.parse(content) : yaml.load(content);
+  } catch (error) {
+    throw new Error(`Error parsing ${rulesPath}: ${error.message}`);
+  }
+
+  const errors = validateRules(document);
+  if (errors.length > 0) {
+    throw new Error(`Invalid rules file ${rulesPath}:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  core.info(`Loaded ${document.rules.length} rule(s) from ${rulesPath}`);
+  return document.rules;
 }
 
 /**
@@ -60,10 +351,10 @@ function readConfig(inputs = {}, configPath = '.github/config.json') {
  */
 async function main() {
   try {
-    const inputs = {
-      project_id: process.env.PROJECT_ID,
-      domain: process.env.DOMAIN
-    };
+    // Every schema option can be passed as an environment variable of the same name
+    const inputs = Object.fromEntries(
+      Object.keys(CONFIG_SCHEMA.properties).map(key => [key.toLowerCase(), process.env[key]])
+    );
 
     const config = readConfig(inputs);
     
@@ -71,10 +362,18 @@ async function main() {
       process.exit(1);
     }
 
+    // Outputs always carry the project node ID, so later steps never look it up again
+    config.project_id = await resolveConfiguredProject(config, process.env.GITHUB_TOKEN);
+
     // Set outputs for GitHub Actions
-    core.setOutput('project_id', config.project_id);
-    if (config.domain) {
-      core.setOutput('domain', config.domain);
+    for (const [key, value] of Object.entries(config)) {
+      core.setOutput(key, typeof value === 'string' ? value : JSON.stringify(value));
+    }
+
+    // Every later step of the job picks dry-run mode up from the environment
+    if (String(config.dry_run) === 'true') {
+      core.exportVariable('DRY_RUN', 'true');
+      core.info('🧪 Dry run enabled - changes will only be logged');
     }
 
     core.info('Configuration successfully loaded');
@@ -84,7 +383,7 @@ async function main() {
 }
 
 // Export for use in other scripts and run main if called directly
-module.exports = { readConfig };
+module.exports = { readConfig, validateSchema, resolveConfiguredProject, readRules, validateRules };
 
 if (require.main === module) {
   main();
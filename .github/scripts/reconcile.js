@@ -0,0 +1,333 @@
+/**
+ * Reconcile the board with the repository
+ * Lists the open and recently closed issues and PRs, adds the ones missing from the
+ * project, sets their Domain, infers their status from their branches and PRs and fills
+ * missing dates from their timestamps; prints the diff before applying it
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  getProjectFields,
+  cacheProjectItem,
+  listProjectItems,
+  getStage,
+  formatIssueReference,
+  withRetry,
+  runMutation,
+  isDryRun,
+  setOutputs,
+  executeScript,
+  GRAPHQL_QUERIES
+} = require('./shared-utils');
+const { collectEvidence } = require('./issue-resolver');
+const { resolveEnvironments } = require('./environments');
+const { setProjectFieldValue } = require('./project-fields');
+const { setDomain } = require('./add-domain');
+const { parseDomainRules, loadIssueTemplates, resolveDomain } = require('./domain-rules');
+const { recordStatusChange } = require('./status-history');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Infers the status of an issue from its branches and PRs
+ * @param {Object} evidence - { branches, openPullRequests, mergedPullRequests } of the issue
+ * @param {Object} statuses - Status names ({ doing, review, done })
+ * @returns {string|null} Status option name, or null when nothing shows work on it
+ */
+function inferStatus(evidence, statuses) {
+  if (evidence.mergedPullRequests.length > 0) return statuses.done;
+  if (evidence.openPullRequests.length > 0) return statuses.review;
+  if (evidence.branches.length > 0) return statuses.doing;
+  return null;
+}
+
+/**
+ * Turns a timestamp into a date field value
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} YYYY-MM-DD
+ */
+function toDate(timestamp) {
+  return timestamp.slice(0, 10);
+}
+
+/**
+ * Lists the open issues and PRs and the ones closed since a date
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { owner, repo, since }
+ * @returns {Promise<Object>} { issues, openPullRequests, mergedPullRequests }
+ */
+async function listRepositoryContent(octokit, { owner, repo, since }) {
+  const listIssues = state => withRetry(
+    () => octokit.paginate(octokit.rest.issues.listForRepo, {
+      owner,
+      repo,
+      state,
+      ...(state === 'closed' && { since: since.toISOString() }),
+      per_page: 100
+    }),
+    { operation: `listing ${state} issues` }
+  );
+  // The issues endpoint lists PRs too
+  const openIssues = (await listIssues('open')).filter(issue => !issue.pull_request);
+  const closedIssues = (await listIssues('closed'))
+    .filter(issue => !issue.pull_request && new Date(issue.closed_at) >= since);
+
+  const openPullRequests = await withRetry(
+    () => octokit.paginate(octokit.rest.pulls.list, { owner, repo, state: 'open', per_page: 100 }),
+    { operation: 'listing open PRs' }
+  );
+
+  // Closed PRs come most recently updated first, so stop at the first page reaching past the window
+  const closedPullRequests = await withRetry(
+    () => octokit.paginate(
+      octokit.rest.pulls.list,
+      { owner, repo, state: 'closed', sort: 'updated', direction: 'desc', per_page: 100 },
+      (response, done) => {
+        const recent = response.data.filter(pullRequest => new Date(pullRequest.updated_at) >= since);
+        if (recent.length < response.data.length) done();
+        return recent;
+      }
+    ),
+    { operation: 'listing recently closed PRs' }
+  );
+  const mergedPullRequests = closedPullRequests.filter(pullRequest => pullRequest.merged_at && new Date(pullRequest.merged_at) >= since);
+
+  core.info(`📋 Found ${openIssues.length} open and ${closedIssues.length} recently closed issue(s), ${openPullRequests.length} open and ${mergedPullRequests.length} recently merged PR(s)`);
+  return { issues: [...openIssues, ...closedIssues], openPullRequests, mergedPullRequests };
+}
+
+/**
+ * Works out what is missing or out of date for one issue or PR
+ * @param {Object} content - Issue or PR from the REST API
+ * @param {Object} item - Project item from listProjectItems, or undefined when missing
+ * @param {Object} options - Planning options
+ * @param {Object} options.evidence - Branches and PRs of an issue; PRs have none and only get added
+ * @param {Object} options.statuses - Status names
+ * @param {Object} options.fieldNames - { status, date, start, end } field names
+ * @param {string} options.domain - Domain of the item, set when it has none (optional)
+ * @returns {Object|null} { reference, title, content, item, add, changes }, or null when nothing changes
+ */
+function planItem(content, item, { evidence, statuses, fieldNames, domain }) {
+  const current = name => {
+    const value = item?.fields[name];
+    return value?.name || value?.date || null;
+  };
+  const changes = [];
+  const change = (field, to) => changes.push({ field, from: current(field), to });
+
+  if (domain && !current('Domain')) {
+    change('Domain', domain);
+  }
+
+  if (evidence) {
+    const status = inferStatus(evidence, statuses);
+    if (status && getStage(status, statuses) > getStage(current(fieldNames.status), statuses)) {
+      change(fieldNames.status, status);
+    }
+
+    const pullRequests = [...evidence.openPullRequests, ...evidence.mergedPullRequests];
+    if (fieldNames.date && !current(fieldNames.date)) {
+      change(fieldNames.date, toDate(content.created_at));
+    }
+    if (fieldNames.start && pullRequests.length > 0 && !current(fieldNames.start)) {
+      change(fieldNames.start, toDate(pullRequests.map(pullRequest => pullRequest.created_at).sort()[0]));
+    }
+    if (fieldNames.end && content.closed_at && !current(fieldNames.end)) {
+      change(fieldNames.end, toDate(content.closed_at));
+    }
+  }
+
+  if (item && changes.length === 0) {
+    return null;
+  }
+
+  return {
+    reference: `#${content.number}`,
+    title: content.title,
+    content,
+    item,
+    add: !item,
+    changes
+  };
+}
+
+/**
+ * Formats the plan as a diff, one line per item and per field change
+ * @param {Object[]} plan - Planned items
+ * @returns {string[]} Diff lines
+ */
+function formatDiff(plan) {
+  return plan.flatMap(entry => [
+    `${entry.add ? '+' : '~'} ${entry.reference} ${entry.title}${entry.add ? ' (add to project)' : ''}`,
+    ...entry.changes.map(change => `    ${change.field}: ${change.from || '(empty)'} → ${change.to}`)
+  ]);
+}
+
+/**
+ * Applies the plan of one item
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} entry - Planned item
+ * @param {Object} options - { projectId, fields, statusField, recordHistory, defaultRepo }
+ */
+async function applyItem(octokit, entry, { projectId, fields, statusField, recordHistory, defaultRepo }) {
+  let itemId = entry.item?.id;
+  if (entry.add) {
+    const variables = { projectId, contentId: entry.content.node_id };
+    const result = await runMutation(
+      () => octokit.graphql(GRAPHQL_QUERIES.ADD_TO_PROJECT, variables),
+      { operation: `adding ${entry.reference} to project`, variables }
+    );
+    itemId = result.addProjectV2ItemById.item.id;
+    cacheProjectItem(projectId, entry.content.node_id, itemId);
+    core.info(`✅ Added ${entry.reference} to project`);
+  }
+
+  for (const change of entry.changes) {
+    if (change.field === 'Domain') {
+      await setDomain(octokit, projectId, itemId, change.to);
+    } else {
+      await setProjectFieldValue(octokit, { projectId, itemId, field: fields.find(field => field.name === change.field), value: change.to });
+    }
+
+    // A failed history update must not fail the reconcile itself
+    if (change.field === statusField && recordHistory) {
+      try {
+        await recordStatusChange(octokit, { ...defaultRepo, number: entry.content.number }, { from: change.from, to: change.to });
+      } catch (error) {
+        core.warning(`⚠️ Could not record status history of ${entry.reference}: ${error.message}`);
+      }
+    }
+  }
+}
+
+/**
+ * Main function to reconcile the board with the repository
+ */
+async function reconcile() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const regex = process.env.REGEX;
+  const domain = process.env.DOMAIN;
+  const domainRules = parseDomainRules(process.env.DOMAIN_RULES);
+  const closedSinceDays = parseInt(process.env.CLOSED_SINCE_DAYS || '30', 10);
+  const since = new Date(Date.now() - closedSinceDays * DAY_MS);
+  const recordHistory = process.env.STATUS_HISTORY === 'true';
+  const environments = resolveEnvironments({
+    environments: process.env.ENVIRONMENTS,
+    stagingLabel: process.env.STAGING_LABEL,
+    productionLabel: process.env.PRODUCTION_LABEL
+  });
+  const statuses = {
+    doing: process.env.DOING || 'Doing',
+    review: process.env.REVIEW || 'Review',
+    fixing: process.env.FIXING || 'Fixes',
+    approved: process.env.APPROVED,
+    done: process.env.DONE || 'Done',
+    released: environments.map(environment => environment.status).filter(Boolean)
+  };
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+  const defaultRepo = github.context.repo;
+
+  // Only fill the fields the project has
+  const fields = await getProjectFields(octokit, projectId);
+  const hasField = name => name && fields.some(field => field.name === name);
+  const statusField = process.env.FIELD_NAME || 'Status';
+  if (!hasField(statusField)) {
+    throw new Error(`Field '${statusField}' not found in project ${projectId}`);
+  }
+  const fieldNames = {
+    status: statusField,
+    date: hasField(process.env.DATE_FIELD) ? process.env.DATE_FIELD : null,
+    start: hasField(process.env.START_DATE_FIELD) ? process.env.START_DATE_FIELD : null,
+    end: hasField(process.env.END_DATE_FIELD) ? process.env.END_DATE_FIELD : null
+  };
+  const setsDomains = Boolean(domain || domainRules.length > 0);
+  if (setsDomains && !hasField('Domain')) {
+    core.warning(`⚠️ Project ${projectId} has no Domain field - not setting domains`);
+  }
+
+  const items = await listProjectItems(octokit, projectId);
+  const itemsByContent = new Map(items.filter(item => item.content).map(item => [item.content.nodeId, item]));
+
+  core.info(`🔎 Reconciling ${defaultRepo.owner}/${defaultRepo.repo} with project ${projectId} (closed in the last ${closedSinceDays} day(s))`);
+  const { issues, openPullRequests, mergedPullRequests } = await listRepositoryContent(octokit, { ...defaultRepo, since });
+  const evidence = await collectEvidence(octokit, { ...defaultRepo, regex, environments, openPullRequests, mergedPullRequests });
+  const noEvidence = { branches: [], openPullRequests: [], mergedPullRequests: [] };
+
+  // Domains are only resolved for items without one, as reconciling never overrides a domain
+  const templates = domainRules.length > 0 ? loadIssueTemplates() : [];
+  const domainOf = async (content, item) => (setsDomains && hasField('Domain') && !item?.fields.Domain
+    ? (await resolveDomain(octokit, content, { ...defaultRepo, rules: domainRules, templates, fallback: domain })).domain
+    : null);
+
+  const planned = [];
+  for (const issue of issues) {
+    const item = itemsByContent.get(issue.node_id);
+    planned.push(planItem(issue, item, {
+      statuses,
+      fieldNames,
+      domain: await domainOf(issue, item),
+      evidence: evidence.get(formatIssueReference({ ...defaultRepo, number: issue.number })) || noEvidence
+    }));
+  }
+  // Only open PRs belong on the board; merged ones are removed by the merge workflows
+  for (const pullRequest of openPullRequests) {
+    const item = itemsByContent.get(pullRequest.node_id);
+    planned.push(planItem(pullRequest, item, { statuses, fieldNames, domain: await domainOf(pullRequest, item) }));
+  }
+  const plan = planned.filter(Boolean);
+
+  const added = plan.filter(entry => entry.add).length;
+  const updated = plan.length - added;
+  if (plan.length === 0) {
+    core.info('✅ The board matches the repository - nothing to reconcile');
+    setOutputs({ added: '0', updated: '0' });
+    return;
+  }
+
+  const diff = formatDiff(plan);
+  core.info(`📝 ${added} item(s) to add and ${updated} to update:\n${diff.join('\n')}`);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary
+      .addHeading('Reconcile', 3)
+      .addCodeBlock(diff.join('\n'), 'diff')
+      .write();
+  }
+
+  if (isDryRun()) {
+    core.info('🧪 Dry run - not applying the diff');
+    setOutputs({ added: '0', updated: '0' });
+    return;
+  }
+
+  const applied = [];
+  for (const entry of plan) {
+    try {
+      await applyItem(octokit, entry, { projectId, fields, statusField, recordHistory, defaultRepo });
+      applied.push(entry);
+    } catch (error) {
+      core.warning(`⚠️ Could not reconcile ${entry.reference}: ${error.message}`);
+    }
+  }
+
+  core.info(`✅ Reconciled ${applied.length}/${plan.length} item(s)`);
+  setOutputs({
+    added: applied.filter(entry => entry.add).length.toString(),
+    updated: applied.filter(entry => !entry.add).length.toString()
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { reconcile, inferStatus, formatDiff };
+
+if (require.main === module) {
+  executeScript(reconcile, 'Reconcile Script');
+}
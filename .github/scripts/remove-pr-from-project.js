@@ -7,8 +7,10 @@ const core = require('@actions/core');
 const { 
   validateEnvironmentVariables, 
   createOctokit, 
+  resolveProjectId,
   findPRProjectItem,
-  withRetry,
+  cacheProjectItem,
+  runMutation,
   setOutputs,
   executeScript,
   GRAPHQL_QUERIES
@@ -22,10 +24,10 @@ async function removePRFromProject() {
   validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'PR_NODE_ID']);
 
   const token = process.env.GITHUB_TOKEN;
-  const projectId = process.env.PROJECT_ID;
   const prNodeId = process.env.PR_NODE_ID;
 
   const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
 
   core.info(`🔍 Looking for PR with node_id: ${prNodeId} in project ${projectId}`);
 
@@ -36,29 +38,32 @@ async function removePRFromProject() {
     core.info(`ℹ️ PR is not in project ${projectId} - nothing to remove`);
     setOutputs({
       removed: 'false',
-      'pr-number': '',
-      'item-id': ''
+      pr_number: '',
+      item_id: ''
     });
     return;
   }
 
   // Remove the PR from the project with retry logic
-  const result = await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.REMOVE_FROM_PROJECT, {
-      projectId,
-      itemId: projectItem.id
-    }),
-    { operation: 'removing PR from project' }
+  const variables = { projectId, itemId: projectItem.id };
+  await runMutation(
+    () => octokit.graphql(GRAPHQL_QUERIES.REMOVE_FROM_PROJECT, variables),
+    { operation: 'removing PR from project', variables }
   );
+  cacheProjectItem(projectId, prNodeId, null);
 
   core.info(`✅ Successfully removed PR from project`);
   
   setOutputs({
     removed: 'true',
-    'pr-number': '', // PR number would need to be extracted from projectItem if needed
-    'item-id': projectItem.id
+    pr_number: '', // PR number would need to be extracted from projectItem if needed
+    item_id: projectItem.id
   });
 }
 
-// Execute script with error handling
-executeScript(removePRFromProject, 'Remove PR from Project Script');
+// Export for use in other scripts and run main if called directly
+module.exports = { removePRFromProject };
+
+if (require.main === module) {
+  executeScript(removePRFromProject, 'Remove PR from Project Script');
+}
@@ -0,0 +1,189 @@
+/**
+ * Undo the automation of a reverted pull request
+ * Finds the PR a merged revert PR reverts, reopens the issues it closed and removes
+ * their environment labels, so they can be moved back to "Doing"
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  withRetry,
+  runMutation,
+  formatIssueReference,
+  parseList,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { resolveLinkedIssues } = require('./issue-resolver');
+const { resolveEnvironments } = require('./environments');
+
+/**
+ * Matches the "Reverts owner/repo#123" line GitHub puts in revert PR bodies
+ */
+const REVERTS_PATTERN = /^Reverts\s+(?:([\w.-]+)\/([\w.-]+))?#(\d+)/m;
+
+/**
+ * Matches the 'Revert "Original title"' title of revert PRs
+ */
+const REVERT_TITLE_PATTERN = /^Revert\s+"(.+)"$/;
+
+/**
+ * Works out which pull request a revert PR reverts
+ * @param {Object} pullRequest - Revert PR with title and body
+ * @param {Object} defaultRepo - Repository of the current run ({ owner, repo })
+ * @returns {Object|null} { owner, repo, number } from the body, { title } from the title, or null if not a revert
+ */
+function parseRevertedPullRequest(pullRequest, defaultRepo) {
+  const bodyMatch = (pullRequest.body || '').match(REVERTS_PATTERN);
+  if (bodyMatch) {
+    return {
+      owner: bodyMatch[1] || defaultRepo.owner,
+      repo: bodyMatch[2] || defaultRepo.repo,
+      number: parseInt(bodyMatch[3], 10)
+    };
+  }
+
+  const titleMatch = (pullRequest.title || '').trim().match(REVERT_TITLE_PATTERN);
+  return titleMatch ? { title: titleMatch[1] } : null;
+}
+
+/**
+ * Fetches the reverted pull request
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} reverted - Result of parseRevertedPullRequest
+ * @param {Object} defaultRepo - Repository of the current run ({ owner, repo })
+ * @returns {Promise<Object|null>} Pull request, or null if it cannot be found
+ */
+async function findRevertedPullRequest(octokit, reverted, defaultRepo) {
+  if (reverted.number) {
+    try {
+      const { data } = await withRetry(
+        () => octokit.rest.pulls.get({ owner: reverted.owner, repo: reverted.repo, pull_number: reverted.number }),
+        { operation: `fetching reverted PR ${formatIssueReference(reverted, defaultRepo)}` }
+      );
+      return data;
+    } catch (error) {
+      if (error.status === 404) return null;
+      throw error;
+    }
+  }
+
+  // Without a "Reverts #N" line, look for the most recent merged PR with the original title
+  const { data: pullRequests } = await withRetry(
+    () => octokit.rest.pulls.list({ ...defaultRepo, state: 'closed', sort: 'updated', direction: 'desc', per_page: 100 }),
+    { operation: 'listing recently closed PRs' }
+  );
+  return pullRequests.find(pullRequest => pullRequest.merged_at && pullRequest.title === reverted.title) || null;
+}
+
+/**
+ * Reopens an issue and removes its deployment labels
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} issue - Issue ({ owner, repo, number })
+ * @param {string[]} labels - Labels to remove
+ */
+async function reopenIssue(octokit, issue, labels) {
+  const reference = formatIssueReference(issue, github.context.repo);
+  const { data } = await withRetry(
+    () => octokit.rest.issues.get({ owner: issue.owner, repo: issue.repo, issue_number: issue.number }),
+    { operation: `fetching issue ${reference}` }
+  );
+
+  if (data.state === 'closed') {
+    const variables = { owner: issue.owner, repo: issue.repo, issue_number: issue.number, state: 'open' };
+    await runMutation(
+      () => octokit.rest.issues.update(variables),
+      { operation: `reopening issue ${reference}`, variables }
+    );
+    core.info(`🔓 Reopened issue ${reference}`);
+  }
+
+  const currentLabels = data.labels.map(label => (typeof label === 'string' ? label : label.name));
+  for (const label of labels.filter(name => currentLabels.includes(name))) {
+    try {
+      const variables = { owner: issue.owner, repo: issue.repo, issue_number: issue.number, name: label };
+      await runMutation(
+        () => octokit.rest.issues.removeLabel(variables),
+        { operation: `removing "${label}" label from issue ${reference}`, variables }
+      );
+      core.info(`✅ Removed "${label}" label from issue ${reference}`);
+    } catch (error) {
+      core.warning(`⚠️ Could not remove "${label}" label from issue ${reference}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Main function to undo the automation of a reverted PR
+ */
+async function revertPR() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'REGEX']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const regex = process.env.REGEX;
+  // The labels of every environment, unless REVERT_LABELS names them
+  const labels = process.env.REVERT_LABELS
+    ? parseList(process.env.REVERT_LABELS)
+    : resolveEnvironments({
+      environments: process.env.ENVIRONMENTS,
+      stagingLabel: process.env.STAGING_LABEL,
+      productionLabel: process.env.PRODUCTION_LABEL
+    }).map(environment => environment.label);
+  const defaultRepo = github.context.repo;
+
+  const pullRequest = github.context.payload.pull_request;
+  if (!pullRequest) {
+    throw new Error('No pull request found in the event payload');
+  }
+
+  const emptyOutputs = { reverted_pr: '', issue_number: '', issue_refs: '', issue_node_ids: '' };
+
+  const reverted = parseRevertedPullRequest(pullRequest, defaultRepo);
+  if (!reverted) {
+    core.info(`ℹ️ PR #${pullRequest.number} is not a revert`);
+    setOutputs(emptyOutputs);
+    return;
+  }
+
+  const octokit = createOctokit(token);
+  const original = await findRevertedPullRequest(octokit, reverted, defaultRepo);
+  if (!original) {
+    core.warning(`⚠️ Could not find the PR reverted by #${pullRequest.number}`);
+    setOutputs(emptyOutputs);
+    return;
+  }
+
+  const originalRepo = reverted.number ? { owner: reverted.owner, repo: reverted.repo } : defaultRepo;
+  core.info(`⏪ PR #${pullRequest.number} reverts ${formatIssueReference({ ...originalRepo, number: original.number }, defaultRepo)}`);
+
+  const issues = await resolveLinkedIssues(octokit, {
+    ...originalRepo,
+    branch: original.head?.ref,
+    regex,
+    pullRequest: original
+  });
+
+  for (const issue of issues) {
+    await reopenIssue(octokit, issue, labels);
+  }
+
+  const issueRefs = issues.map(issue => formatIssueReference(issue, defaultRepo));
+  core.info(`📋 Found ${issues.length} issue(s) to move back${issues.length > 0 ? `: ${issueRefs.join(', ')}` : ''}`);
+
+  setOutputs({
+    reverted_pr: original.number.toString(),
+    issue_number: issues[0]?.number.toString() || '',
+    issue_refs: issueRefs.join(','),
+    issue_node_ids: issues.map(issue => issue.nodeId).join(',')
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { revertPR, parseRevertedPullRequest };
+
+if (require.main === module) {
+  executeScript(revertPR, 'Revert PR Script');
+}
@@ -0,0 +1,124 @@
+/**
+ * Work out the review state of a pull request
+ * Combines every reviewer's latest review and the outstanding review requests into one
+ * state, the most restrictive one winning, and maps it to a project status
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  withRetry,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+
+/**
+ * Review states, most restrictive first
+ */
+const REVIEW_STATES = ['changes_requested', 'review', 'approved'];
+
+/**
+ * Works out where each reviewer stands
+ * Changes requested on an older commit count as addressed once new commits are pushed,
+ * and a re-requested review waits for the reviewer again
+ * @param {Object[]} reviews - Reviews from the pulls API
+ * @param {Object} pullRequest - Pull request with head.sha, requested_reviewers and requested_teams
+ * @returns {Map<string, string>} State by reviewer login (teams as team:slug)
+ */
+function getReviewerStates(reviews, pullRequest) {
+  const states = new Map();
+  const sorted = [...reviews].sort((a, b) => new Date(a.submitted_at) - new Date(b.submitted_at));
+
+  for (const review of sorted) {
+    const login = review.user?.login;
+    if (!login) continue;
+
+    switch (review.state) {
+      case 'APPROVED':
+        states.set(login, 'approved');
+        break;
+      case 'CHANGES_REQUESTED':
+        states.set(login, review.commit_id === pullRequest.head?.sha ? 'changes_requested' : 'review');
+        break;
+      case 'DISMISSED':
+        states.delete(login);
+        break;
+      default:
+        // Comments don't change where a reviewer stands
+        break;
+    }
+  }
+
+  for (const reviewer of pullRequest.requested_reviewers || []) {
+    states.set(reviewer.login, 'review');
+  }
+  for (const team of pullRequest.requested_teams || []) {
+    states.set(`team:${team.slug}`, 'review');
+  }
+
+  return states;
+}
+
+/**
+ * Combines the reviewer states into the state of the pull request
+ * @param {Map<string, string>} reviewerStates - State by reviewer
+ * @returns {string} Most restrictive state, 'review' when nobody reviewed yet
+ */
+function aggregateReviewState(reviewerStates) {
+  const states = [...reviewerStates.values()];
+  return REVIEW_STATES.find(state => states.includes(state)) || 'review';
+}
+
+/**
+ * Main function to work out the review state
+ */
+async function reviewState() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const statuses = {
+    changes_requested: process.env.FIXING || 'Fixes',
+    review: process.env.REVIEW || 'Review',
+    // Without an approved column, approved PRs simply stay in review
+    approved: process.env.APPROVED || process.env.REVIEW || 'Review'
+  };
+
+  const pullRequest = github.context.payload.pull_request;
+  if (!pullRequest) {
+    throw new Error('No pull request found in the event payload');
+  }
+
+  if (pullRequest.state === 'closed') {
+    core.info(`ℹ️ PR #${pullRequest.number} is closed - review state no longer applies`);
+    setOutputs({ state: '', status: '' });
+    return;
+  }
+
+  const owner = github.context.repo.owner;
+  const repo = github.context.repo.repo;
+  const octokit = createOctokit(token);
+
+  const reviews = await withRetry(
+    () => octokit.paginate(octokit.rest.pulls.listReviews, { owner, repo, pull_number: pullRequest.number, per_page: 100 }),
+    { operation: `listing reviews of PR #${pullRequest.number}` }
+  );
+
+  const reviewerStates = getReviewerStates(reviews, pullRequest);
+  const state = aggregateReviewState(reviewerStates);
+
+  const reviewers = [...reviewerStates].map(([login, reviewerState]) => `${login}: ${reviewerState}`);
+  core.info(`🔍 PR #${pullRequest.number} is ${state}${reviewers.length > 0 ? ` (${reviewers.join(', ')})` : ''}`);
+  core.info(`➡️ Linked issues belong in '${statuses[state]}'`);
+
+  setOutputs({ state, status: statuses[state] });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { reviewState, getReviewerStates, aggregateReviewState };
+
+if (require.main === module) {
+  executeScript(reviewState, 'Review State Script');
+}
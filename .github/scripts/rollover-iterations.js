@@ -0,0 +1,91 @@
+/**
+ * Roll unfinished items over to the current iteration
+ * Moves items still in an in-progress status whose iteration has ended
+ * into the iteration containing today's date (or the next one)
+ */
+
+const core = require('@actions/core');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  findProjectFields,
+  listProjectItems,
+  parseList,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { findIteration, getIterationEndDate, setProjectFieldValue } = require('./project-fields');
+
+/**
+ * Main function to roll items over to the current iteration
+ */
+async function rolloverIterations() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'ITERATION_FIELD']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const iterationFieldName = process.env.ITERATION_FIELD;
+  const statusFieldName = process.env.FIELD_NAME || 'Status';
+  // Without ROLLOVER_STATUSES, everything still being worked on or reviewed rolls over
+  const configuredStatuses = parseList(process.env.ROLLOVER_STATUSES);
+  const rolloverStatuses = configuredStatuses.length > 0
+    ? configuredStatuses
+    : [process.env.DOING || 'Doing', process.env.REVIEW || 'Review'];
+  const today = new Date().toISOString().split('T')[0];
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+
+  const { field } = await findProjectFields(octokit, projectId, iterationFieldName);
+  if (field.dataType !== 'ITERATION') {
+    throw new Error(`Field '${iterationFieldName}' is not an iteration field`);
+  }
+
+  const targetIteration = findIteration(field, 'current') || findIteration(field, 'next');
+  if (!targetIteration) {
+    core.warning(`⚠️ No current or upcoming iteration in field '${iterationFieldName}' - nothing to roll over to`);
+    setOutputs({ rolled_over: '0', iteration: '' });
+    return;
+  }
+
+  core.info(`🔁 Rolling items in ${rolloverStatuses.join(', ')} over to '${targetIteration.title}'`);
+
+  const items = await listProjectItems(octokit, projectId);
+
+  let rolledCount = 0;
+  for (const item of items) {
+    const status = item.fields[statusFieldName]?.name;
+    const iteration = item.fields[iterationFieldName];
+
+    // Only unfinished items whose iteration is already over
+    if (!rolloverStatuses.includes(status) || !iteration || getIterationEndDate(iteration) > today) {
+      continue;
+    }
+
+    await setProjectFieldValue(octokit, {
+      projectId,
+      itemId: item.id,
+      field,
+      value: targetIteration.id
+    });
+
+    const label = item.content ? `${item.content.owner}/${item.content.repo}#${item.content.number}` : item.id;
+    core.info(`✅ Rolled ${label} over from '${iteration.title}' to '${targetIteration.title}'`);
+    rolledCount++;
+  }
+
+  core.info(`📋 Rolled over ${rolledCount} item(s)`);
+
+  setOutputs({
+    rolled_over: rolledCount.toString(),
+    iteration: targetIteration.title
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { rolloverIterations };
+
+if (require.main === module) {
+  executeScript(rolloverIterations, 'Rollover Iterations Script');
+}
@@ -0,0 +1,300 @@
+/**
+ * Roll sub-issues up to their parent issues
+ * Walks up from the given issues to their parents, and recomputes each parent's status
+ * (Doing once any sub-issue is started, Done once all are done), its Start and End
+ * dates from its sub-issues' and an optional progress field such as "3/7 done"
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  getProjectFields,
+  findIssueProjectItem,
+  formatIssueReference,
+  withRetry,
+  runMutation,
+  parseList,
+  getStage,
+  setOutputs,
+  executeScript,
+  GRAPHQL_QUERIES
+} = require('./shared-utils');
+const { resolveEnvironments } = require('./environments');
+const { setItemDate } = require('./set-date');
+const { setProjectFieldValue } = require('./project-fields');
+const { recordStatusChange } = require('./status-history');
+
+/**
+ * How many levels of parents are walked up; GitHub nests sub-issues up to eight deep
+ */
+const MAX_DEPTH = 8;
+
+/**
+ * Finds the parent of an issue
+ * @param {Object} octokit - Octokit instance
+ * @param {string} issueNodeId - Issue node ID
+ * @returns {Promise<Object|null>} Parent with id, number and repository, or null for top-level issues
+ */
+async function getParentIssue(octokit, issueNodeId) {
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.ISSUE_PARENT, { issueNodeId }),
+    { operation: 'finding parent issue' }
+  );
+  return result.issue?.parent || null;
+}
+
+/**
+ * Lists the sub-issues of an issue with the field values of their item in the project
+ * @param {Object} octokit - Octokit instance
+ * @param {string} issueNodeId - Parent issue node ID
+ * @param {string} projectId - Project ID
+ * @returns {Promise<Object[]>} Sub-issues with id, number, closed and values (by field name)
+ */
+async function listSubIssues(octokit, issueNodeId, projectId) {
+  const subIssues = [];
+  let cursor = null;
+
+  do {
+    const result = await withRetry(
+      () => octokit.graphql(GRAPHQL_QUERIES.SUB_ISSUES_PAGINATED, { issueNodeId, cursor }),
+      { operation: 'listing sub-issues' }
+    );
+    const connection = result.issue?.subIssues;
+    if (!connection) {
+      break;
+    }
+
+    for (const node of connection.nodes) {
+      const item = node.projectItems.nodes.find(candidate => candidate.project.id === projectId);
+      const values = (item?.fieldValues.nodes || [])
+        .filter(value => value?.field?.name)
+        .map(value => [value.field.name, value.name || value.date]);
+      subIssues.push({ id: node.id, number: node.number, closed: node.state === 'CLOSED', values: Object.fromEntries(values) });
+    }
+    cursor = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (cursor);
+
+  return subIssues;
+}
+
+/**
+ * Works out what a parent shows from its sub-issues
+ * Sub-issues off the board count as done once closed. Like reconcile, the roll-up only
+ * moves a parent forward, so a parent already in review or done keeps its status
+ * @param {Object[]} subIssues - Sub-issues from listSubIssues
+ * @param {Object} options - { statuses, fieldNames, currentStatus }; currentStatus is the parent's status (optional)
+ * @returns {Object} { status, start, end, done, total }; status is null while the parent should not move
+ */
+function computeRollup(subIssues, { statuses, fieldNames, currentStatus = null }) {
+  const stageOf = subIssue => getStage(subIssue.values[fieldNames.status], statuses);
+  const isDone = subIssue => (subIssue.values[fieldNames.status] ? stageOf(subIssue) === 3 : subIssue.closed);
+
+  const done = subIssues.filter(isDone).length;
+  const allDone = subIssues.length > 0 && done === subIssues.length;
+  const started = done > 0 || subIssues.some(subIssue => stageOf(subIssue) > 0);
+  const starts = subIssues.map(subIssue => subIssue.values[fieldNames.start]).filter(Boolean).sort();
+  const ends = subIssues.map(subIssue => subIssue.values[fieldNames.end]).filter(Boolean).sort();
+
+  const currentStage = getStage(currentStatus, statuses);
+  let status = null;
+  if (allDone && currentStage < 3) {
+    status = statuses.done;
+  } else if (!allDone && started && currentStage < 1) {
+    status = statuses.doing;
+  }
+
+  return {
+    status,
+    start: starts[0] || null,
+    end: allDone ? ends[ends.length - 1] || null : null,
+    done,
+    total: subIssues.length
+  };
+}
+
+/**
+ * Reads a project item's issue and field values
+ * @param {Object} octokit - Octokit instance
+ * @param {string} itemId - Project item ID
+ * @returns {Promise<Object>} { issue, values }; values are option names, dates, texts or numbers by field name
+ */
+async function getItemValues(octokit, itemId) {
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_ITEM_STATUS, { itemId }),
+    { operation: 'reading parent item fields' }
+  );
+  const content = result.item?.content;
+  const values = (result.item?.fieldValues.nodes || [])
+    .filter(value => value?.field?.name)
+    .map(value => [value.field.name, String(value.name ?? value.date ?? value.text ?? value.number)]);
+
+  return {
+    issue: content?.number ? { owner: content.repository.owner.login, repo: content.repository.name, number: content.number } : null,
+    values: Object.fromEntries(values)
+  };
+}
+
+/**
+ * Formats the progress of a parent for a text ("3/7 done") or number (percentage) field
+ * @param {Object} field - Progress field
+ * @param {Object} rollup - { done, total }
+ * @returns {string} Field value
+ */
+function formatProgress(field, { done, total }) {
+  return field.dataType === 'NUMBER' ? String(Math.round((done / total) * 100)) : `${done}/${total} done`;
+}
+
+/**
+ * Recomputes one parent from its sub-issues
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} parent - Parent from getParentIssue
+ * @param {Object} options - { projectId, fields, statuses, fieldNames, recordHistory, defaultRepo }
+ * @returns {Promise<boolean>} True if the parent is in the project
+ */
+async function rollUpParent(octokit, parent, { projectId, fields, statuses, fieldNames, recordHistory, defaultRepo }) {
+  const reference = formatIssueReference({ owner: parent.repository.owner.login, repo: parent.repository.name, number: parent.number }, defaultRepo);
+  const item = await findIssueProjectItem(octokit, parent.id, projectId);
+  if (!item) {
+    core.info(`ℹ️ Parent ${reference} is not in project ${projectId} - skipping`);
+    return false;
+  }
+
+  const current = await getItemValues(octokit, item.id);
+  const rollup = computeRollup(await listSubIssues(octokit, parent.id, projectId), { statuses, fieldNames, currentStatus: current.values[fieldNames.status] });
+  const field = name => fields.find(candidate => candidate.name === name);
+  const changes = [];
+
+  if (rollup.status && rollup.status !== current.values[fieldNames.status]) {
+    const statusField = field(fieldNames.status);
+    const option = statusField.options.find(candidate => candidate.name === rollup.status);
+    if (option) {
+      const variables = { projectId, itemId: item.id, fieldId: statusField.id, optionId: option.id };
+      await runMutation(
+        () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_FIELD, variables),
+        { operation: `updating status of ${reference}`, variables }
+      );
+      changes.push(`${fieldNames.status}: ${rollup.status}`);
+
+      // A failed history update must not fail the roll-up itself
+      if (recordHistory && current.issue) {
+        try {
+          await recordStatusChange(octokit, current.issue, { from: current.values[fieldNames.status] || null, to: rollup.status });
+        } catch (error) {
+          core.warning(`⚠️ Could not record status history of ${reference}: ${error.message}`);
+        }
+      }
+    } else {
+      core.warning(`⚠️ Status '${rollup.status}' not found in field '${fieldNames.status}' - not moving ${reference}`);
+    }
+  }
+
+  for (const [name, date] of [[fieldNames.start, rollup.start], [fieldNames.end, rollup.end]]) {
+    if (name && date && date !== current.values[name]) {
+      await setItemDate(octokit, { projectId, itemId: item.id, fieldId: field(name).id, dateValue: date });
+      changes.push(`${name}: ${date}`);
+    }
+  }
+
+  if (fieldNames.progress && rollup.total > 0) {
+    const progressField = field(fieldNames.progress);
+    const progress = formatProgress(progressField, rollup);
+    if (progress !== current.values[fieldNames.progress]) {
+      await setProjectFieldValue(octokit, { projectId, itemId: item.id, field: progressField, value: progress });
+      changes.push(`${fieldNames.progress}: ${progress}`);
+    }
+  }
+
+  core.info(`✅ Rolled up ${rollup.done}/${rollup.total} done sub-issue(s) into ${reference}${changes.length > 0 ? ` (${changes.join(', ')})` : ' - already up to date'}`);
+  return true;
+}
+
+/**
+ * Main function to roll sub-issues up to their parents
+ */
+async function rollupSubIssues() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const recordHistory = process.env.STATUS_HISTORY === 'true';
+
+  // ISSUE_NODE_IDS lists every moved issue; ISSUE_NODE_ID is kept for single-issue callers
+  const issueNodeIds = parseList(process.env.ISSUE_NODE_IDS || process.env.ISSUE_NODE_ID);
+  if (issueNodeIds.length === 0) {
+    throw new Error('Missing required environment variables: ISSUE_NODE_IDS or ISSUE_NODE_ID');
+  }
+
+  const environments = resolveEnvironments({
+    environments: process.env.ENVIRONMENTS,
+    stagingLabel: process.env.STAGING_LABEL,
+    productionLabel: process.env.PRODUCTION_LABEL
+  });
+  const statuses = {
+    doing: process.env.DOING || 'Doing',
+    review: process.env.REVIEW || 'Review',
+    fixing: process.env.FIXING || 'Fixes',
+    approved: process.env.APPROVED,
+    done: process.env.DONE || 'Done',
+    released: environments.map(environment => environment.status).filter(Boolean)
+  };
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+  const defaultRepo = github.context.repo;
+
+  // Only fill the fields the project has
+  const fields = await getProjectFields(octokit, projectId);
+  const hasField = (name, dataTypes) => name && fields.some(field => field.name === name && dataTypes.includes(field.dataType));
+  const statusField = process.env.FIELD_NAME || 'Status';
+  if (!hasField(statusField, ['SINGLE_SELECT'])) {
+    throw new Error(`Field '${statusField}' not found in project ${projectId}`);
+  }
+  const progressField = process.env.PROGRESS_FIELD;
+  if (progressField && !hasField(progressField, ['TEXT', 'NUMBER'])) {
+    throw new Error(`Progress field '${progressField}' must be a text or number field of project ${projectId}`);
+  }
+  const fieldNames = {
+    status: statusField,
+    start: hasField(process.env.START_DATE_FIELD, ['DATE']) ? process.env.START_DATE_FIELD : null,
+    end: hasField(process.env.END_DATE_FIELD, ['DATE']) ? process.env.END_DATE_FIELD : null,
+    progress: progressField || null
+  };
+  const options = { projectId, fields, statuses, fieldNames, recordHistory, defaultRepo };
+
+  // Walk up one level at a time, so a parent is recomputed after its own sub-issues
+  const visited = new Set();
+  let level = issueNodeIds;
+  let rolledUp = 0;
+  for (let depth = 0; depth < MAX_DEPTH && level.length > 0; depth++) {
+    const parents = new Map();
+    for (const issueNodeId of level) {
+      const parent = await getParentIssue(octokit, issueNodeId);
+      if (parent && !visited.has(parent.id)) {
+        parents.set(parent.id, parent);
+      }
+    }
+
+    for (const parent of parents.values()) {
+      visited.add(parent.id);
+      if (await rollUpParent(octokit, parent, options)) {
+        rolledUp++;
+      }
+    }
+    level = [...parents.keys()];
+  }
+
+  if (visited.size === 0) {
+    core.info('ℹ️ No parent issues to roll up');
+  }
+  setOutputs({ parents: rolledUp.toString() });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { rollupSubIssues, computeRollup };
+
+if (require.main === module) {
+  executeScript(rollupSubIssues, 'Roll Up Sub-issues Script');
+}
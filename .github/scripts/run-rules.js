@@ -0,0 +1,301 @@
+/**
+ * Run declarative transition rules
+ * Matches the current event against the rules file and applies the project
+ * actions of every matching rule
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  findProjectFields,
+  findIssueProjectItem,
+  findPRProjectItem,
+  cacheProjectItem,
+  formatIssueReference,
+  matchesGlob,
+  runMutation,
+  setOutputs,
+  executeScript,
+  GRAPHQL_QUERIES
+} = require('./shared-utils');
+const { resolveLinkedIssues } = require('./issue-resolver');
+const { readRules } = require('./read-config');
+const { setProjectFieldValue, clearProjectFieldValue } = require('./project-fields');
+
+/**
+ * Wraps a single value in a list
+ * @param {any} value - Value or list of values
+ * @returns {any[]} List of values
+ */
+function toList(value) {
+  return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Describes the current event in the terms rules match on
+ * @param {Object} context - GitHub Actions context
+ * @returns {Object} Event context with event, action, base, head, reviewState, labels, merged and subject
+ */
+function getEventContext(context) {
+  const { payload } = context;
+  const { owner, repo } = context.repo;
+  const pullRequest = payload.pull_request;
+  const issue = payload.issue;
+
+  let subject = null;
+  if (pullRequest) {
+    subject = { type: 'pull_request', owner, repo, number: pullRequest.number, nodeId: pullRequest.node_id };
+  } else if (issue) {
+    subject = { type: 'issue', owner, repo, number: issue.number, nodeId: issue.node_id };
+  }
+
+  return {
+    event: context.eventName,
+    action: payload.action,
+    base: pullRequest?.base?.ref,
+    head: pullRequest?.head?.ref || (context.eventName === 'create' ? payload.ref : undefined),
+    reviewState: payload.review?.state,
+    labels: (pullRequest || issue)?.labels?.map(label => label.name) || [],
+    merged: pullRequest?.merged,
+    subject
+  };
+}
+
+/**
+ * Checks whether a rule's "when" block matches the event
+ * @param {Object} rule - Rule from the rules file
+ * @param {Object} eventContext - Result of getEventContext
+ * @returns {boolean} True if every matcher in the rule matches
+ */
+function matchesRule(rule, eventContext) {
+  const { when } = rule;
+
+  if (!toList(when.event).includes(eventContext.event)) {
+    return false;
+  }
+  if (when.action !== undefined && !toList(when.action).includes(eventContext.action)) {
+    return false;
+  }
+  if (when.base !== undefined && !matchesGlob(eventContext.base, when.base)) {
+    return false;
+  }
+  if (when.head !== undefined && !matchesGlob(eventContext.head, when.head)) {
+    return false;
+  }
+  if (when.review_state !== undefined && !toList(when.review_state).includes(eventContext.reviewState)) {
+    return false;
+  }
+  if (when.labels !== undefined && !toList(when.labels).every(label => eventContext.labels.includes(label))) {
+    return false;
+  }
+  if (when.merged !== undefined && Boolean(eventContext.merged) !== when.merged) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Finds the project item of a target issue or pull request
+ * @param {Object} octokit - Octokit instance
+ * @param {string} projectId - Project ID
+ * @param {Object} target - Target with type and nodeId
+ * @returns {Promise<Object|null>} Project item or null if not found
+ */
+async function findTargetItem(octokit, projectId, target) {
+  return target.type === 'pull_request'
+    ? findPRProjectItem(octokit, target.nodeId, projectId)
+    : findIssueProjectItem(octokit, target.nodeId, projectId);
+}
+
+/**
+ * Applies one rule action to its targets
+ * @param {Object} octokit - Octokit instance
+ * @param {string} projectId - Project ID
+ * @param {Object} action - Action from the rules file
+ * @param {Object[]} targets - Issues or pull requests to apply the action to
+ */
+async function applyAction(octokit, projectId, action, targets) {
+  const { owner, repo } = github.context.repo;
+
+  switch (action.type) {
+    case 'set-field': {
+      const { field } = await findProjectFields(octokit, projectId, action.field);
+      for (const target of targets) {
+        const item = await findTargetItem(octokit, projectId, target);
+        if (!item) continue;
+        if (action.clear) {
+          await clearProjectFieldValue(octokit, { projectId, itemId: item.id, field });
+        } else {
+          await setProjectFieldValue(octokit, { projectId, itemId: item.id, field, value: action.value });
+        }
+        core.info(`✅ ${action.clear ? `Cleared '${action.field}'` : `Set '${action.field}' to '${action.value}'`} on ${formatIssueReference(target, { owner, repo })}`);
+      }
+      break;
+    }
+
+    case 'set-date': {
+      const { field } = await findProjectFields(octokit, projectId, action.field);
+      if (field.dataType !== 'DATE') {
+        throw new Error(`Field '${action.field}' is not a date field`);
+      }
+      const dateValue = !action.value || action.value === 'today'
+        ? new Date().toISOString().split('T')[0]
+        : action.value;
+      for (const target of targets) {
+        const item = await findTargetItem(octokit, projectId, target);
+        if (!item) continue;
+        const variables = { projectId, itemId: item.id, fieldId: field.id, dateValue };
+        await runMutation(
+          () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_DATE_FIELD, variables),
+          { operation: `setting '${action.field}' to ${dateValue}`, variables }
+        );
+        core.info(`✅ Set '${action.field}' to ${dateValue} on ${formatIssueReference(target, { owner, repo })}`);
+      }
+      break;
+    }
+
+    case 'add-label': {
+      const labels = toList(action.labels);
+      for (const target of targets) {
+        const variables = { owner: target.owner, repo: target.repo, issue_number: target.number, labels };
+        await runMutation(
+          () => octokit.rest.issues.addLabels(variables),
+          { operation: `adding labels to ${formatIssueReference(target, { owner, repo })}`, variables }
+        );
+        core.info(`✅ Added "${labels.join(', ')}" label(s) to ${formatIssueReference(target, { owner, repo })}`);
+      }
+      break;
+    }
+
+    case 'remove-label': {
+      for (const target of targets) {
+        for (const name of toList(action.labels)) {
+          try {
+            const variables = { owner: target.owner, repo: target.repo, issue_number: target.number, name };
+            await runMutation(
+              () => octokit.rest.issues.removeLabel(variables),
+              { operation: `removing "${name}" label from ${formatIssueReference(target, { owner, repo })}`, variables }
+            );
+            core.info(`✅ Removed "${name}" label from ${formatIssueReference(target, { owner, repo })}`);
+          } catch (error) {
+            core.warning(`⚠️ Could not remove "${name}" label from ${formatIssueReference(target, { owner, repo })}: ${error.message}`);
+          }
+        }
+      }
+      break;
+    }
+
+    case 'add-to-project': {
+      for (const target of targets) {
+        const variables = { projectId, contentId: target.nodeId };
+        const result = await runMutation(
+          () => octokit.graphql(GRAPHQL_QUERIES.ADD_TO_PROJECT, variables),
+          { operation: 'adding content to project', variables }
+        );
+        if (result) {
+          cacheProjectItem(projectId, target.nodeId, result.addProjectV2ItemById.item.id);
+        }
+        core.info(`✅ Added ${formatIssueReference(target, { owner, repo })} to project ${projectId}`);
+      }
+      break;
+    }
+
+    case 'remove-from-project': {
+      for (const target of targets) {
+        const item = await findTargetItem(octokit, projectId, target);
+        if (!item) continue;
+        const variables = { projectId, itemId: item.id };
+        const result = await runMutation(
+          () => octokit.graphql(GRAPHQL_QUERIES.REMOVE_FROM_PROJECT, variables),
+          { operation: 'removing item from project', variables }
+        );
+        if (result) {
+          cacheProjectItem(projectId, target.nodeId, null);
+        }
+        core.info(`✅ Removed ${formatIssueReference(target, { owner, repo })} from project ${projectId}`);
+      }
+      break;
+    }
+
+    default:
+      throw new Error(`Unknown rule action type: ${action.type}`);
+  }
+}
+
+/**
+ * Main function to run the rules matching the current event
+ */
+async function runRules() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const rulesFile = process.env.RULES_FILE || '.github/project-automation.yml';
+  const regex = process.env.ISSUE_BRANCH_REGEX || '^(\\d+)[-_]';
+
+  const rules = readRules(rulesFile);
+  const eventContext = getEventContext(github.context);
+  const matchingRules = rules.filter(rule => matchesRule(rule, eventContext));
+
+  core.info(`📋 Event '${eventContext.event}${eventContext.action ? `.${eventContext.action}` : ''}' matched ${matchingRules.length}/${rules.length} rule(s)`);
+
+  if (matchingRules.length === 0) {
+    setOutputs({ matched_rules: '' });
+    return;
+  }
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+  const { owner, repo } = github.context.repo;
+
+  // Linked issues are only resolved once, and only if a matching rule needs them
+  let linkedIssues = null;
+  const getLinkedIssues = async () => {
+    if (linkedIssues) {
+      return linkedIssues;
+    }
+    if (eventContext.subject?.type === 'issue') {
+      linkedIssues = [eventContext.subject];
+    } else {
+      const issues = await resolveLinkedIssues(octokit, {
+        owner,
+        repo,
+        branch: eventContext.head,
+        regex,
+        pullRequest: github.context.payload.pull_request
+      });
+      linkedIssues = issues.map(issue => ({ type: 'issue', ...issue }));
+    }
+    return linkedIssues;
+  };
+
+  for (const rule of matchingRules) {
+    core.info(`▶️ Applying rule '${rule.name || 'unnamed'}'`);
+
+    for (const action of rule.actions) {
+      const targets = action.target === 'subject'
+        ? [eventContext.subject].filter(Boolean)
+        : await getLinkedIssues();
+
+      if (targets.length === 0) {
+        core.info(`ℹ️ No ${action.target || 'linked-issues'} target for '${action.type}' - skipping`);
+        continue;
+      }
+
+      await applyAction(octokit, projectId, action, targets);
+    }
+  }
+
+  setOutputs({ matched_rules: matchingRules.map(rule => rule.name || 'unnamed').join(',') });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { runRules, getEventContext, matchesRule, applyAction };
+
+if (require.main === module) {
+  executeScript(runRules, 'Run Rules Script');
+}
@@ -1,14 +1,17 @@
 /**
  * Set date field value in GitHub Projects V2
- * Updates a date field for an issue in a project
+ * Updates a date field for one or more issues in a project
  */
 
 const core = require('@actions/core');
 const { 
   validateEnvironmentVariables, 
   createOctokit, 
+  resolveProjectId,
+  getProjectFields,
   findIssueProjectItem,
-  withRetry,
+  runMutation,
+  parseList,
   setOutputs,
   executeScript,
   GRAPHQL_QUERIES
@@ -22,12 +25,9 @@ const {
  * @returns {Promise<Object>} Date field object
  */
 async function findDateField(octokit, projectId, fieldName) {
-  const result = await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_FIELDS, { projectId }),
-    { operation: 'finding date field' }
-  );
+  const fields = await getProjectFields(octokit, projectId);
 
-  const dateField = result.node.fields.nodes.find(
+  const dateField = fields.find(
     field => field.name === fieldName && field.dataType === 'DATE'
   );
   
@@ -39,50 +39,66 @@ async function findDateField(octokit, projectId, fieldName) {
   return dateField;
 }
 
+/**
+ * Sets a date field of a project item
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { projectId, itemId, fieldId, dateValue (YYYY-MM-DD) }
+ */
+async function setItemDate(octokit, { projectId, itemId, fieldId, dateValue }) {
+  const variables = { projectId, itemId, fieldId, dateValue };
+  await runMutation(
+    () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_DATE_FIELD, variables),
+    { operation: 'updating date field', variables }
+  );
+}
+
 /**
  * Main function to set date field
  */
 async function setDate() {
   // Validate required environment variables
-  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'FIELD_NAME', 'ISSUE_NODE_ID']);
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'FIELD_NAME']);
 
   const token = process.env.GITHUB_TOKEN;
-  const projectId = process.env.PROJECT_ID;
   const fieldName = process.env.FIELD_NAME;
-  const issueNodeId = process.env.ISSUE_NODE_ID;
   const dateValue = process.env.DATE_VALUE || new Date().toISOString().split('T')[0]; // Default to current date
 
+  // ISSUE_NODE_IDS lists every linked issue; ISSUE_NODE_ID is kept for single-issue callers
+  const issueNodeIds = parseList(process.env.ISSUE_NODE_IDS || process.env.ISSUE_NODE_ID);
+  if (issueNodeIds.length === 0) {
+    throw new Error('Missing required environment variables: ISSUE_NODE_IDS or ISSUE_NODE_ID');
+  }
+
   const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
 
   // Find the date field
   const dateField = await findDateField(octokit, projectId, fieldName);
 
-  // Find the project item for this issue
-  const projectItem = await findIssueProjectItem(octokit, issueNodeId, projectId);
-  
-  if (!projectItem) {
-    core.warning(`⚠️ Issue not found in project ${projectId}`);
-    return;
-  }
+  for (const issueNodeId of issueNodeIds) {
+    // Find the project item for this issue
+    const projectItem = await findIssueProjectItem(octokit, issueNodeId, projectId);
 
-  // Update the date field with retry logic
-  await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.UPDATE_PROJECT_DATE_FIELD, {
-      projectId,
-      itemId: projectItem.id,
-      fieldId: dateField.id,
-      dateValue
-    }),
-    { operation: 'updating date field' }
-  );
+    if (!projectItem) {
+      core.warning(`⚠️ Issue ${issueNodeId} not found in project ${projectId}`);
+      continue;
+    }
 
-  core.info(`✅ Field "${fieldName}" updated with date: ${dateValue}`);
+    // Update the date field with retry logic
+    await setItemDate(octokit, { projectId, itemId: projectItem.id, fieldId: dateField.id, dateValue });
+
+    core.info(`✅ Field "${fieldName}" updated with date: ${dateValue}`);
+  }
   
   setOutputs({
-    fieldId: dateField.id,
+    field_id: dateField.id,
     date: dateValue
   });
 }
 
-// Execute script with error handling
-executeScript(setDate, 'Set Date Script');
+// Export for use in other scripts and run main if called directly
+module.exports = { setDate, findDateField, setItemDate };
+
+if (require.main === module) {
+  executeScript(setDate, 'Set Date Script');
+}
@@ -0,0 +1,84 @@
+/**
+ * Set any field value in GitHub Projects V2
+ * Writes or clears a text, number, date, single-select or iteration field
+ * for a project item or for one or more issues
+ */
+
+const core = require('@actions/core');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  findProjectFields,
+  findIssueProjectItem,
+  parseList,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { setProjectFieldValue, clearProjectFieldValue } = require('./project-fields');
+
+/**
+ * Main function to set a field value
+ */
+async function setField() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'FIELD_NAME']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const fieldName = process.env.FIELD_NAME;
+  const value = process.env.VALUE;
+  const clear = process.env.CLEAR === 'true';
+  const providedItemId = process.env.ITEM_ID;
+
+  // ISSUE_NODE_IDS lists every linked issue; ISSUE_NODE_ID is kept for single-issue callers
+  const issueNodeIds = parseList(process.env.ISSUE_NODE_IDS || process.env.ISSUE_NODE_ID);
+
+  if (!clear && (value === undefined || value === '')) {
+    throw new Error('Missing required environment variables: VALUE (or CLEAR=true)');
+  }
+  if (!providedItemId && issueNodeIds.length === 0) {
+    throw new Error('Missing required environment variables: ITEM_ID, ISSUE_NODE_IDS or ISSUE_NODE_ID');
+  }
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+
+  const { field } = await findProjectFields(octokit, projectId, fieldName);
+
+  // Collect the project items to update
+  const itemIds = [];
+  if (providedItemId) {
+    core.info(`📌 Using provided item ID: ${providedItemId}`);
+    itemIds.push(providedItemId);
+  } else {
+    for (const issueNodeId of issueNodeIds) {
+      const item = await findIssueProjectItem(octokit, issueNodeId, projectId);
+      if (!item) {
+        core.warning(`⚠️ Issue ${issueNodeId} not found in project ${projectId}`);
+        continue;
+      }
+      itemIds.push(item.id);
+    }
+  }
+
+  for (const itemId of itemIds) {
+    if (clear) {
+      await clearProjectFieldValue(octokit, { projectId, itemId, field });
+    } else {
+      await setProjectFieldValue(octokit, { projectId, itemId, field, value });
+    }
+  }
+
+  setOutputs({
+    field_id: field.id,
+    field_type: field.dataType,
+    updated: itemIds.length.toString()
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { setField };
+
+if (require.main === module) {
+  executeScript(setField, 'Set Field Script');
+}
@@ -0,0 +1,123 @@
+/**
+ * Write the reviewers of a PR to the project
+ * Lists the users and teams whose review is requested on a PR, and the users who
+ * already reviewed it, and writes them to a text field of the PR's project item and
+ * of the items of its linked issues
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  findProjectFields,
+  findIssueProjectItem,
+  findPRProjectItem,
+  parseList,
+  withRetry,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { setProjectFieldValue, clearProjectFieldValue } = require('./project-fields');
+
+/**
+ * Built-in user fields, which GitHub fills itself and the API cannot write
+ */
+const BUILT_IN_USER_FIELDS = ['ASSIGNEES', 'REVIEWERS'];
+
+/**
+ * Lists the reviewers of a PR: requested users and teams, then users who reviewed
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - { owner, repo, number, author }
+ * @returns {Promise<string[]>} Mentions such as "@alice" and "@acme/web", without the author
+ */
+async function listReviewers(octokit, { owner, repo, number, author }) {
+  const { data: requested } = await withRetry(
+    () => octokit.rest.pulls.listRequestedReviewers({ owner, repo, pull_number: number }),
+    { operation: `listing requested reviewers of PR #${number}` }
+  );
+  const reviews = await withRetry(
+    () => octokit.paginate(octokit.rest.pulls.listReviews, { owner, repo, pull_number: number, per_page: 100 }),
+    { operation: `listing reviews of PR #${number}` }
+  );
+
+  const users = [
+    ...requested.users.map(user => user.login),
+    ...reviews.filter(review => review.state !== 'DISMISSED' && review.user).map(review => review.user.login)
+  ].filter(login => login !== author);
+  const teams = (requested.teams || []).map(team => `${owner}/${team.slug}`);
+  return [...new Set([...users, ...teams])].map(name => `@${name}`);
+}
+
+/**
+ * Main function to write the reviewers of a PR
+ */
+async function setReviewers() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID', 'REVIEWERS_FIELD']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const fieldName = process.env.REVIEWERS_FIELD;
+  const issueNodeIds = parseList(process.env.ISSUE_NODE_IDS);
+  const { owner, repo } = github.context.repo;
+  const number = parseInt(process.env.PR_NUMBER || github.context.payload.pull_request?.number, 10);
+  if (!number) {
+    throw new Error('No PR found in context and no PR_NUMBER provided');
+  }
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+
+  const { field } = await findProjectFields(octokit, projectId, fieldName);
+  if (BUILT_IN_USER_FIELDS.includes(field.dataType)) {
+    core.info(`ℹ️ '${fieldName}' is a built-in field GitHub fills for PR items itself - set REVIEWERS_FIELD to a text field to show reviewers on issues`);
+    setOutputs({ reviewers: '', updated: '0' });
+    return;
+  }
+  if (field.dataType !== 'TEXT') {
+    throw new Error(`Field '${fieldName}' must be a text field to hold reviewers, got ${field.dataType}`);
+  }
+
+  const { data: pullRequest } = await withRetry(
+    () => octokit.rest.pulls.get({ owner, repo, pull_number: number }),
+    { operation: `fetching PR #${number}` }
+  );
+  const reviewers = await listReviewers(octokit, { owner, repo, number, author: pullRequest.user?.login });
+  core.info(`👀 Reviewers of PR #${number}: ${reviewers.join(', ') || 'none'}`);
+
+  // Collect the items of the PR and its linked issues
+  const items = [];
+  const pullRequestItem = await findPRProjectItem(octokit, pullRequest.node_id, projectId);
+  if (pullRequestItem) {
+    items.push(pullRequestItem);
+  }
+  for (const issueNodeId of issueNodeIds) {
+    const item = await findIssueProjectItem(octokit, issueNodeId, projectId);
+    if (!item) {
+      core.warning(`⚠️ Issue ${issueNodeId} not found in project ${projectId}`);
+      continue;
+    }
+    items.push(item);
+  }
+
+  for (const item of items) {
+    if (reviewers.length > 0) {
+      await setProjectFieldValue(octokit, { projectId, itemId: item.id, field, value: reviewers.join(', ') });
+    } else {
+      await clearProjectFieldValue(octokit, { projectId, itemId: item.id, field });
+    }
+  }
+
+  setOutputs({
+    reviewers: reviewers.join(','),
+    updated: items.length.toString()
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { setReviewers, listReviewers };
+
+if (require.main === module) {
+  executeScript(setReviewers, 'Set Reviewers Script');
+}
@@ -3,6 +3,8 @@
  * Provides common functionality for project automation workflows
  */
 
+const fs = require('fs');
+const path = require('path');
 const core = require('@actions/core');
 const github = require('@actions/github');
 
@@ -21,8 +23,48 @@ function validateEnvironmentVariables(requiredVars) {
   core.info(`✅ All required environment variables validated: ${requiredVars.join(', ')}`);
 }
 
+/**
+ * Latest rate-limit budget seen in API responses, keyed by resource (core, graphql, ...)
+ */
+const rateLimits = new Map();
+
+/**
+ * Records the rate-limit headers of an API response
+ * @param {Object} headers - Response headers
+ */
+function trackRateLimit(headers = {}) {
+  if (headers['x-ratelimit-remaining'] === undefined) {
+    return;
+  }
+
+  const resource = headers['x-ratelimit-resource'] || 'core';
+  const remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+  const limit = parseInt(headers['x-ratelimit-limit'], 10);
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+  const previous = rateLimits.get(resource);
+
+  rateLimits.set(resource, { remaining, limit, reset });
+  core.debug(`Rate limit (${resource}): ${remaining}/${limit} remaining`);
+
+  // Warn once when a resource drops below 10% of its budget
+  if (limit && remaining < limit * 0.1 && !(previous && previous.remaining < previous.limit * 0.1)) {
+    core.warning(`⚠️ Rate limit for ${resource} is running low: ${remaining}/${limit} remaining until ${new Date(reset * 1000).toISOString()}`);
+  }
+}
+
+/**
+ * Logs the remaining rate-limit budget of every resource used during the run
+ */
+function logRateLimits() {
+  for (const [resource, { remaining, limit, reset }] of rateLimits) {
+    core.info(`📊 Rate limit (${resource}): ${remaining}/${limit} remaining, resets at ${new Date(reset * 1000).toISOString()}`);
+  }
+}
+
 /**
  * Creates an authenticated Octokit instance
+ * Every response's rate-limit headers are recorded for logRateLimits, and every
+ * request is logged when LOG_API_REQUESTS=true
  * @param {string} token - GitHub token
  * @returns {Object} Octokit instance
  */
@@ -30,23 +72,127 @@ function createOctokit(token) {
   if (!token) {
     throw new Error('GitHub token is required');
   }
-  return github.getOctokit(token);
+
+  const octokit = github.getOctokit(token);
+  if (octokit.hook) {
+    // Set by the local replay CLI to print every call the scripts make
+    if (process.env.LOG_API_REQUESTS === 'true') {
+      octokit.hook.before('request', options => {
+        const detail = options.query
+          ? ` ${options.query.trim().split('\n')[0]} ${JSON.stringify(options.variables || {})}`
+          : '';
+        const { method, url } = octokit.request.endpoint.parse(options);
+        core.info(`🌐 ${method} ${url}${detail}`);
+      });
+    }
+    octokit.hook.after('request', response => trackRateLimit(response.headers));
+    octokit.hook.error('request', error => {
+      trackRateLimit(error.response?.headers);
+      throw error;
+    });
+  }
+  return octokit;
+}
+
+/**
+ * Network error codes worth retrying
+ */
+const RETRYABLE_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'UND_ERR_SOCKET'];
+
+/**
+ * Decides whether a failed API call is worth retrying
+ * Server errors, rate limits and network failures are retryable; other 4xx responses
+ * and GraphQL errors (validation, NOT_FOUND, FORBIDDEN...) are not
+ * @param {Error} error - Error thrown by Octokit
+ * @returns {Object} Object with retryable and reason
+ */
+function classifyError(error) {
+  const status = error.status;
+  const headers = error.response?.headers || error.headers || {};
+  const message = String(error.message || '');
+
+  if (Array.isArray(error.errors) && error.errors.length > 0 && !status) {
+    return error.errors.some(graphqlError => graphqlError.type === 'RATE_LIMITED')
+      ? { retryable: true, reason: 'GraphQL rate limit' }
+      : { retryable: false, reason: `GraphQL error${error.errors[0].type ? ` (${error.errors[0].type})` : ''}` };
+  }
+
+  if (status === 429) {
+    return { retryable: true, reason: 'rate limit' };
+  }
+  if (status === 403 && (headers['retry-after'] || headers['x-ratelimit-remaining'] === '0' || /rate limit|abuse/i.test(message))) {
+    return { retryable: true, reason: /secondary|abuse/i.test(message) ? 'secondary rate limit' : 'rate limit' };
+  }
+  if (status >= 500) {
+    return { retryable: true, reason: `server error ${status}` };
+  }
+  if (status >= 400) {
+    return { retryable: false, reason: `client error ${status}` };
+  }
+  if (RETRYABLE_ERROR_CODES.includes(error.code) || RETRYABLE_ERROR_CODES.includes(error.cause?.code)) {
+    return { retryable: true, reason: `network error ${error.code || error.cause.code}` };
+  }
+
+  return { retryable: false, reason: 'unexpected error' };
+}
+
+/**
+ * Computes how long to wait before the next attempt
+ * Uses Retry-After or x-ratelimit-reset when the response has them, otherwise
+ * exponential backoff with jitter
+ * @param {Error} error - Error of the failed attempt
+ * @param {number} attempt - Number of the failed attempt (1-based)
+ * @param {Object} options - Backoff options
+ * @param {number} options.delay - Base delay in ms
+ * @param {Function} options.random - Random number source in [0, 1)
+ * @param {Function} options.now - Current time in ms
+ * @returns {number} Delay in ms
+ */
+function getRetryDelay(error, attempt, { delay, random = Math.random, now = Date.now }) {
+  const headers = error.response?.headers || error.headers || {};
+
+  const retryAfter = parseInt(headers['retry-after'], 10);
+  if (!Number.isNaN(retryAfter)) {
+    return retryAfter * 1000;
+  }
+
+  const reset = parseInt(headers['x-ratelimit-reset'], 10);
+  if (headers['x-ratelimit-remaining'] === '0' && !Number.isNaN(reset)) {
+    return Math.max(reset * 1000 - now(), 0) + 1000;
+  }
+
+  // Exponential backoff with jitter between 50% and 100% of the step
+  const step = delay * 2 ** (attempt - 1);
+  return Math.round(step / 2 + random() * step / 2);
 }
 
 /**
  * Executes a function with retry logic
+ * Only retryable errors (see classifyError) are retried; others are rethrown as is
  * @param {Function} fn - Function to execute
  * @param {Object} options - Retry options
- * @param {number} options.maxRetries - Maximum number of retries (default: 3)
- * @param {number} options.delay - Delay between retries in ms (default: 1000)
+ * @param {number} options.maxRetries - Maximum number of attempts (default: 3)
+ * @param {number} options.delay - Base delay for exponential backoff in ms (default: 1000)
+ * @param {number} options.maxDelay - Longest wait before giving up in ms (default: 120000)
  * @param {string} options.operation - Operation name for logging
+ * @param {Function} options.sleep - Waits the given ms (injectable for tests)
+ * @param {Function} options.random - Random number source for jitter (injectable for tests)
  * @returns {Promise<any>} Result of the function
  */
 async function withRetry(fn, options = {}) {
-  const { maxRetries = 3, delay = 1000, operation = 'operation' } = options;
+  const {
+    maxRetries = 3,
+    delay = 1000,
+    maxDelay = 120000,
+    operation = 'operation',
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    random = Math.random
+  } = options;
   let lastError;
+  let attempts = 0;
 
   for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    attempts = attempt;
     try {
       const result = await fn();
       if (attempt > 1) {
@@ -55,22 +201,128 @@ async function withRetry(fn, options = {}) {
       return result;
     } catch (error) {
       lastError = error;
-      core.warning(`⚠️ ${operation} failed on attempt ${attempt}/${maxRetries}: ${error.message}`);
-      
+      const { retryable, reason } = classifyError(error);
+
+      if (!retryable) {
+        core.warning(`⚠️ ${operation} failed (${reason}, not retrying): ${error.message}`);
+        throw error;
+      }
+
+      core.warning(`⚠️ ${operation} failed on attempt ${attempt}/${maxRetries} (${reason}): ${error.message}`);
+
       if (attempt < maxRetries) {
-        core.info(`⏱️ Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
+        const wait = getRetryDelay(error, attempt, { delay, random });
+        if (wait > maxDelay) {
+          core.warning(`⚠️ ${operation} would have to wait ${Math.ceil(wait / 1000)}s for the rate limit to reset - giving up`);
+          break;
+        }
+        core.info(`⏱️ Retrying in ${wait}ms...`);
+        await sleep(wait);
       }
     }
   }
 
-  throw new Error(`${operation} failed after ${maxRetries} attempts. Last error: ${lastError.message}`);
+  const error = new Error(`${operation} failed after ${attempts} attempts. Last error: ${lastError.message}`);
+  error.status = lastError.status;
+  throw error;
+}
+
+/**
+ * Checks whether this is a dry run (DRY_RUN=true), in which mutations are only logged
+ * @returns {boolean} True in dry-run mode
+ */
+function isDryRun() {
+  return ['true', '1', 'yes'].includes(String(process.env.DRY_RUN || '').trim().toLowerCase());
+}
+
+/**
+ * Mutations made (or, in dry-run mode, skipped) during this run, for the job summary
+ */
+const recordedChanges = [];
+
+/**
+ * Runs a mutation with retry logic, or only logs it in dry-run mode
+ * Every mutation is recorded and listed in the job summary at the end of the script
+ * @param {Function} fn - Function sending the mutation
+ * @param {Object} options - withRetry options, plus:
+ * @param {Object} options.variables - Exact variables sent with the mutation, for logging
+ * @returns {Promise<any>} Result of the function, or null in dry-run mode
+ */
+async function runMutation(fn, options = {}) {
+  const { operation = 'mutation', variables = {} } = options;
+
+  if (isDryRun()) {
+    core.info(`🧪 Dry run - skipped ${operation}: ${JSON.stringify(variables)}`);
+    recordedChanges.push({ operation, variables, status: 'skipped' });
+    return null;
+  }
+
+  try {
+    const result = await withRetry(fn, options);
+    recordedChanges.push({ operation, variables, status: 'applied' });
+    return result;
+  } catch (error) {
+    recordedChanges.push({ operation, variables, status: 'failed' });
+    throw error;
+  }
+}
+
+/**
+ * Writes the mutations of this run to the job summary
+ * @param {string} scriptName - Name of the script, used as the summary heading
+ */
+async function writeChangesSummary(scriptName) {
+  if (recordedChanges.length === 0 || !process.env.GITHUB_STEP_SUMMARY) {
+    return;
+  }
+
+  const dryRun = isDryRun();
+  await core.summary
+    .addHeading(`${scriptName}${dryRun ? ' (dry run)' : ''}`, 3)
+    .addRaw(dryRun ? 'No changes were made. These mutations would have been sent:' : 'Mutations sent:', true)
+    .addTable([
+      [{ data: 'Change', header: true }, { data: 'Variables', header: true }, { data: 'Status', header: true }],
+      ...recordedChanges.map(change => [
+        change.operation,
+        `<code>${JSON.stringify(change.variables).replace(/&/g, '&amp;').replace(/</g, '&lt;')}</code>`,
+        change.status
+      ])
+    ])
+    .write();
 }
 
 /**
  * Common GraphQL queries for project automation
  */
 const GRAPHQL_QUERIES = {
+  /**
+   * Find an organization project by number
+   */
+  ORGANIZATION_PROJECT: `
+    query($owner: String!, $number: Int!) {
+      owner: organization(login: $owner) {
+        projectV2(number: $number) {
+          id
+          title
+        }
+      }
+    }
+  `,
+
+  /**
+   * Find a user project by number
+   */
+  USER_PROJECT: `
+    query($owner: String!, $number: Int!) {
+      owner: user(login: $owner) {
+        projectV2(number: $number) {
+          id
+          title
+        }
+      }
+    }
+  `,
+
   /**
    * Find project fields and options
    */
@@ -83,11 +335,33 @@ const GRAPHQL_QUERIES = {
               ... on ProjectV2SingleSelectField {
                 id
                 name
+                dataType
                 options {
                   id
                   name
                 }
               }
+              ... on ProjectV2IterationField {
+                id
+                name
+                dataType
+                configuration {
+                  duration
+                  startDay
+                  iterations {
+                    id
+                    title
+                    startDate
+                    duration
+                  }
+                  completedIterations {
+                    id
+                    title
+                    startDate
+                    duration
+                  }
+                }
+              }
               ... on ProjectV2Field {
                 id
                 name
@@ -100,6 +374,182 @@ const GRAPHQL_QUERIES = {
     }
   `,
 
+  /**
+   * List project items with their content and field values, with pagination
+   */
+  PROJECT_ITEMS_PAGINATED: `
+    query($projectId: ID!, $cursor: String) {
+      node(id: $projectId) {
+        ... on ProjectV2 {
+          items(first: 100, after: $cursor) {
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+            nodes {
+              id
+              isArchived
+              updatedAt
+              content {
+                __typename
+                ... on Issue {
+                  id
+                  number
+                  title
+                  state
+                  url
+                  repository {
+                    name
+                    owner {
+                      login
+                    }
+                  }
+                  assignees(first: 10) {
+                    nodes {
+                      login
+                    }
+                  }
+                }
+                ... on PullRequest {
+                  id
+                  number
+                  title
+                  state
+                  url
+                  repository {
+                    name
+                    owner {
+                      login
+                    }
+                  }
+                  assignees(first: 10) {
+                    nodes {
+                      login
+                    }
+                  }
+                }
+              }
+              fieldValues(first: 30) {
+                nodes {
+                  ... on ProjectV2ItemFieldSingleSelectValue {
+                    name
+                    optionId
+                    updatedAt
+                    field {
+                      ... on ProjectV2FieldCommon {
+                        name
+                      }
+                    }
+                  }
+                  ... on ProjectV2ItemFieldIterationValue {
+                    iterationId
+                    title
+                    startDate
+                    duration
+                    field {
+                      ... on ProjectV2FieldCommon {
+                        name
+                      }
+                    }
+                  }
+                  ... on ProjectV2ItemFieldDateValue {
+                    date
+                    field {
+                      ... on ProjectV2FieldCommon {
+                        name
+                      }
+                    }
+                  }
+                  ... on ProjectV2ItemFieldTextValue {
+                    text
+                    field {
+                      ... on ProjectV2FieldCommon {
+                        name
+                      }
+                    }
+                  }
+                  ... on ProjectV2ItemFieldNumberValue {
+                    number
+                    field {
+                      ... on ProjectV2FieldCommon {
+                        name
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /**
+   * Get a project item's issue and single-select, date, text and number values
+   */
+  PROJECT_ITEM_STATUS: `
+    query($itemId: ID!) {
+      item: node(id: $itemId) {
+        ... on ProjectV2Item {
+          id
+          content {
+            ... on Issue {
+              number
+              repository {
+                name
+                owner {
+                  login
+                }
+              }
+            }
+          }
+          fieldValues(first: 30) {
+            nodes {
+              ... on ProjectV2ItemFieldSingleSelectValue {
+                name
+                optionId
+                field {
+                  ... on ProjectV2FieldCommon {
+                    id
+                    name
+                  }
+                }
+              }
+              ... on ProjectV2ItemFieldDateValue {
+                date
+                field {
+                  ... on ProjectV2FieldCommon {
+                    id
+                    name
+                  }
+                }
+              }
+              ... on ProjectV2ItemFieldTextValue {
+                text
+                field {
+                  ... on ProjectV2FieldCommon {
+                    id
+                    name
+                  }
+                }
+              }
+              ... on ProjectV2ItemFieldNumberValue {
+                number
+                field {
+                  ... on ProjectV2FieldCommon {
+                    id
+                    name
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
   /**
    * Find project items for an issue
    */
@@ -149,6 +599,142 @@ const GRAPHQL_QUERIES = {
     }
   `,
 
+  /**
+   * Find issues a PR will close, as linked by GitHub
+   */
+  PR_CLOSING_ISSUES: `
+    query($prNodeId: ID!) {
+      pullRequest: node(id: $prNodeId) {
+        ... on PullRequest {
+          id
+          number
+          closingIssuesReferences(first: 50) {
+            nodes {
+              id
+              number
+              repository {
+                name
+                owner {
+                  login
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /**
+   * List the commits of a PR with the PRs each commit belongs to
+   */
+  PR_COMMIT_PULL_REQUESTS_PAGINATED: `
+    query($prNodeId: ID!, $cursor: String) {
+      pullRequest: node(id: $prNodeId) {
+        ... on PullRequest {
+          id
+          commits(first: 100, after: $cursor) {
+            nodes {
+              commit {
+                oid
+                associatedPullRequests(first: 10) {
+                  nodes {
+                    id
+                    number
+                    title
+                    body
+                    url
+                    headRefName
+                    mergedAt
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /**
+   * Find the parent of a sub-issue
+   */
+  ISSUE_PARENT: `
+    query($issueNodeId: ID!) {
+      issue: node(id: $issueNodeId) {
+        ... on Issue {
+          id
+          parent {
+            id
+            number
+            repository {
+              name
+              owner {
+                login
+              }
+            }
+          }
+        }
+      }
+    }
+  `,
+
+  /**
+   * List the sub-issues of an issue with their project items' single-select and date values
+   */
+  SUB_ISSUES_PAGINATED: `
+    query($issueNodeId: ID!, $cursor: String) {
+      issue: node(id: $issueNodeId) {
+        ... on Issue {
+          id
+          subIssues(first: 50, after: $cursor) {
+            nodes {
+              id
+              number
+              state
+              projectItems(first: 20) {
+                nodes {
+                  id
+                  project {
+                    id
+                  }
+                  fieldValues(first: 30) {
+                    nodes {
+                      ... on ProjectV2ItemFieldSingleSelectValue {
+                        name
+                        field {
+                          ... on ProjectV2FieldCommon {
+                            name
+                          }
+                        }
+                      }
+                      ... on ProjectV2ItemFieldDateValue {
+                        date
+                        field {
+                          ... on ProjectV2FieldCommon {
+                            name
+                          }
+                        }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }
+    }
+  `,
+
   /**
    * Add item to project
    */
@@ -202,6 +788,45 @@ const GRAPHQL_QUERIES = {
     }
   `,
 
+  /**
+   * Update project item field with any value type (text, number, date, single-select or iteration)
+   */
+  UPDATE_PROJECT_FIELD_VALUE: `
+    mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!, $value: ProjectV2FieldValue!) {
+      updateProjectV2ItemFieldValue(
+        input: {
+          projectId: $projectId
+          itemId: $itemId
+          fieldId: $fieldId
+          value: $value
+        }
+      ) {
+        projectV2Item {
+          id
+        }
+      }
+    }
+  `,
+
+  /**
+   * Clear project item field value
+   */
+  CLEAR_PROJECT_FIELD: `
+    mutation($projectId: ID!, $itemId: ID!, $fieldId: ID!) {
+      clearProjectV2ItemFieldValue(
+        input: {
+          projectId: $projectId
+          itemId: $itemId
+          fieldId: $fieldId
+        }
+      ) {
+        projectV2Item {
+          id
+        }
+      }
+    }
+  `,
+
   /**
    * Remove item from project
    */
@@ -214,8 +839,205 @@ const GRAPHQL_QUERIES = {
   `
 };
 
+/**
+ * Parses a project reference
+ * Accepts a node ID ("PVT_..."), "owner/number", or a project URL such as
+ * "https://github.com/orgs/acme/projects/7" or "https://github.com/users/octocat/projects/2"
+ * @param {string} reference - Project reference
+ * @returns {Object} Object with projectId, or with owner, ownerType ('organization', 'user' or null) and number
+ */
+function parseProjectReference(reference) {
+  const value = String(reference || '').trim();
+
+  const urlMatch = value.match(/^https:\/\/github\.com\/(orgs|users)\/([\w.-]+)\/projects\/(\d+)(?:\/.*)?$/);
+  if (urlMatch) {
+    return {
+      owner: urlMatch[2],
+      ownerType: urlMatch[1] === 'orgs' ? 'organization' : 'user',
+      number: parseInt(urlMatch[3], 10)
+    };
+  }
+
+  const ownerMatch = value.match(/^([\w.-]+)\/(\d+)$/);
+  if (ownerMatch) {
+    return { owner: ownerMatch[1], ownerType: null, number: parseInt(ownerMatch[2], 10) };
+  }
+
+  return { projectId: value };
+}
+
+/**
+ * Project node IDs already resolved during this run, keyed by "owner/number"
+ */
+const projectIdCache = new Map();
+
+/**
+ * Resolves a project reference to its node ID
+ * Owner/number and URL references are looked up once and cached for the rest of the run
+ * @param {Object} octokit - Octokit instance
+ * @param {string|Object} reference - Project reference string, or { owner, number }
+ * @returns {Promise<string>} Project node ID
+ * @throws {Error} If the project does not exist, the token cannot see it, or the lookup fails
+ */
+async function resolveProjectId(octokit, reference) {
+  const { projectId, owner, ownerType = null, number } = typeof reference === 'string'
+    ? parseProjectReference(reference)
+    : reference;
+
+  if (projectId) {
+    return projectId;
+  }
+  if (!owner || !number) {
+    throw new Error('A project ID, a project URL, or a project owner and number is required');
+  }
+
+  const cacheKey = `${owner}/${number}`;
+  if (projectIdCache.has(cacheKey)) {
+    return projectIdCache.get(cacheKey);
+  }
+  if (!octokit) {
+    throw new Error(`A GitHub token is required to look up project ${cacheKey}`);
+  }
+
+  // Without an explicit owner type, try the organization first and fall back to the user
+  const ownerTypes = ownerType ? [ownerType] : ['organization', 'user'];
+  for (const type of ownerTypes) {
+    const query = type === 'organization' ? GRAPHQL_QUERIES.ORGANIZATION_PROJECT : GRAPHQL_QUERIES.USER_PROJECT;
+    try {
+      const result = await withRetry(
+        () => octokit.graphql(query, { owner, number }),
+        { operation: `looking up ${type} project ${cacheKey}` }
+      );
+      const project = result.owner?.projectV2;
+      if (project) {
+        core.info(`✅ Resolved project ${cacheKey} ("${project.title}") to ${project.id}`);
+        projectIdCache.set(cacheKey, project.id);
+        return project.id;
+      }
+    } catch (error) {
+      // Only a missing owner or project falls through to the next owner type
+      if (!error.errors?.some(graphqlError => graphqlError.type === 'NOT_FOUND')) {
+        throw error;
+      }
+      core.info(`ℹ️ No ${type} project found for ${cacheKey}: ${error.message}`);
+    }
+  }
+
+  throw new Error(
+    `Project ${cacheKey} was not found or is not visible to the token. ` +
+    `Check the owner and project number, and that the token has the "project" scope (or Projects access for fine-grained tokens) for ${owner}`
+  );
+}
+
+/**
+ * Project metadata (fields and item IDs) fetched during this run, keyed by project ID
+ */
+const projectMetadataCache = new Map();
+
+/**
+ * Gets the path of the metadata cache file for a project
+ * The file lives in RUNNER_TEMP, so every step of a job shares it and it is gone after the job
+ * @param {string} projectId - Project ID
+ * @returns {string|null} Cache file path, or null when not running on a runner
+ */
+function getProjectCacheFile(projectId) {
+  if (!process.env.RUNNER_TEMP) {
+    return null;
+  }
+  return path.join(process.env.RUNNER_TEMP, 'project-automation-cache', `${projectId.replace(/[^\w-]/g, '_')}.json`);
+}
+
+/**
+ * Loads the cached metadata of a project, reading the cache file on first use
+ * @param {string} projectId - Project ID
+ * @returns {Object} Metadata with fields (or null if not fetched yet) and items keyed by content node ID
+ */
+function getProjectMetadata(projectId) {
+  if (!projectMetadataCache.has(projectId)) {
+    let metadata = { fields: null, items: {} };
+    const cacheFile = getProjectCacheFile(projectId);
+
+    if (cacheFile && fs.existsSync(cacheFile)) {
+      try {
+        metadata = { ...metadata, ...JSON.parse(fs.readFileSync(cacheFile, 'utf8')) };
+      } catch (error) {
+        core.warning(`⚠️ Ignoring unreadable project cache ${cacheFile}: ${error.message}`);
+      }
+    }
+
+    projectMetadataCache.set(projectId, metadata);
+  }
+
+  return projectMetadataCache.get(projectId);
+}
+
+/**
+ * Writes the cached metadata of a project back to its cache file
+ * @param {string} projectId - Project ID
+ */
+function saveProjectMetadata(projectId) {
+  const cacheFile = getProjectCacheFile(projectId);
+  if (!cacheFile) {
+    return;
+  }
+
+  try {
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(cacheFile, JSON.stringify(projectMetadataCache.get(projectId)));
+  } catch (error) {
+    core.warning(`⚠️ Could not write project cache ${cacheFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Records the project item of an issue or PR, or forgets it when the item is removed
+ * @param {string} projectId - Project ID
+ * @param {string} contentId - Issue or PR node ID
+ * @param {string|null} itemId - Project item ID, or null if the content is no longer in the project
+ */
+function cacheProjectItem(projectId, contentId, itemId) {
+  const metadata = getProjectMetadata(projectId);
+
+  if (itemId) {
+    metadata.items[contentId] = itemId;
+  } else {
+    delete metadata.items[contentId];
+  }
+
+  saveProjectMetadata(projectId);
+}
+
+/**
+ * Gets the fields of a project, fetching them only once per run
+ * @param {Object} octokit - Octokit instance
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Lookup options
+ * @param {boolean} options.refresh - Ignore the cache and fetch the fields again (default: false)
+ * @returns {Promise<Object[]>} Project fields with id, name, dataType and options or configuration
+ */
+async function getProjectFields(octokit, projectId, { refresh = false } = {}) {
+  const metadata = getProjectMetadata(projectId);
+
+  if (metadata.fields && !refresh) {
+    core.info(`♻️ Using cached fields of project ${projectId}`);
+    return metadata.fields;
+  }
+
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_FIELDS, { projectId }),
+    { operation: 'finding project fields' }
+  );
+
+  metadata.fields = result.node.fields.nodes.filter(field => field.id);
+  saveProjectMetadata(projectId);
+
+  return metadata.fields;
+}
+
 /**
  * Finds project fields by name and option
+ * Fields come from the per-run cache; a missing field or option triggers one refetch
+ * in case it was added to the project during the run
  * @param {Object} octokit - Octokit instance
  * @param {string} projectId - Project ID
  * @param {string} fieldName - Field name to find
@@ -223,13 +1045,20 @@ const GRAPHQL_QUERIES = {
  * @returns {Promise<Object>} Object with fieldId and optionId (if applicable)
  */
 async function findProjectFields(octokit, projectId, fieldName, optionName = null) {
-  const result = await withRetry(
-    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_FIELDS, { projectId }),
-    { operation: 'finding project fields' }
-  );
+  const wasCached = Boolean(getProjectMetadata(projectId).fields);
+  let fields = await getProjectFields(octokit, projectId);
 
-  const fields = result.node.fields.nodes;
-  const field = fields.find(f => f.name === fieldName);
+  const lookup = () => {
+    const field = fields.find(f => f.name === fieldName);
+    const option = optionName && field?.options ? field.options.find(opt => opt.name === optionName) : null;
+    return { field, option };
+  };
+
+  let { field, option } = lookup();
+  if (wasCached && (!field || (optionName && field.options && !option))) {
+    fields = await getProjectFields(octokit, projectId, { refresh: true });
+    ({ field, option } = lookup());
+  }
   
   if (!field) {
     throw new Error(`Field '${fieldName}' not found in project ${projectId}`);
@@ -237,7 +1066,6 @@ async function findProjectFields(octokit, projectId, fieldName, optionName = nul
 
   let optionId = null;
   if (optionName && field.options) {
-    const option = field.options.find(opt => opt.name === optionName);
     if (!option) {
       throw new Error(`Option '${optionName}' not found in field '${fieldName}'`);
     }
@@ -261,6 +1089,12 @@ async function findProjectFields(octokit, projectId, fieldName, optionName = nul
  * @returns {Promise<Object|null>} Project item or null if not found
  */
 async function findIssueProjectItem(octokit, issueNodeId, projectId) {
+  const cachedItemId = getProjectMetadata(projectId).items[issueNodeId];
+  if (cachedItemId) {
+    core.info(`♻️ Using cached project item ${cachedItemId} for issue in project ${projectId}`);
+    return { id: cachedItemId };
+  }
+
   const result = await withRetry(
     () => octokit.graphql(GRAPHQL_QUERIES.ISSUE_PROJECT_ITEMS, { issueNodeId }),
     { operation: 'finding issue project items' }
@@ -272,11 +1106,12 @@ async function findIssueProjectItem(octokit, issueNodeId, projectId) {
 
   if (item) {
     core.info(`✅ Found project item ${item.id} for issue in project ${projectId}`);
+    cacheProjectItem(projectId, issueNodeId, item.id);
   } else {
     core.warning(`⚠️ No project item found for issue ${issueNodeId} in project ${projectId}`);
   }
 
-  return item;
+  return item || null;
 }
 
 /**
@@ -287,6 +1122,12 @@ async function findIssueProjectItem(octokit, issueNodeId, projectId) {
  * @returns {Promise<Object|null>} Project item or null if not found
  */
 async function findPRProjectItem(octokit, prNodeId, projectId) {
+  const cachedItemId = getProjectMetadata(projectId).items[prNodeId];
+  if (cachedItemId) {
+    core.info(`♻️ Using cached project item ${cachedItemId} for PR in project ${projectId}`);
+    return { id: cachedItemId };
+  }
+
   let projectItem = null;
   let hasNextPage = true;
   let cursor = null;
@@ -310,34 +1151,251 @@ async function findPRProjectItem(octokit, prNodeId, projectId) {
 
   if (projectItem) {
     core.info(`✅ Found project item ${projectItem.id} for PR in project ${projectId}`);
+    cacheProjectItem(projectId, prNodeId, projectItem.id);
   } else {
     core.warning(`⚠️ No project item found for PR ${prNodeId} in project ${projectId}`);
   }
 
-  return projectItem;
+  return projectItem || null;
+}
+
+/**
+ * Lists every item of a project with its content and field values
+ * @param {Object} octokit - Octokit instance
+ * @param {string} projectId - Project ID
+ * @param {Object} options - Listing options
+ * @param {boolean} options.includeArchived - Include archived items (default: false)
+ * @returns {Promise<Object[]>} Items with id, updatedAt, content (type, owner, repo, number, title,
+ *   state, url, nodeId, assignees) and fields keyed by field name
+ */
+async function listProjectItems(octokit, projectId, { includeArchived = false } = {}) {
+  const items = [];
+  let hasNextPage = true;
+  let cursor = null;
+
+  while (hasNextPage) {
+    const result = await withRetry(
+      () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_ITEMS_PAGINATED, { projectId, cursor }),
+      { operation: 'listing project items' }
+    );
+
+    const connection = result.node.items;
+    for (const node of connection.nodes) {
+      if (node.isArchived && !includeArchived) continue;
+
+      const fields = {};
+      for (const value of node.fieldValues.nodes) {
+        if (!value?.field?.name) continue;
+        const { field, ...fieldValue } = value;
+        fields[field.name] = fieldValue;
+      }
+
+      const content = node.content?.number ? {
+        type: node.content.__typename === 'PullRequest' ? 'pull_request' : 'issue',
+        owner: node.content.repository.owner.login,
+        repo: node.content.repository.name,
+        number: node.content.number,
+        title: node.content.title,
+        state: node.content.state,
+        url: node.content.url,
+        nodeId: node.content.id,
+        assignees: node.content.assignees.nodes.map(assignee => assignee.login)
+      } : null;
+
+      items.push({ id: node.id, updatedAt: node.updatedAt, content, fields });
+    }
+
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  core.info(`📋 Listed ${items.length} item(s) in project ${projectId}`);
+  return items;
 }
 
 /**
- * Extracts issue number from branch name using regex
+ * Works out how far along the workflow a status is, so automations only move items forward
+ * @param {string} status - Status option name
+ * @param {Object} statuses - Status names ({ doing, review, fixing, approved, done, released })
+ * @returns {number} 0 before work starts, 1 doing, 2 in review, 3 done or released
+ */
+function getStage(status, statuses) {
+  if (!status) return 0;
+  if (status === statuses.done || statuses.released.includes(status)) return 3;
+  if ([statuses.review, statuses.fixing, statuses.approved].includes(status)) return 2;
+  if (status === statuses.doing) return 1;
+  return 0;
+}
+
+/**
+ * Matches a single issue reference: a full issue URL, owner/repo#N or #N
+ */
+const ISSUE_REFERENCE_SOURCE = 'https:\\/\\/github\\.com\\/[\\w.-]+\\/[\\w.-]+\\/issues\\/\\d+|(?:[\\w.-]+\\/[\\w.-]+)?#\\d+';
+
+/**
+ * Parses an issue reference into its repository and number
+ * Accepts "123", "#123", "owner/repo#123" and "https://github.com/owner/repo/issues/123"
+ * @param {string} text - Issue reference
+ * @param {Object} defaultRepo - Repository used when the reference has none ({ owner, repo })
+ * @returns {Object|null} Object with owner, repo and number, or null if not a reference
+ */
+function parseIssueReference(text, defaultRepo = {}) {
+  const value = String(text || '').trim();
+
+  const urlMatch = value.match(/^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+)\/issues\/(\d+)\/?$/);
+  if (urlMatch) {
+    return { owner: urlMatch[1], repo: urlMatch[2], number: parseInt(urlMatch[3], 10) };
+  }
+
+  const referenceMatch = value.match(/^(?:([\w.-]+)\/([\w.-]+))?#?(\d+)$/);
+  if (referenceMatch) {
+    return {
+      owner: referenceMatch[1] || defaultRepo.owner,
+      repo: referenceMatch[2] || defaultRepo.repo,
+      number: parseInt(referenceMatch[3], 10)
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Formats an issue reference, omitting the repository when it is the default one
+ * @param {Object} reference - Object with owner, repo and number
+ * @param {Object} defaultRepo - Repository of the current run ({ owner, repo })
+ * @returns {string} "#123" or "owner/repo#123"
+ */
+function formatIssueReference(reference, defaultRepo = {}) {
+  const sameRepo = reference.owner === defaultRepo.owner && reference.repo === defaultRepo.repo;
+  return sameRepo ? `#${reference.number}` : `${reference.owner}/${reference.repo}#${reference.number}`;
+}
+
+/**
+ * Extracts an issue reference from branch name using regex
+ * The regex may capture the reference in its first group ("123" or "owner/repo#123")
+ * or use the named groups "owner", "repo" and "number"
  * @param {string} branch - Branch name
  * @param {string} regex - Regex pattern
- * @returns {number|null} Issue number or null if not found
+ * @param {Object} defaultRepo - Repository used when the branch names none ({ owner, repo })
+ * @returns {Object|null} Object with owner, repo and number, or null if not found
  */
-function extractIssueFromBranch(branch, regex) {
+function extractIssueFromBranch(branch, regex, defaultRepo = {}) {
   const cleanBranch = branch.replace('refs/heads/', '');
   const regexPattern = new RegExp(regex);
   const match = cleanBranch.match(regexPattern);
-  
-  if (match && match[1]) {
-    const issueNumber = parseInt(match[1], 10);
-    core.info(`✅ Extracted issue #${issueNumber} from branch '${cleanBranch}'`);
-    return issueNumber;
+
+  let reference = null;
+  if (match?.groups?.number) {
+    reference = {
+      owner: match.groups.owner || defaultRepo.owner,
+      repo: match.groups.repo || defaultRepo.repo,
+      number: parseInt(match.groups.number, 10)
+    };
+  } else if (match && match[1]) {
+    reference = parseIssueReference(match[1], defaultRepo);
+  }
+
+  if (reference) {
+    core.info(`✅ Extracted issue ${formatIssueReference(reference, defaultRepo)} from branch '${cleanBranch}'`);
+    return reference;
   }
   
   core.info(`ℹ️ No issue number found in branch '${cleanBranch}' using regex '${regex}'`);
   return null;
 }
 
+/**
+ * Extracts issue references used with closing keywords (e.g. "Closes #12, fixes acme/api#14")
+ * @param {string} text - Text to scan, such as a PR body or commit message
+ * @param {Object} defaultRepo - Repository used for references without one ({ owner, repo })
+ * @returns {Object[]} De-duplicated references ({ owner, repo, number }) in order of appearance
+ */
+function extractClosingIssueReferences(text, defaultRepo = {}) {
+  if (!text) {
+    return [];
+  }
+
+  const keywordPattern = new RegExp(
+    `\\b(?:close[sd]?|fix(?:e[sd])?|resolve[sd]?)\\b:?\\s+((?:${ISSUE_REFERENCE_SOURCE})(?:\\s*(?:,|and|&)\\s*(?:${ISSUE_REFERENCE_SOURCE}))*)`,
+    'gi'
+  );
+  const references = [];
+
+  for (const match of text.matchAll(keywordPattern)) {
+    for (const [referenceText] of match[1].matchAll(new RegExp(ISSUE_REFERENCE_SOURCE, 'g'))) {
+      const reference = parseIssueReference(referenceText, defaultRepo);
+      const key = formatIssueReference(reference);
+      if (!references.some(existing => formatIssueReference(existing) === key)) {
+        references.push(reference);
+      }
+    }
+  }
+
+  return references;
+}
+
+/**
+ * Converts a glob pattern into a regular expression
+ * Supports "**" (any characters), "*" (any characters except "/") and "?"
+ * @param {string} glob - Glob pattern
+ * @returns {RegExp} Anchored regular expression
+ */
+function globToRegExp(glob) {
+  let source = '';
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      source += '.*';
+      index++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '?') {
+      source += '[^/]';
+    } else {
+      source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Checks a value against glob patterns; patterns starting with "!" exclude matches
+ * @param {string} value - Value to test, such as a branch name
+ * @param {string|string[]} patterns - Glob pattern or list of patterns
+ * @returns {boolean} True if the value matches an including pattern and no excluding one
+ */
+function matchesGlob(value, patterns) {
+  const list = Array.isArray(patterns) ? patterns : [patterns];
+  const includes = list.filter(pattern => !pattern.startsWith('!'));
+  const excludes = list.filter(pattern => pattern.startsWith('!')).map(pattern => pattern.slice(1));
+
+  if (value === undefined || value === null) {
+    return false;
+  }
+  if (excludes.some(pattern => globToRegExp(pattern).test(value))) {
+    return false;
+  }
+  return includes.length === 0 || includes.some(pattern => globToRegExp(pattern).test(value));
+}
+
+/**
+ * Parses a list passed through an environment variable or step output
+ * @param {string} value - JSON array or comma/newline separated list
+ * @returns {string[]} Trimmed, non-empty entries
+ */
+function parseList(value) {
+  if (!value) {
+    return [];
+  }
+
+  const trimmed = value.trim();
+  if (trimmed.startsWith('[')) {
+    return JSON.parse(trimmed).map(entry => String(entry).trim()).filter(Boolean);
+  }
+
+  return trimmed.split(/[,\n]/).map(entry => entry.trim()).filter(Boolean);
+}
+
 /**
  * Sets GitHub Actions outputs safely
  * @param {Object} outputs - Object with key-value pairs to set as outputs
@@ -349,6 +1407,17 @@ function setOutputs(outputs) {
   });
 }
 
+/**
+ * Forgets every project, rate limit and change cached or recorded during this run
+ * Scripts run in their own process, so this is only needed by tests
+ */
+function resetRunState() {
+  projectIdCache.clear();
+  projectMetadataCache.clear();
+  rateLimits.clear();
+  recordedChanges.length = 0;
+}
+
 /**
  * Handles script execution with comprehensive error handling
  * @param {Function} mainFunction - Main function to execute
@@ -363,18 +1432,38 @@ async function executeScript(mainFunction, scriptName) {
     core.error(`❌ ${scriptName} failed: ${error.message}`);
     core.setFailed(error.message);
     throw error;
+  } finally {
+    logRateLimits();
+    await writeChangesSummary(scriptName);
   }
 }
 
 module.exports = {
   validateEnvironmentVariables,
   createOctokit,
+  classifyError,
+  getRetryDelay,
   withRetry,
+  logRateLimits,
+  isDryRun,
+  runMutation,
   GRAPHQL_QUERIES,
+  parseProjectReference,
+  resolveProjectId,
+  getProjectFields,
+  cacheProjectItem,
   findProjectFields,
   findIssueProjectItem,
   findPRProjectItem,
+  listProjectItems,
+  getStage,
+  parseIssueReference,
+  formatIssueReference,
   extractIssueFromBranch,
+  extractClosingIssueReferences,
+  matchesGlob,
+  parseList,
   setOutputs,
+  resetRunState,
   executeScript
 };
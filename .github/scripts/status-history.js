@@ -0,0 +1,258 @@
+/**
+ * Status history helpers
+ * Keeps every status transition of an issue in a comment on the issue, as JSON inside
+ * a hidden marker plus a readable table, and computes time-in-status metrics from it
+ */
+
+const core = require('@actions/core');
+const github = require('@actions/github');
+const {
+  withRetry,
+  runMutation,
+  getProjectFields,
+  formatIssueReference,
+  GRAPHQL_QUERIES
+} = require('./shared-utils');
+
+/**
+ * Opens the hidden marker holding the JSON history
+ */
+const HISTORY_MARKER = '<!-- project-automation:status-history';
+
+/**
+ * Milliseconds in an hour, the unit of every duration in the metrics
+ */
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Most transitions kept in a history comment, so it stays under GitHub's 65536-character limit
+ */
+const MAX_HISTORY_ENTRIES = 200;
+
+/**
+ * Login of each Octokit instance's token, looked up once per run
+ */
+const authenticatedLogins = new WeakMap();
+
+/**
+ * Reads an item's issue and the option currently set in a single-select field
+ * @param {Object} octokit - Octokit instance
+ * @param {string} itemId - Project item ID
+ * @param {string} fieldId - Single-select field ID
+ * @returns {Promise<Object>} Object with issue ({ owner, repo, number } or null) and status (option name or null)
+ */
+async function getItemStatus(octokit, itemId, fieldId) {
+  const result = await withRetry(
+    () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_ITEM_STATUS, { itemId }),
+    { operation: 'reading project item status' }
+  );
+
+  const content = result.item?.content;
+  const value = result.item?.fieldValues.nodes.find(node => node?.field?.id === fieldId);
+
+  return {
+    issue: content?.number ? { owner: content.repository.owner.login, repo: content.repository.name, number: content.number } : null,
+    status: value?.name || null
+  };
+}
+
+/**
+ * Finds the name of a single-select option
+ * @param {Object} octokit - Octokit instance
+ * @param {string} projectId - Project ID
+ * @param {string} fieldId - Field ID
+ * @param {string} optionId - Option ID
+ * @returns {Promise<string|null>} Option name, or null if unknown
+ */
+async function getOptionName(octokit, projectId, fieldId, optionId) {
+  const fields = await getProjectFields(octokit, projectId);
+  const field = fields.find(candidate => candidate.id === fieldId);
+  return field?.options?.find(option => option.id === optionId)?.name || null;
+}
+
+/**
+ * Parses the history out of a comment body
+ * @param {string} body - Comment body
+ * @returns {Object[]|null} History entries, or null if the comment is not a history comment
+ */
+function parseHistoryComment(body) {
+  const start = (body || '').indexOf(HISTORY_MARKER);
+  if (start === -1) {
+    return null;
+  }
+
+  const end = body.indexOf('-->', start);
+  try {
+    const entries = JSON.parse(body.slice(start + HISTORY_MARKER.length, end));
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    core.warning('⚠️ Status history comment is not valid JSON - starting a new history');
+    return [];
+  }
+}
+
+/**
+ * Formats the history as a comment body
+ * @param {Object[]} entries - History entries
+ * @returns {string} Comment body with the hidden JSON and a readable table
+ */
+function formatHistoryComment(entries) {
+  const rows = entries.map(entry =>
+    `| ${entry.at.replace('T', ' ').slice(0, 16)} | ${entry.from || '-'} | ${entry.to} | ${entry.event || '-'} | ${entry.actor ? `@${entry.actor}` : '-'} |`
+  );
+
+  return [
+    HISTORY_MARKER,
+    JSON.stringify(entries),
+    '-->',
+    '<details>',
+    '<summary>📈 Status history</summary>',
+    '',
+    '| When (UTC) | From | To | Event | Actor |',
+    '|---|---|---|---|---|',
+    ...rows,
+    '',
+    '</details>'
+  ].join('\n');
+}
+
+/**
+ * Looks up the login of the token's user
+ * @param {Object} octokit - Octokit instance
+ * @returns {Promise<string|null>} Login, or null for installation tokens, which cannot read it
+ */
+function getAuthenticatedLogin(octokit) {
+  if (!authenticatedLogins.has(octokit)) {
+    authenticatedLogins.set(octokit, octokit.rest.users.getAuthenticated()
+      .then(({ data }) => data.login)
+      .catch(() => null));
+  }
+  return authenticatedLogins.get(octokit);
+}
+
+/**
+ * Finds the history comment of an issue
+ * Only comments written by an app (GITHUB_TOKEN or a GitHub App token) or by the token's
+ * user count, so nobody else can plant a history
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} issue - Issue ({ owner, repo, number })
+ * @returns {Promise<Object|null>} Object with id and entries, or null if the issue has no history
+ */
+async function findHistoryComment(octokit, issue) {
+  const comments = await withRetry(
+    () => octokit.paginate(octokit.rest.issues.listComments, {
+      owner: issue.owner,
+      repo: issue.repo,
+      issue_number: issue.number,
+      per_page: 100
+    }),
+    { operation: `listing comments of ${formatIssueReference(issue)}` }
+  );
+
+  for (const comment of comments) {
+    const entries = parseHistoryComment(comment.body);
+    if (!entries) {
+      continue;
+    }
+    if (comment.performed_via_github_app || (comment.user && comment.user.login === await getAuthenticatedLogin(octokit))) {
+      return { id: comment.id, entries };
+    }
+    core.info(`ℹ️ Ignoring a status history comment by @${comment.user?.login} on ${formatIssueReference(issue)}`);
+  }
+
+  return null;
+}
+
+/**
+ * Reads the status history of an issue
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} issue - Issue ({ owner, repo, number })
+ * @returns {Promise<Object[]>} History entries, oldest first
+ */
+async function readStatusHistory(octokit, issue) {
+  const comment = await findHistoryComment(octokit, issue);
+  return comment ? comment.entries : [];
+}
+
+/**
+ * Appends a status transition to the history comment of an issue
+ * The triggering event and actor are taken from the workflow context
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} issue - Issue ({ owner, repo, number })
+ * @param {Object} change - Transition ({ from, to })
+ * @returns {Promise<Object|null>} Recorded entry, or null when the status did not change
+ */
+async function recordStatusChange(octokit, issue, { from, to }) {
+  if (from === to) {
+    return null;
+  }
+
+  const { eventName, payload, actor } = github.context;
+  const entry = {
+    from: from || null,
+    to,
+    at: new Date().toISOString(),
+    event: eventName ? `${eventName}${payload?.action ? `.${payload.action}` : ''}` : null,
+    actor: actor || null
+  };
+
+  const existing = await findHistoryComment(octokit, issue);
+  const body = formatHistoryComment([...(existing?.entries || []), entry].slice(-MAX_HISTORY_ENTRIES));
+  const variables = existing
+    ? { owner: issue.owner, repo: issue.repo, comment_id: existing.id, body }
+    : { owner: issue.owner, repo: issue.repo, issue_number: issue.number, body };
+
+  await runMutation(
+    () => (existing ? octokit.rest.issues.updateComment(variables) : octokit.rest.issues.createComment(variables)),
+    { operation: `recording status change of ${formatIssueReference(issue)}`, variables: { ...variables, body: `${from || '-'} → ${to}` } }
+  );
+
+  core.info(`📈 Recorded ${from || '-'} → ${to} for ${formatIssueReference(issue)}`);
+  return entry;
+}
+
+/**
+ * Computes time-in-status, review round-trips and cycle time from a history
+ * Environment statuses (released) count as finished, like DONE
+ * @param {Object[]} entries - History entries
+ * @param {Object} statuses - Status names ({ doing, review, approved, done, released })
+ * @param {Date} now - End of the still open status (default: now)
+ * @returns {Object} Object with status, timeInStatus (hours by status), reviewRoundTrips and cycleTime (hours or null)
+ */
+function computeIssueMetrics(entries, { doing, review, approved, done, released = [] }, now = new Date()) {
+  const sorted = [...entries].sort((a, b) => new Date(a.at) - new Date(b.at));
+  const isFinished = status => status === done || released.includes(status);
+  const timeInStatus = {};
+
+  sorted.forEach((entry, index) => {
+    const next = sorted[index + 1];
+    if (!next && isFinished(entry.to)) return;
+
+    const until = next ? new Date(next.at) : now;
+    timeInStatus[entry.to] = (timeInStatus[entry.to] || 0) + (until - new Date(entry.at)) / HOUR_MS;
+  });
+
+  // A round-trip is a review that sent the issue back instead of approving or finishing it
+  const reviewRoundTrips = sorted
+    .filter(entry => entry.from === review && entry.to !== approved && !isFinished(entry.to))
+    .length;
+
+  const status = sorted.length > 0 ? sorted[sorted.length - 1].to : null;
+  const started = sorted.find(entry => entry.to === doing);
+  const finished = isFinished(status) ? sorted[sorted.length - 1] : null;
+  const cycleTime = started && finished ? (new Date(finished.at) - new Date(started.at)) / HOUR_MS : null;
+
+  return { status, timeInStatus, reviewRoundTrips, cycleTime };
+}
+
+module.exports = {
+  HISTORY_MARKER,
+  MAX_HISTORY_ENTRIES,
+  getItemStatus,
+  getOptionName,
+  parseHistoryComment,
+  formatHistoryComment,
+  readStatusHistory,
+  recordStatusChange,
+  computeIssueMetrics
+};
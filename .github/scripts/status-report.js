@@ -0,0 +1,219 @@
+/**
+ * Report cycle-time metrics from the status history
+ * Computes time-in-status, review round-trips and cycle time per issue and per domain
+ * and writes them as Markdown (also to the job summary) and CSV
+ */
+
+const core = require('@actions/core');
+const fs = require('fs');
+const path = require('path');
+const {
+  validateEnvironmentVariables,
+  createOctokit,
+  resolveProjectId,
+  listProjectItems,
+  formatIssueReference,
+  setOutputs,
+  executeScript
+} = require('./shared-utils');
+const { resolveEnvironments } = require('./environments');
+const { readStatusHistory, computeIssueMetrics } = require('./status-history');
+
+/**
+ * Formats a duration in hours for Markdown
+ * @param {number|null} hours - Duration in hours
+ * @returns {string} Duration in days from one day up, otherwise in hours
+ */
+function formatDuration(hours) {
+  if (hours === null || hours === undefined) return '-';
+  return hours >= 24 ? `${(hours / 24).toFixed(1)}d` : `${hours.toFixed(1)}h`;
+}
+
+/**
+ * Averages the values that are not null
+ * @param {Array<number|null>} values - Values to average
+ * @returns {number|null} Average, or null when there are no values
+ */
+function average(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+/**
+ * Quotes a CSV cell when needed
+ * @param {any} value - Cell value
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Groups the issue rows by domain
+ * @param {Object[]} rows - Issue rows
+ * @param {string[]} statuses - Statuses to report time for
+ * @param {string[]} finished - Done and environment status names
+ * @returns {Object[]} Domain rows with issues, done, cycleTime, reviewRoundTrips and timeInStatus averages
+ */
+function summarizeByDomain(rows, statuses, finished) {
+  const domains = [...new Set(rows.map(row => row.domain))].sort();
+
+  return domains.map(domain => {
+    const domainRows = rows.filter(row => row.domain === domain);
+    return {
+      domain,
+      issues: domainRows.length,
+      done: domainRows.filter(row => finished.includes(row.status)).length,
+      cycleTime: average(domainRows.map(row => row.cycleTime)),
+      reviewRoundTrips: average(domainRows.map(row => row.reviewRoundTrips)),
+      timeInStatus: Object.fromEntries(statuses.map(status => [status, average(domainRows.map(row => row.timeInStatus[status] ?? null))]))
+    };
+  });
+}
+
+/**
+ * Builds the Markdown report
+ * @param {Object[]} rows - Issue rows
+ * @param {Object[]} domainRows - Domain rows
+ * @param {string[]} statuses - Statuses to report time for
+ * @returns {string} Markdown with a per-domain and a per-issue table
+ */
+function buildMarkdownReport(rows, domainRows, statuses) {
+  const table = (header, lines) => [
+    `| ${header.join(' | ')} |`,
+    `|${header.map(() => '---').join('|')}|`,
+    ...lines.map(line => `| ${line.join(' | ')} |`)
+  ].join('\n');
+
+  return [
+    '## Status report',
+    '',
+    '### Per domain',
+    '',
+    table(
+      ['Domain', 'Issues', 'Done', 'Avg cycle time', 'Avg review round-trips', ...statuses.map(status => `Avg in ${status}`)],
+      domainRows.map(row => [
+        row.domain,
+        row.issues,
+        row.done,
+        formatDuration(row.cycleTime),
+        row.reviewRoundTrips === null ? '-' : row.reviewRoundTrips.toFixed(1),
+        ...statuses.map(status => formatDuration(row.timeInStatus[status]))
+      ])
+    ),
+    '',
+    '### Per issue',
+    '',
+    table(
+      ['Issue', 'Domain', 'Status', 'Cycle time', 'Review round-trips', ...statuses.map(status => `In ${status}`)],
+      rows.map(row => [
+        `[${row.reference}](${row.url})`,
+        row.domain,
+        row.status,
+        formatDuration(row.cycleTime),
+        row.reviewRoundTrips,
+        ...statuses.map(status => formatDuration(row.timeInStatus[status]))
+      ])
+    ),
+    ''
+  ].join('\n');
+}
+
+/**
+ * Builds the CSV report, one line per issue with durations in hours
+ * @param {Object[]} rows - Issue rows
+ * @param {string[]} statuses - Statuses to report time for
+ * @returns {string} CSV content
+ */
+function buildCsvReport(rows, statuses) {
+  const hours = value => (value === null || value === undefined ? '' : value.toFixed(2));
+  const lines = [
+    ['issue', 'title', 'domain', 'status', 'cycle_time_hours', 'review_round_trips', ...statuses.map(status => `hours_in_${status}`)],
+    ...rows.map(row => [
+      row.reference,
+      row.title,
+      row.domain,
+      row.status,
+      hours(row.cycleTime),
+      row.reviewRoundTrips,
+      ...statuses.map(status => hours(row.timeInStatus[status]))
+    ])
+  ];
+  return `${lines.map(line => line.map(toCsvCell).join(',')).join('\n')}\n`;
+}
+
+/**
+ * Main function to report cycle-time metrics
+ */
+async function statusReport() {
+  // Validate required environment variables
+  validateEnvironmentVariables(['GITHUB_TOKEN', 'PROJECT_ID']);
+
+  const token = process.env.GITHUB_TOKEN;
+  const statusNames = {
+    doing: process.env.DOING || 'Doing',
+    review: process.env.REVIEW || 'Review',
+    approved: process.env.APPROVED,
+    done: process.env.DONE || 'Done',
+    // Issues merged into an environment finish in its status instead of DONE
+    released: resolveEnvironments({
+      environments: process.env.ENVIRONMENTS,
+      stagingLabel: process.env.STAGING_LABEL,
+      productionLabel: process.env.PRODUCTION_LABEL
+    }).map(environment => environment.status).filter(Boolean)
+  };
+  const domainField = process.env.DOMAIN_FIELD || 'Domain';
+  const reportDir = process.env.REPORT_DIR || '.';
+
+  const octokit = createOctokit(token);
+  const projectId = await resolveProjectId(octokit, process.env.PROJECT_ID);
+
+  const items = await listProjectItems(octokit, projectId);
+  const issueItems = items.filter(item => item.content?.type === 'issue');
+
+  const rows = [];
+  for (const item of issueItems) {
+    const history = await readStatusHistory(octokit, item.content);
+    if (history.length === 0) continue;
+
+    rows.push({
+      reference: formatIssueReference(item.content),
+      title: item.content.title,
+      url: item.content.url,
+      domain: item.fields[domainField]?.name || 'No domain',
+      ...computeIssueMetrics(history, statusNames)
+    });
+  }
+
+  core.info(`📈 Found status history for ${rows.length}/${issueItems.length} issue(s)`);
+
+  // Report statuses in the order issues first entered them
+  const statuses = [...new Set(rows.flatMap(row => Object.keys(row.timeInStatus)))];
+  const domainRows = summarizeByDomain(rows, statuses, [statusNames.done, ...statusNames.released]);
+
+  const markdown = buildMarkdownReport(rows, domainRows, statuses);
+  const markdownFile = path.join(reportDir, 'status-report.md');
+  const csvFile = path.join(reportDir, 'status-report.csv');
+  fs.mkdirSync(reportDir, { recursive: true });
+  fs.writeFileSync(markdownFile, markdown);
+  fs.writeFileSync(csvFile, buildCsvReport(rows, statuses));
+  core.info(`✅ Wrote ${markdownFile} and ${csvFile}`);
+
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary.addRaw(markdown, true).write();
+  }
+
+  setOutputs({
+    reported_issues: rows.length.toString(),
+    markdown_file: markdownFile,
+    csv_file: csvFile
+  });
+}
+
+// Export for use in other scripts and run main if called directly
+module.exports = { statusReport };
+
+if (require.main === module) {
+  executeScript(statusReport, 'Status Report Script');
+}
@@ -1,6 +1,9 @@
 /**
- * Move tasks from Staging to Production
- * Replaces 'staging' labels with 'production' labels on closed issues
+ * Promote tasks to the next environment
+ * Replaces the label of the merged environment (e.g. 'staging') with the label of the
+ * environment it was merged into (e.g. 'production') on the issues the deploy PR ships,
+ * found from its commits' source PRs, and lists the labelled issues it leaves behind.
+ * With CHANGELOG set, promotions into the last environment also publish a changelog
  */
 
 const core = require('@actions/core');
@@ -9,8 +12,18 @@ const {
   validateEnvironmentVariables, 
   createOctokit, 
   withRetry,
-  executeScript
+  runMutation,
+  formatIssueReference,
+  setOutputs,
+  executeScript,
+  GRAPHQL_QUERIES
 } = require('./shared-utils');
+const { resolveEnvironments, findEnvironmentIndex, findPromotion } = require('./environments');
+const { resolveLinkedIssues } = require('./issue-resolver');
+const { parseChangelogTargets, getIssueDomain, buildChangelog, publishChangelog } = require('./changelog');
+
+// GitHub stops listing a PR's commits after this many
+const MAX_PULL_REQUEST_COMMITS = 250;
 
 /**
  * Remove label from an issue
@@ -22,14 +35,10 @@ const {
  */
 async function removeLabel(octokit, owner, repo, issueNumber, labelName) {
   try {
-    await withRetry(
-      () => octokit.rest.issues.removeLabel({
-        owner,
-        repo,
-        issue_number: issueNumber,
-        name: labelName
-      }),
-      { operation: `removing "${labelName}" label from issue #${issueNumber}` }
+    const variables = { owner, repo, issue_number: issueNumber, name: labelName };
+    await runMutation(
+      () => octokit.rest.issues.removeLabel(variables),
+      { operation: `removing "${labelName}" label from issue #${issueNumber}`, variables }
     );
     core.info(`✅ Removed "${labelName}" label from issue #${issueNumber}`);
   } catch (error) {
@@ -46,73 +55,296 @@ async function removeLabel(octokit, owner, repo, issueNumber, labelName) {
  * @param {string[]} labels - Label names to add
  */
 async function addLabels(octokit, owner, repo, issueNumber, labels) {
-  await withRetry(
-    () => octokit.rest.issues.addLabels({
-      owner,
-      repo,
-      issue_number: issueNumber,
-      labels
-    }),
-    { operation: `adding labels to issue #${issueNumber}` }
+  const variables = { owner, repo, issue_number: issueNumber, labels };
+  await runMutation(
+    () => octokit.rest.issues.addLabels(variables),
+    { operation: `adding labels to issue #${issueNumber}`, variables }
   );
   core.info(`✅ Added "${labels.join(', ')}" label(s) to issue #${issueNumber}`);
 }
 
 /**
- * Main function to move staging issues to production
+ * Works out which promotion to apply
+ * @param {Object[]} environments - Resolved environments
+ * @param {Object} pullRequest - Merged pull request from the event payload, if any
+ * @returns {Object|null} { from, to } environments, or null if the PR is not a promotion
+ */
+function getPromotion(environments, pullRequest) {
+  if (pullRequest) {
+    return findPromotion(environments, pullRequest.head.ref, pullRequest.base.ref);
+  }
+
+  // Run by hand, promote into the last environment, e.g. staging to production
+  return environments.length > 1
+    ? { from: environments[environments.length - 2], to: environments[environments.length - 1] }
+    : null;
+}
+
+/**
+ * Finds the issues a deploy PR ships
+ * Maps every commit of the PR back to the merged feature PRs it came from, and those
+ * to their linked issues; promotion PRs between environments are skipped
+ * @param {Object} octokit - Octokit instance
+ * @param {Object} options - Lookup options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {Object} options.pullRequest - Deploy PR with number and node_id
+ * @param {Object[]} options.environments - Resolved environments
+ * @param {string} options.regex - Regex capturing the issue reference from branch names (optional)
+ * @returns {Promise<Object[]>} De-duplicated { owner, repo, number, nodeId, pullRequests } issues,
+ * with the { owner, repo, number, html_url } source PRs that shipped each one
+ */
+async function findDeployedIssues(octokit, { owner, repo, pullRequest, environments, regex }) {
+  const sourcePullRequests = new Map();
+  let commitCount = 0;
+  let hasNextPage = true;
+  let cursor = null;
+
+  // One query per 100 commits returns each commit's PRs, instead of one request per commit
+  while (hasNextPage) {
+    const result = await withRetry(
+      () => octokit.graphql(GRAPHQL_QUERIES.PR_COMMIT_PULL_REQUESTS_PAGINATED, { prNodeId: pullRequest.node_id, cursor }),
+      { operation: `listing commits of PR #${pullRequest.number}` }
+    );
+
+    const connection = result.pullRequest?.commits;
+    if (!connection) {
+      core.warning(`⚠️ PR #${pullRequest.number} not found`);
+      return [];
+    }
+
+    for (const { commit } of connection.nodes) {
+      commitCount++;
+      commit.associatedPullRequests.nodes
+        .filter(candidate => candidate.mergedAt && candidate.number !== pullRequest.number)
+        .filter(candidate => findEnvironmentIndex(environments, candidate.headRefName) === -1)
+        .forEach(candidate => sourcePullRequests.set(candidate.number, {
+          number: candidate.number,
+          node_id: candidate.id,
+          title: candidate.title,
+          body: candidate.body,
+          html_url: candidate.url,
+          head: { ref: candidate.headRefName }
+        }));
+    }
+    hasNextPage = connection.pageInfo.hasNextPage;
+    cursor = connection.pageInfo.endCursor;
+  }
+
+  core.info(`🔎 ${commitCount} commit(s) of PR #${pullRequest.number} come from ${sourcePullRequests.size} PR(s)${sourcePullRequests.size > 0 ? `: ${[...sourcePullRequests.keys()].map(number => `#${number}`).join(', ')}` : ''}`);
+  if (commitCount >= MAX_PULL_REQUEST_COMMITS) {
+    core.warning(`⚠️ PR #${pullRequest.number} reached GitHub's limit of ${MAX_PULL_REQUEST_COMMITS} listed commits, so issues shipped by later commits may not be promoted`);
+  }
+
+  const issues = new Map();
+  for (const source of sourcePullRequests.values()) {
+    const linked = await resolveLinkedIssues(octokit, { owner, repo, branch: source.head.ref, regex, pullRequest: source });
+    for (const issue of linked) {
+      const key = formatIssueReference(issue);
+      const entry = issues.get(key) || { ...issue, pullRequests: [] };
+      entry.pullRequests.push({ owner, repo, number: source.number, html_url: source.html_url });
+      issues.set(key, entry);
+    }
+  }
+
+  return [...issues.values()];
+}
+
+/**
+ * Lists the issues still labelled with the promoted environment after the promotion
+ * @param {string} environment - Name of the promoted environment
+ * @param {Object[]} pending - Issues left behind
+ */
+async function writePendingSummary(environment, pending) {
+  if (pending.length === 0) {
+    return;
+  }
+
+  core.info(`⏳ Still pending in ${environment}: ${pending.map(issue => `#${issue.number}`).join(', ')}`);
+  if (process.env.GITHUB_STEP_SUMMARY) {
+    await core.summary
+      .addHeading(`Still pending in ${environment}`, 3)
+      .addList(pending.map(issue => `#${issue.number} ${issue.title}`))
+      .write();
+  }
+}
+
+/**
+ * Builds the changelog of the promoted issues and publishes it to the CHANGELOG targets
+ * @param {Object} octokit - Octokit instance
+ * @param {string[]} targets - CHANGELOG targets
+ * @param {Object} options - Release options
+ * @param {string} options.owner - Repository owner
+ * @param {string} options.repo - Repository name
+ * @param {Object} options.to - Environment released to
+ * @param {Object} options.pullRequest - Deploy PR, if any
+ * @param {Object[]} options.promoted - Promoted issues
+ * @returns {Promise<string>} Markdown changelog
+ */
+async function writeChangelog(octokit, targets, { owner, repo, to, pullRequest, promoted }) {
+  const projectId = process.env.PROJECT_ID;
+  const domainField = process.env.DOMAIN_FIELD || 'Domain';
+
+  const entries = [];
+  for (const issue of promoted) {
+    let domain = null;
+    if (projectId) {
+      try {
+        domain = await getIssueDomain(octokit, issue.node_id, projectId, domainField);
+      } catch (error) {
+        core.warning(`⚠️ Could not read the ${domainField} of issue #${issue.number}: ${error.message}`);
+      }
+    }
+    entries.push({ issue, pullRequests: issue.pullRequests || [], domain });
+  }
+
+  const now = new Date().toISOString();
+  const date = now.slice(0, 10);
+  // Several promotions can ship on one day, so the tag also names the deploy PR, or the time
+  const tag = `${to.name}-${date}-${pullRequest ? `pr${pullRequest.number}` : now.slice(11, 19).replace(/:/g, '')}`;
+  const title = `${to.name} release ${date}`;
+  const markdown = buildChangelog(entries, { title, defaultRepo: { owner, repo } });
+
+  await publishChangelog(octokit, targets, {
+    owner,
+    repo,
+    pullRequest,
+    branch: pullRequest ? pullRequest.base.ref : to.branches[0],
+    tag,
+    file: process.env.CHANGELOG_FILE || 'CHANGELOG.md',
+    title,
+    markdown
+  });
+
+  return markdown;
+}
+
+/**
+ * Main function to promote issues to the next environment
  */
 async function stagingToProduction() {
   // Validate required environment variables
   validateEnvironmentVariables(['GITHUB_TOKEN']);
 
   const token = process.env.GITHUB_TOKEN;
-  const stagingLabel = process.env.STAGING_LABEL || 'staging';
-  const productionLabel = process.env.PRODUCTION_LABEL || 'production';
-  
+  const environments = resolveEnvironments({
+    environments: process.env.ENVIRONMENTS,
+    stagingLabel: process.env.STAGING_LABEL,
+    productionLabel: process.env.PRODUCTION_LABEL
+  });
+  const changelogTargets = parseChangelogTargets(process.env.CHANGELOG);
+  const emptyOutputs = { environment: '', status: '', issue_refs: '', issue_node_ids: '', pending_refs: '', changelog: '' };
+
   const octokit = createOctokit(token);
   const owner = github.context.repo.owner;
   const repo = github.context.repo.repo;
 
-  core.info(`🏷️ Using staging label: '${stagingLabel}', production label: '${productionLabel}'`);
+  // The deploy PR is the merged PR of the event, or PR_NUMBER when run by hand
+  let pullRequest = github.context.payload.pull_request;
+  if (!pullRequest && process.env.PR_NUMBER) {
+    const { data } = await withRetry(
+      () => octokit.rest.pulls.get({ owner, repo, pull_number: parseInt(process.env.PR_NUMBER, 10) }),
+      { operation: `fetching PR #${process.env.PR_NUMBER}` }
+    );
+    pullRequest = data;
+  }
+
+  const promotion = getPromotion(environments, pullRequest);
+  if (!promotion) {
+    core.info(`ℹ️ ${pullRequest ? `Merging '${pullRequest.head.ref}' into '${pullRequest.base.ref}'` : 'This run'} does not promote an environment`);
+    setOutputs(emptyOutputs);
+    return;
+  }
+
+  const { from, to } = promotion;
+  core.info(`🏷️ Promoting ${from.name} to ${to.name}: '${from.label}' label -> '${to.label}' label`);
 
-  // Fetch all closed issues with staging label with pagination support
-  const issues = await withRetry(
+  // Every issue of this repository labelled with the promoted environment
+  const labelledItems = await withRetry(
     () => octokit.paginate(octokit.rest.issues.listForRepo, {
       owner,
       repo,
-      state: 'closed',
-      labels: stagingLabel,
+      state: 'all',
+      labels: from.label,
       per_page: 100
     }),
-    { operation: `fetching closed issues with ${stagingLabel} label` }
+    { operation: `fetching issues with ${from.label} label` }
   );
+  const labelled = labelledItems.filter(issue => !issue.pull_request);
 
-  core.info(`📋 Found ${issues.length} closed issues with '${stagingLabel}' label`);
+  let issues;
+  if (pullRequest) {
+    const regex = process.env.REGEX;
+    const deployed = await findDeployedIssues(octokit, { owner, repo, pullRequest, environments, regex });
 
-  if (issues.length === 0) {
-    core.info(`ℹ️ No issues to process`);
-    return;
+    // Deployed issues may live in other repositories, so fetch each one for its labels
+    issues = [];
+    for (const reference of deployed) {
+      const { data } = await withRetry(
+        () => octokit.rest.issues.get({ owner: reference.owner, repo: reference.repo, issue_number: reference.number }),
+        { operation: `fetching issue ${formatIssueReference(reference, { owner, repo })}` }
+      );
+      const labels = data.labels.map(label => (typeof label === 'string' ? label : label.name));
+      if (labels.includes(from.label)) {
+        issues.push({ ...data, owner: reference.owner, repo: reference.repo, pullRequests: reference.pullRequests });
+      } else {
+        core.info(`ℹ️ Issue ${formatIssueReference(reference, { owner, repo })} is deployed but not labelled '${from.label}' - skipping`);
+      }
+    }
+    core.info(`📋 PR #${pullRequest.number} deploys ${issues.length} issue(s) with '${from.label}' label`);
+  } else {
+    // Without a deploy PR there is nothing to narrow the promotion down to
+    issues = labelled.filter(issue => issue.state === 'closed').map(issue => ({ ...issue, owner, repo }));
+    core.info(`📋 Found ${issues.length} closed issues with '${from.label}' label`);
   }
 
   // Process each issue
-  let processedCount = 0;
+  const promoted = [];
   for (const issue of issues) {
     try {
-      // Remove staging label
-      await removeLabel(octokit, owner, repo, issue.number, stagingLabel);
+      // Remove the previous environment's label
+      await removeLabel(octokit, issue.owner, issue.repo, issue.number, from.label);
       
-      // Add production label
-      await addLabels(octokit, owner, repo, issue.number, [productionLabel]);
+      // Add the next environment's label
+      await addLabels(octokit, issue.owner, issue.repo, issue.number, [to.label]);
       
-      processedCount++;
+      promoted.push(issue);
     } catch (error) {
       core.warning(`⚠️ Failed to process issue #${issue.number}: ${error.message}`);
       // Continue with other issues instead of failing completely
     }
   }
 
-  core.info(`✅ Successfully processed ${processedCount}/${issues.length} issues`);
+  if (issues.length > 0) {
+    core.info(`✅ Successfully processed ${promoted.length}/${issues.length} issues`);
+  } else {
+    core.info(`ℹ️ No issues to process`);
+  }
+
+  const promotedIds = new Set(promoted.map(issue => issue.node_id));
+  const pending = labelled.filter(issue => !promotedIds.has(issue.node_id));
+  await writePendingSummary(from.name, pending);
+
+  // Promotions into the last environment are releases
+  let changelog = '';
+  if (changelogTargets.length > 0 && to === environments[environments.length - 1]) {
+    changelog = await writeChangelog(octokit, changelogTargets, { owner, repo, to, pullRequest, promoted });
+  }
+
+  // The workflow moves the promoted issues to the environment's status, if it has one
+  setOutputs({
+    environment: to.name,
+    status: to.status,
+    issue_refs: promoted.map(issue => formatIssueReference(issue, { owner, repo })).join(','),
+    issue_node_ids: promoted.map(issue => issue.node_id).join(','),
+    pending_refs: pending.map(issue => `#${issue.number}`).join(','),
+    changelog
+  });
 }
 
-// Execute script with error handling
-executeScript(stagingToProduction, 'Staging to Production Script');
\ No newline at end of file
+// Export for use in other scripts and run main if called directly
+module.exports = { stagingToProduction };
+
+if (require.main === module) {
+  executeScript(stagingToProduction, 'Staging to Production Script');
+}
@@ -0,0 +1,97 @@
+/**
+ * WIP limit helpers
+ * Parses WIP_LIMITS and works out whether moving an item into a status keeps that
+ * status within its limits, overall and per assignee
+ */
+
+/**
+ * What move-issue.js does when a move exceeds a limit
+ */
+const WIP_ENFORCEMENTS = ['block', 'warn', 'allow'];
+
+/**
+ * Parses the WIP_LIMITS option
+ * @param {Object|string} value - Limits by status name as an object or JSON string (optional);
+ *   each limit is a number (total) or { total, per_assignee }
+ * @returns {Object} Limits by status name, with total and perAssignee (null when unlimited)
+ * @throws {Error} If a limit is not a positive number
+ */
+function parseWipLimits(value) {
+  const configured = typeof value === 'string' && value.trim() ? JSON.parse(value) : value;
+  if (!configured || typeof configured !== 'object') {
+    return {};
+  }
+
+  const limits = {};
+  for (const [status, limit] of Object.entries(configured)) {
+    const { total = null, per_assignee: perAssignee = null } = limit && typeof limit === 'object' ? limit : { total: limit };
+    for (const [key, number] of [['total', total], ['per_assignee', perAssignee]]) {
+      if (number !== null && !(Number.isInteger(number) && number > 0)) {
+        throw new Error(`WIP_LIMITS.${status}.${key} must be a positive number, got ${JSON.stringify(number)}`);
+      }
+    }
+    limits[status] = { total, perAssignee };
+  }
+  return limits;
+}
+
+/**
+ * Counts the items in a status, overall and per assignee
+ * @param {Object[]} items - Project items from listProjectItems
+ * @param {string} fieldName - Status field name
+ * @param {string} status - Status option name
+ * @returns {Object} { total, byAssignee }; byAssignee is a Map of login to count
+ */
+function countWipItems(items, fieldName, status) {
+  const counts = { total: 0, byAssignee: new Map() };
+  for (const item of items) {
+    if (item.fields[fieldName]?.name === status) {
+      addToWipCounts(counts, item.content?.assignees || []);
+    }
+  }
+  return counts;
+}
+
+/**
+ * Counts one more item in a status
+ * @param {Object} counts - Counts from countWipItems
+ * @param {string[]} assignees - Logins of the item's assignees
+ */
+function addToWipCounts(counts, assignees) {
+  counts.total++;
+  for (const login of assignees) {
+    counts.byAssignee.set(login, (counts.byAssignee.get(login) || 0) + 1);
+  }
+}
+
+/**
+ * Lists the limits one more item in a status would exceed
+ * @param {string} status - Status option name
+ * @param {Object} limit - Limit from parseWipLimits
+ * @param {Object} counts - Counts from countWipItems
+ * @param {string[]} assignees - Logins of the item's assignees
+ * @returns {string[]} Exceeded limits, empty when the item fits
+ */
+function findWipViolations(status, limit, counts, assignees) {
+  const violations = [];
+  if (limit.total !== null && counts.total >= limit.total) {
+    violations.push(`${status} already has ${counts.total} item(s), the limit is ${limit.total}`);
+  }
+  if (limit.perAssignee !== null) {
+    for (const login of assignees) {
+      const count = counts.byAssignee.get(login) || 0;
+      if (count >= limit.perAssignee) {
+        violations.push(`@${login} already has ${count} item(s) in ${status}, the limit is ${limit.perAssignee} per person`);
+      }
+    }
+  }
+  return violations;
+}
+
+module.exports = {
+  WIP_ENFORCEMENTS,
+  parseWipLimits,
+  countWipItems,
+  addToWipCounts,
+  findWipViolations
+};
@@ -0,0 +1,104 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { runAction } = require('../.github/scripts/action');
+
+/**
+ * Builds the environment the runner sets for the action's inputs
+ */
+const actionInputs = inputs => Object.fromEntries(
+  Object.entries({ token: 'test-token', ...inputs }).map(([name, value]) => [`INPUT_${name.toUpperCase()}`, value])
+);
+
+describe('action', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'In Progress', 'Review', 'Done'] },
+        { name: 'Start', dataType: 'DATE' }
+      ]
+    });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('moves the issues linked to the PR to a configured status', async () => {
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-login' });
+
+    const { outputs } = await runScript(runAction, {
+      env: actionInputs({ command: 'move', value: 'doing', doing: 'In Progress', 'project-id': project.id }),
+      eventName: 'pull_request',
+      payload: { pull_request: { number: 5, node_id: pullRequest.node_id, head: { ref: '12-login' }, body: '' } }
+    });
+
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'In Progress');
+    assert.equal(outputs.issue_node_ids, issue.node_id);
+    assert.equal(outputs.issue_refs, '#12');
+  });
+
+  it('sets a date on the triggering issue', async () => {
+    const issue = fake.addIssue({ number: 3 });
+    fake.addItem(project, issue);
+
+    const { outputs } = await runScript(runAction, {
+      env: actionInputs({ command: 'set-date', field: 'Start', value: '2026-03-02', 'project-id': project.id }),
+      eventName: 'issues',
+      payload: { issue: { number: 3, node_id: issue.node_id } }
+    });
+
+    assert.deepEqual(fake.getFieldValue(project, issue, 'Start'), { date: '2026-03-02' });
+    assert.equal(outputs.date, '2026-03-02');
+  });
+
+  it('skips updates when no issue is linked', async () => {
+    const { logs } = await runScript(runAction, {
+      env: actionInputs({ command: 'move', value: 'Done', branch: 'main', 'project-id': project.id }),
+      eventName: 'push',
+      payload: {}
+    });
+
+    assert.ok(logs.some(log => log.message.includes("No linked issues found - skipping 'move'")));
+    assert.equal(fake.calls.some(call => call.operation === 'UPDATE_PROJECT_FIELD'), false);
+  });
+
+  it('finds linked issues without a configured project', async () => {
+    fake.addIssue({ number: 7 });
+
+    const { outputs } = await runScript(runAction, {
+      env: actionInputs({ command: 'find-issue', branch: '7-fix' }),
+      eventName: 'create',
+      payload: {}
+    });
+
+    assert.equal(outputs.issue_number, '7');
+  });
+
+  it('assigns the branch creator to the linked issues', async () => {
+    const issue = fake.addIssue({ number: 7 });
+
+    const { outputs } = await runScript(runAction, {
+      env: actionInputs({ command: 'assign' }),
+      eventName: 'create',
+      payload: { ref: '7-fix', ref_type: 'branch', sender: { login: 'ana' } }
+    });
+
+    assert.deepEqual(issue.assignees, ['ana']);
+    assert.equal(outputs.assigned, '1');
+  });
+
+  it('rejects unknown commands', async () => {
+    await assert.rejects(
+      runScript(runAction, { env: actionInputs({ command: 'deploy' }) }),
+      /Unknown command 'deploy'. Expected one of: add-to-project/
+    );
+  });
+});
@@ -0,0 +1,49 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { assign } = require('../.github/scripts/assign');
+
+describe('assign', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('assigns the user to issues and PRs without assignees', async () => {
+    const unassigned = fake.addIssue({ number: 1 });
+    const taken = fake.addIssue({ number: 2, assignees: ['bea'] });
+    const pullRequest = fake.addPullRequest({ number: 10, head: '1-login' });
+
+    const { outputs, logs } = await runScript(assign, { env: { ASSIGNEE: 'ana', ISSUE_REFS: '#1,#2,#10' } });
+
+    assert.deepEqual(outputs, { assigned: '2' });
+    assert.deepEqual(unassigned.assignees, ['ana']);
+    assert.deepEqual(taken.assignees, ['bea']);
+    assert.deepEqual(pullRequest.assignees, ['ana']);
+    assert.ok(logs.some(log => log.message.includes('#2 is already assigned to bea')));
+  });
+
+  it('leaves bots unassigned', async () => {
+    const issue = fake.addIssue({ number: 1 });
+
+    const { outputs } = await runScript(assign, { env: { ASSIGNEE: 'dependabot[bot]', ISSUE_REFS: '#1' } });
+
+    assert.deepEqual(outputs, { assigned: '0' });
+    assert.deepEqual(issue.assignees, []);
+  });
+
+  it('only logs the assignment in dry-run mode', async () => {
+    const issue = fake.addIssue({ number: 1 });
+
+    const { outputs } = await runScript(assign, { env: { ASSIGNEE: 'ana', ISSUE_REFS: '#1', DRY_RUN: 'true' } });
+
+    assert.deepEqual(outputs, { assigned: '1' });
+    assert.deepEqual(issue.assignees, []);
+  });
+});
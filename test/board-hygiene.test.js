@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { boardHygiene, parseStaleDays } = require('../.github/scripts/board-hygiene');
+
+/**
+ * ISO timestamp some days ago
+ */
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('parseStaleDays', () => {
+  it('reads a number of days for every status or days by status', () => {
+    assert.equal(parseStaleDays('')('Doing'), 14);
+    assert.equal(parseStaleDays('5')('Review'), 5);
+    const byStatus = parseStaleDays('{"Review": 3}');
+    assert.equal(byStatus('Review'), 3);
+    assert.equal(byStatus('Doing'), null);
+    assert.throws(() => parseStaleDays('soon'), /STALE_DAYS must be a number/);
+  });
+});
+
+describe('board-hygiene', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Status', dataType: 'SINGLE_SELECT', options: ['Backlog', 'Todo', 'Doing', 'Review', 'Done'] }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (env = {}) => runScript(boardHygiene, {
+    env: { PROJECT_ID: project.id, REGEX: '^(\\d+)[-_]', STALE_DAYS: '7', ...env }
+  });
+
+  it('flags items stuck in a status, in Doing without a branch and in Review without an open PR', async () => {
+    const stuck = fake.addIssue({ number: 1 });
+    fake.addItem(project, stuck, { Status: 'Doing' }, { updatedAt: daysAgo(10) });
+    fake.addBranch({ name: '1-login' });
+    const noBranch = fake.addIssue({ number: 2 });
+    fake.addItem(project, noBranch, { Status: 'Doing' });
+    const noPullRequest = fake.addIssue({ number: 3 });
+    fake.addItem(project, noPullRequest, { Status: 'Review' });
+    const inReview = fake.addIssue({ number: 4 });
+    fake.addItem(project, inReview, { Status: 'Review' });
+    fake.addPullRequest({ number: 10, head: '4-sign-up' });
+    const done = fake.addIssue({ number: 5 });
+    fake.addItem(project, done, { Status: 'Done' }, { updatedAt: daysAgo(30) });
+
+    const { outputs, logs } = await run();
+
+    assert.deepEqual(outputs, { stale: '3', stale_refs: '#1,#2,#3' });
+    assert.ok(logs.some(log => log.message.includes('#1 (Doing): in Doing for 10 days\n  #2 (Doing): no branch\n  #3 (Review): no open PR')));
+    assert.equal(fake.getFieldValue(project, stuck, 'Status'), 'Doing');
+    assert.deepEqual(fake.getComments(stuck), []);
+  });
+
+  it('labels, comments on and moves stale items back', async () => {
+    const issue = fake.addIssue({ number: 1, assignees: ['alice'] });
+    fake.addItem(project, issue, { Status: 'Review' }, { updatedAt: daysAgo(10) });
+
+    await run({ STALE_ACTIONS: 'label, comment', STALE_LABEL: 'stale' });
+    resetRunState();
+    const { logs } = await run({ STALE_ACTIONS: 'comment, move', STALE_STATUS: 'Backlog', CLOSED_UNMERGED: 'Todo' });
+
+    assert.deepEqual(issue.labels, ['stale']);
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Backlog');
+    const comments = fake.getComments(issue);
+    assert.equal(comments.length, 1);
+    assert.ok(logs.some(log => log.message.includes('#1 already has a stale comment')));
+    assert.match(comments[0], /@alice This issue looks stale on the project board: in Review for 10 days, no open PR\./);
+  });
+
+  it('flags PRs left in review after they closed', async () => {
+    const pullRequest = fake.addPullRequest({ number: 10, head: 'bump-deps', merged: true });
+    fake.addItem(project, pullRequest, { Status: 'Review' });
+
+    const { outputs } = await run();
+
+    assert.deepEqual(outputs, { stale: '1', stale_refs: '#10' });
+  });
+
+  it('rejects unknown actions', async () => {
+    await assert.rejects(run({ STALE_ACTIONS: 'report, close' }), /Unknown STALE_ACTIONS: close/);
+  });
+});
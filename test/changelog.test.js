@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseChangelogTargets,
+  buildChangelog,
+  replaceChangelogSection,
+  prependToChangelogFile
+} = require('../.github/scripts/changelog');
+
+const defaultRepo = { owner: 'acme', repo: 'app' };
+
+/**
+ * Builds a changelog entry for an issue of acme/app
+ */
+const entry = (number, title, labels, { domain = null, pullRequests = [] } = {}) => ({
+  issue: { owner: 'acme', repo: 'app', number, title, labels: labels.map(name => ({ name })), html_url: `https://github.com/acme/app/issues/${number}` },
+  pullRequests: pullRequests.map(pr => ({ owner: 'acme', repo: 'app', number: pr, html_url: `https://github.com/acme/app/pull/${pr}` })),
+  domain
+});
+
+describe('parseChangelogTargets', () => {
+  it('reads lists and JSON arrays', () => {
+    assert.deepEqual(parseChangelogTargets('pr, release'), ['pr', 'release']);
+    assert.deepEqual(parseChangelogTargets('["file"]'), ['file']);
+    assert.deepEqual(parseChangelogTargets(''), []);
+  });
+
+  it('rejects unknown targets', () => {
+    assert.throws(() => parseChangelogTargets('pr,wiki'), /Unknown CHANGELOG target\(s\): wiki/);
+  });
+});
+
+describe('buildChangelog', () => {
+  it('groups entries by label and links issues and PRs', () => {
+    const markdown = buildChangelog([
+      entry(3, 'Fix sign-up', ['bug']),
+      entry(1, 'Add login', ['feature'], { pullRequests: [10, 11] }),
+      entry(2, 'Bump deps', [])
+    ], { title: 'production release 2026-03-02', defaultRepo });
+
+    assert.equal(markdown, [
+      '## production release 2026-03-02',
+      '',
+      '### Features',
+      '',
+      '- Add login ([#1](https://github.com/acme/app/issues/1)) in [#10](https://github.com/acme/app/pull/10), [#11](https://github.com/acme/app/pull/11)',
+      '',
+      '### Bug fixes',
+      '',
+      '- Fix sign-up ([#3](https://github.com/acme/app/issues/3))',
+      '',
+      '### Other changes',
+      '',
+      '- Bump deps ([#2](https://github.com/acme/app/issues/2))',
+      ''
+    ].join('\n'));
+  });
+
+  it('groups by domain first when issues have one', () => {
+    const markdown = buildChangelog([
+      entry(1, 'Add login', ['feature'], { domain: 'Web' }),
+      entry(2, 'Add push', ['enhancement'], { domain: 'Mobile' }),
+      entry(3, 'Tidy CI', ['chore'])
+    ], { title: 'release', defaultRepo });
+
+    const headings = markdown.split('\n').filter(line => line.startsWith('#'));
+    assert.deepEqual(headings, ['## release', '### Mobile', '#### Features', '### No domain', '#### Chores', '### Web', '#### Features']);
+  });
+
+  it('says when nothing was promoted', () => {
+    assert.match(buildChangelog([], { title: 'release', defaultRepo }), /No issues were promoted/);
+  });
+});
+
+describe('changelog destinations', () => {
+  it('replaces the changelog of an earlier run in the PR body', () => {
+    const body = replaceChangelogSection('Deploy staging', '## First');
+    assert.equal(replaceChangelogSection(body, '## Second'), 'Deploy staging\n\n<!-- changelog:start -->\n## Second\n<!-- changelog:end -->');
+  });
+
+  it('adds releases below the title of the changelog file', () => {
+    assert.equal(prependToChangelogFile('', '## Second'), '# Changelog\n\n## Second\n');
+    assert.equal(prependToChangelogFile('# Changelog\n\n## First\n', '## Second'), '# Changelog\n\n## Second\n\n## First\n');
+  });
+});
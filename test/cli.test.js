@@ -0,0 +1,237 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { promisify } = require('util');
+const { execFile } = require('child_process');
+const yaml = require('js-yaml');
+const { createFakeGitHub } = require('./helpers/fake-github');
+const { WORKFLOWS, replay } = require('../.github/scripts/cli');
+
+const CLI = path.join(__dirname, '..', '.github', 'scripts', 'cli.js');
+const WORKFLOWS_DIR = path.join(__dirname, '..', '.github', 'workflows');
+
+/**
+ * Serves the fake GitHub over HTTP, for the scripts the CLI runs as their own processes
+ */
+function serve(fake) {
+  const server = http.createServer((request, response) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', async () => {
+      const body = Buffer.concat(chunks).toString();
+      const answer = await fake.fetch(`http://localhost${request.url}`, { method: request.method, body: body || undefined });
+      response.writeHead(answer.status, { 'content-type': 'application/json' });
+      response.end(await answer.text());
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('cli workflows', () => {
+  for (const workflow of WORKFLOWS) {
+    it(`runs the scripts of ${workflow.name}.yml in order`, () => {
+      const { jobs } = yaml.load(fs.readFileSync(path.join(WORKFLOWS_DIR, `${workflow.name}.yml`), 'utf8'));
+      // The CLI reads the config itself before replaying the steps
+      const scripts = Object.values(jobs)
+        .flatMap(job => job.steps || [])
+        .map(step => /node \S*\/scripts\/([\w-]+\.js)/.exec(step.run || '')?.[1])
+        .filter(script => script && script !== 'read-config.js');
+
+      assert.deepEqual(workflow.steps.filter(step => step.script).map(step => step.script), scripts);
+    });
+  }
+});
+
+describe('cli replay', () => {
+  let fake;
+  let project;
+  let server;
+  let dir;
+
+  before(async () => {
+    fake = createFakeGitHub();
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review', 'Fixes', 'Done'] },
+        { name: 'Date', dataType: 'DATE' },
+        { name: 'Start', dataType: 'DATE' },
+        { name: 'End', dataType: 'DATE' }
+      ]
+    });
+    server = await serve(fake);
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-replay-'));
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Replays a payload with the CLI and returns its exit code and output
+   */
+  const runCli = async (event, payload, args = []) => {
+    const payloadPath = path.join(dir, `${event}-${Date.now()}.json`);
+    fs.writeFileSync(payloadPath, JSON.stringify(payload));
+    const argv = [
+      CLI, 'replay', '--event', event, '--payload', payloadPath, '--repo', 'acme/app',
+      '--api-url', `http://127.0.0.1:${server.address().port}`, '--input', `PROJECT_ID=${project.id}`, ...args
+    ];
+    try {
+      const { stdout } = await promisify(execFile)(process.execPath, argv, { cwd: dir, env: { PATH: process.env.PATH, GITHUB_TOKEN: 'test-token' } });
+      return { code: 0, stdout };
+    } catch (error) {
+      return { code: error.code, stdout: `${error.stdout}\n${error.stderr}` };
+    }
+  };
+
+  const addIssue = (number, status) => {
+    const issue = fake.addIssue({ number });
+    fake.addItem(project, issue, status ? { Status: status } : {});
+    return issue;
+  };
+
+  const pullRequestPayload = (pullRequest, extra = {}) => ({
+    number: pullRequest.number,
+    node_id: pullRequest.node_id,
+    title: pullRequest.title,
+    body: pullRequest.body,
+    head: { ref: pullRequest.head },
+    base: { ref: pullRequest.base },
+    user: { login: pullRequest.author },
+    labels: [],
+    ...extra
+  });
+
+  const cases = [
+    {
+      workflow: 'branch-created',
+      setup: () => ({ issue: addIssue(1, 'Todo'), status: 'Doing' }),
+      event: 'create',
+      payload: () => ({ ref: '1-login', ref_type: 'branch', sender: { login: 'alice' } })
+    },
+    {
+      workflow: 'issue-opened',
+      setup: () => ({ issue: fake.addIssue({ number: 2 }) }),
+      event: 'issues',
+      payload: ({ issue }) => ({ action: 'opened', issue: { number: 2, node_id: issue.node_id, labels: [] } })
+    },
+    {
+      workflow: 'issue-closed',
+      setup: () => ({ issue: addIssue(3, 'Review') }),
+      event: 'issues',
+      payload: ({ issue }) => ({ action: 'closed', issue: { number: 3, node_id: issue.node_id, labels: [] } })
+    },
+    {
+      workflow: 'pr-opened',
+      setup: () => ({ issue: addIssue(4, 'Doing'), pullRequest: fake.addPullRequest({ number: 40, head: '4-sign-up', base: 'develop' }), status: 'Review' }),
+      event: 'pull_request',
+      payload: ({ pullRequest }) => ({ action: 'opened', pull_request: pullRequestPayload(pullRequest) }),
+      also: ['pr-add']
+    },
+    {
+      workflow: 'pr-review',
+      setup: () => {
+        const review = { user: { login: 'bob' }, state: 'CHANGES_REQUESTED', commit_id: 'head', submitted_at: '2026-03-02T09:00:00Z' };
+        const pullRequest = fake.addPullRequest({ number: 50, head: '5-search', base: 'develop', reviews: [review] });
+        return { issue: addIssue(5, 'Review'), pullRequest, status: 'Fixes' };
+      },
+      event: 'pull_request_review',
+      payload: ({ pullRequest }) => ({
+        action: 'submitted',
+        review: { state: 'changes_requested', user: { login: 'bob' } },
+        pull_request: pullRequestPayload(pullRequest, { state: 'open', head: { ref: pullRequest.head, sha: 'head' }, requested_reviewers: [] })
+      })
+    },
+    {
+      workflow: 'domain-sync',
+      setup: () => ({ issue: addIssue(6, 'Todo') }),
+      event: 'issues',
+      payload: ({ issue }) => ({ action: 'labeled', issue: { number: 6, node_id: issue.node_id, labels: [{ name: 'bug' }] } })
+    },
+    {
+      workflow: 'pr-stg-closed',
+      setup: () => ({ issue: addIssue(7, 'Review'), pullRequest: fake.addPullRequest({ number: 70, head: '7-export', base: 'develop', merged: true }), status: 'Done' }),
+      event: 'pull_request',
+      payload: ({ pullRequest }) => ({ action: 'closed', pull_request: pullRequestPayload(pullRequest, { merged: true }) })
+    },
+    {
+      workflow: 'pr-main-closed',
+      setup: () => ({ issue: addIssue(8, 'Review'), pullRequest: fake.addPullRequest({ number: 80, head: '8-hotfix', base: 'main', merged: true }), status: 'Done' }),
+      event: 'pull_request',
+      payload: ({ pullRequest }) => ({ action: 'closed', pull_request: pullRequestPayload(pullRequest, { merged: true }) })
+    },
+    {
+      workflow: 'pr-closed-unmerged',
+      setup: () => ({ issue: addIssue(9, 'Review'), pullRequest: fake.addPullRequest({ number: 90, head: '9-dark-mode', base: 'develop', state: 'closed' }), status: 'Todo' }),
+      event: 'pull_request',
+      payload: ({ pullRequest }) => ({ action: 'closed', pull_request: pullRequestPayload(pullRequest, { merged: false }) })
+    },
+    {
+      workflow: 'pr-reverted',
+      setup: () => {
+        const issue = addIssue(10, 'Done');
+        fake.addPullRequest({ number: 100, head: '10-avatars', base: 'develop', merged: true });
+        const pullRequest = fake.addPullRequest({ number: 101, title: 'Revert "Avatars"', body: 'Reverts acme/app#100', head: 'revert-100-10-avatars', base: 'develop', merged: true });
+        return { issue, pullRequest, status: 'Doing' };
+      },
+      event: 'pull_request',
+      payload: ({ pullRequest }) => ({ action: 'closed', pull_request: pullRequestPayload(pullRequest, { merged: true }) })
+    },
+    {
+      workflow: 'stg-to-prod',
+      setup: () => ({ pullRequest: fake.addPullRequest({ number: 110, head: 'develop', base: 'main', merged: true }) }),
+      event: 'pull_request',
+      payload: ({ pullRequest }) => ({ action: 'closed', pull_request: pullRequestPayload(pullRequest, { merged: true }) })
+    }
+  ];
+
+  for (const { workflow, setup, event, payload, also = [] } of cases) {
+    it(`replays ${workflow}`, { timeout: 60000 }, async () => {
+      const state = setup();
+
+      const { code, stdout } = await runCli(event, payload(state));
+
+      assert.equal(code, 0, stdout);
+      for (const name of [workflow, ...also]) {
+        assert.ok(stdout.includes(`📂 Workflow ${name}\n`), stdout);
+      }
+      if (state.status) {
+        assert.equal(fake.getFieldValue(project, state.issue, 'Status'), state.status);
+      }
+    });
+  }
+
+  it('replays run-rules with a rules file', { timeout: 60000 }, async () => {
+    const issue = addIssue(12, 'Todo');
+    const rulesFile = path.join(dir, 'project-automation.yml');
+    fs.writeFileSync(rulesFile, 'rules:\n  - when: { event: issues, action: labeled, labels: blocked }\n    actions:\n      - { type: set-field, field: Status, value: Fixes, target: subject }\n');
+
+    const { code, stdout } = await runCli('issues', { action: 'labeled', issue: { number: 12, node_id: issue.node_id, labels: [{ name: 'blocked' }] } }, ['--rules', rulesFile]);
+
+    assert.equal(code, 0, stdout);
+    assert.ok(stdout.includes('📂 Workflow run-rules\n'));
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Fixes');
+  });
+
+  it('removes its temporary directory when the config cannot be read', () => {
+    const tmpDir = fs.mkdtempSync(path.join(dir, 'tmp-'));
+    const payloadPath = path.join(dir, 'opened.json');
+    fs.writeFileSync(payloadPath, JSON.stringify({ action: 'opened', issue: { number: 1 } }));
+    const previous = { TMPDIR: process.env.TMPDIR, log: console.log };
+    process.env.TMPDIR = tmpDir;
+    console.log = () => {};
+
+    try {
+      // No project is configured, so the config step fails
+      assert.equal(replay({ event: 'issues', payload: payloadPath, repo: 'acme/app' }), false);
+      assert.deepEqual(fs.readdirSync(tmpDir), []);
+    } finally {
+      if (previous.TMPDIR === undefined) delete process.env.TMPDIR; else process.env.TMPDIR = previous.TMPDIR;
+      console.log = previous.log;
+    }
+  });
+});
@@ -0,0 +1,163 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const {
+  parseDomainRules,
+  parseIssueForm,
+  loadIssueTemplates,
+  findIssueTemplate,
+  findDomainRule
+} = require('../.github/scripts/domain-rules');
+const { addDomain } = require('../.github/scripts/add-domain');
+
+const RULES = [
+  { domain: 'Billing', labels: ['billing'], paths: ['apps/billing/**', '!apps/billing/README.md'] },
+  { domain: 'Mobile', templates: ['Mobile bug'] },
+  { domain: 'Web', fields: { Platform: ['Web', 'Desktop web'] } }
+];
+
+describe('parseDomainRules', () => {
+  it('reads JSON strings and lists', () => {
+    const [rule] = parseDomainRules(JSON.stringify([{ domain: 'Billing', labels: 'Billing' }]));
+    assert.deepEqual(rule, { domain: 'Billing', labels: ['billing'], paths: [], templates: [], fields: [] });
+    assert.deepEqual(parseDomainRules(''), []);
+  });
+
+  it('rejects rules without a domain or anything to match', () => {
+    assert.throws(() => parseDomainRules([{ labels: ['billing'] }]), /DOMAIN_RULES\[0\] is missing domain/);
+    assert.throws(() => parseDomainRules([{ domain: 'Billing' }]), /needs labels, paths, templates or fields/);
+  });
+});
+
+describe('domain rule matching', () => {
+  const rules = parseDomainRules(RULES);
+
+  it('picks the first rule matching labels, paths, templates or form answers', () => {
+    assert.equal(findDomainRule(rules, { labels: [{ name: 'Billing' }] }).domain, 'Billing');
+    assert.equal(findDomainRule(rules, { paths: ['apps/billing/src/invoice.js'] }).domain, 'Billing');
+    assert.equal(findDomainRule(rules, { paths: ['apps/billing/README.md'] }), null);
+    assert.equal(findDomainRule(rules, { template: 'mobile bug' }).domain, 'Mobile');
+    assert.equal(findDomainRule(rules, { answers: { platform: 'desktop web' } }).domain, 'Web');
+    assert.equal(findDomainRule(rules, { labels: ['billing'], template: 'Mobile bug' }).domain, 'Billing');
+  });
+
+  it('parses the answers of issue forms', () => {
+    const body = '### Platform\n\nWeb\n\n### Steps\n\n_No response_\n\n### Details\n\nIt breaks\n### on save';
+    assert.deepEqual(parseIssueForm(body), { platform: 'Web', details: 'It breaks' });
+  });
+
+  it('recognises the template of an issue by its form fields or title', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'issue-templates-'));
+    try {
+      fs.writeFileSync(path.join(dir, 'mobile.yml'), [
+        'name: Mobile bug',
+        'body:',
+        '  - type: markdown',
+        '    attributes:',
+        '      value: Thanks!',
+        '  - type: input',
+        '    attributes:',
+        '      label: Device',
+        '  - type: textarea',
+        '    attributes:',
+        '      label: Steps'
+      ].join('\n'));
+      fs.writeFileSync(path.join(dir, 'feature.md'), '---\nname: Feature request\ntitle: "[Feature] "\n---\n\nDescribe it');
+      fs.writeFileSync(path.join(dir, 'config.yml'), 'blank_issues_enabled: false');
+
+      const templates = loadIssueTemplates(dir);
+      assert.deepEqual(templates.map(template => template.name), ['Feature request', 'Mobile bug']);
+      assert.equal(findIssueTemplate({ title: 'Crash', body: '### Device\n\nPixel\n\n### Steps\n\n_No response_' }, templates), 'Mobile bug');
+      assert.equal(findIssueTemplate({ title: '[Feature] Dark mode', body: '' }, templates), 'Feature request');
+      assert.equal(findIssueTemplate({ title: 'Crash', body: '### Device\n\nPixel' }, templates), null);
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('add-domain', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Domain', dataType: 'SINGLE_SELECT', options: ['Billing', 'Web', 'Platform'] }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (payload, env = {}) => runScript(addDomain, {
+    eventName: payload.pull_request ? 'pull_request' : 'issues',
+    payload,
+    env: { PROJECT_ID: project.id, DOMAIN: 'Platform', DOMAIN_RULES: JSON.stringify(RULES), ...env }
+  });
+
+  it('sets the domain of the rule matching the labels of an issue', async () => {
+    const issue = fake.addIssue({ number: 1, labels: ['billing'] });
+    fake.addItem(project, issue);
+
+    await run({ action: 'labeled', issue: { number: 1, node_id: issue.node_id } });
+
+    assert.equal(fake.getFieldValue(project, issue, 'Domain'), 'Billing');
+  });
+
+  it('sets the domain of the rule matching the paths a PR changes', async () => {
+    const pullRequest = fake.addPullRequest({ number: 10, head: 'billing-fix', files: ['apps/billing/src/invoice.js'] });
+    fake.addItem(project, pullRequest, { Domain: 'Platform' });
+
+    await run({ action: 'synchronize', pull_request: { number: 10, node_id: pullRequest.node_id, head: { ref: 'billing-fix' }, labels: [] } });
+
+    assert.equal(fake.getFieldValue(project, pullRequest, 'Domain'), 'Billing');
+  });
+
+  it('falls back to DOMAIN for new items but keeps the domain of existing ones', async () => {
+    const added = fake.addIssue({ number: 1 });
+    const item = fake.addItem(project, added);
+    const existing = fake.addIssue({ number: 2 });
+    fake.addItem(project, existing, { Domain: 'Web' });
+
+    await run({ action: 'opened', issue: { number: 1, node_id: added.node_id } }, { ITEM_ID: item.id });
+    const { logs } = await run({ action: 'unlabeled', issue: { number: 2, node_id: existing.node_id } });
+
+    assert.equal(fake.getFieldValue(project, added, 'Domain'), 'Platform');
+    assert.equal(fake.getFieldValue(project, existing, 'Domain'), 'Web');
+    assert.ok(logs.some(log => log.message.includes('keeping Domain "Web"')));
+  });
+
+  it('warns instead of failing when the field has no option for the domain', async () => {
+    const issue = fake.addIssue({ number: 1, body: '### Platform\n\nDesktop web' });
+    fake.addItem(project, issue);
+
+    const { logs } = await run(
+      { action: 'edited', issue: { number: 1, node_id: issue.node_id } },
+      { DOMAIN_RULES: JSON.stringify([{ domain: 'Desktop', fields: { Platform: 'Desktop web' } }]) }
+    );
+
+    assert.equal(fake.getFieldValue(project, issue, 'Domain'), undefined);
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('no option "Desktop" (options: Billing, Web, Platform)')));
+  });
+
+  it('lists the options of the refetched field when the cached one is out of date', async () => {
+    const billing = fake.addIssue({ number: 1, labels: ['billing'] });
+    fake.addItem(project, billing);
+    await run({ action: 'labeled', issue: { number: 1, node_id: billing.node_id } });
+
+    project.fields[0].options.push({ id: 'OPT_mobile', name: 'Mobile' });
+    const issue = fake.addIssue({ number: 2, body: '### Platform\n\nDesktop web' });
+    fake.addItem(project, issue);
+
+    const { logs } = await run(
+      { action: 'edited', issue: { number: 2, node_id: issue.node_id } },
+      { DOMAIN_RULES: JSON.stringify([{ domain: 'Desktop', fields: { Platform: 'Desktop web' } }]) }
+    );
+
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('no option "Desktop" (options: Billing, Web, Platform, Mobile)')));
+  });
+});
@@ -0,0 +1,94 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { resolveEnvironments, findPromotion } = require('../.github/scripts/environments');
+const { openPromotionPR } = require('../.github/scripts/open-promotion-pr');
+
+const ENVIRONMENTS = [
+  { name: 'dev', branch: 'dev', label: 'dev' },
+  { name: 'qa', branch: 'qa', label: 'qa', status: 'In QA' },
+  { name: 'production', branch: ['main', 'master'], label: 'production' }
+];
+
+describe('resolveEnvironments', () => {
+  it('defaults to staging then production with the configured labels', () => {
+    assert.deepEqual(resolveEnvironments({ stagingLabel: 'stg', productionLabel: 'prod' }), [
+      { name: 'staging', branches: ['staging', 'develop'], label: 'stg', status: '' },
+      { name: 'production', branches: ['main', 'master'], label: 'prod', status: '' }
+    ]);
+  });
+
+  it('reads the environments from a JSON string', () => {
+    const environments = resolveEnvironments({ environments: JSON.stringify(ENVIRONMENTS) });
+
+    assert.deepEqual(environments.map(environment => environment.branches), [['dev'], ['qa'], ['main', 'master']]);
+    assert.equal(environments[1].status, 'In QA');
+  });
+
+  it('requires a name, branch and label', () => {
+    assert.throws(() => resolveEnvironments({ environments: [{ name: 'qa' }] }), /ENVIRONMENTS\[0\] is missing branch, label/);
+  });
+});
+
+describe('findPromotion', () => {
+  const environments = resolveEnvironments({ environments: ENVIRONMENTS });
+
+  it('matches a merge into the next environment', () => {
+    const promotion = findPromotion(environments, 'qa', 'master');
+
+    assert.equal(promotion.from.name, 'qa');
+    assert.equal(promotion.to.name, 'production');
+  });
+
+  it('ignores feature branches and skipped environments', () => {
+    assert.equal(findPromotion(environments, '12-login', 'dev'), null);
+    assert.equal(findPromotion(environments, 'dev', 'main'), null);
+  });
+});
+
+describe('open-promotion-pr', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = branch => runScript(openPromotionPR, { env: { BRANCH: branch, ENVIRONMENTS: JSON.stringify(ENVIRONMENTS) } });
+
+  it('opens a PR into the next environment', async () => {
+    const { outputs } = await run('dev');
+
+    const [create] = fake.calls.filter(call => call.method === 'POST');
+    assert.equal(create.body.title, 'deploy: dev -> qa');
+    assert.deepEqual([create.body.head, create.body.base], ['dev', 'qa']);
+    assert.equal(outputs.pr_number, '1');
+  });
+
+  it('targets the first branch of the next environment', async () => {
+    await run('qa');
+
+    const [create] = fake.calls.filter(call => call.method === 'POST');
+    assert.equal(create.body.base, 'main');
+  });
+
+  it('leaves an open promotion PR alone', async () => {
+    fake.addPullRequest({ number: 4, head: 'dev', base: 'qa' });
+
+    const { outputs, logs } = await run('dev');
+
+    assert.equal(outputs.pr_number, '');
+    assert.ok(logs.some(log => log.message.includes('PR from dev to qa already exists')));
+  });
+
+  it('does nothing after a merge into the last environment', async () => {
+    const { outputs } = await run('main');
+
+    assert.equal(outputs.pr_number, '');
+    assert.equal(fake.calls.length, 0);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { findIssue } = require('../.github/scripts/find-issue');
+
+const REGEX = '^(\\d+)[-_]';
+
+describe('find-issue', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('finds the issue named by the branch', async () => {
+    const issue = fake.addIssue({ number: 12 });
+
+    const { outputs } = await runScript(findIssue, { env: { BRANCH: '12-add-login', REGEX } });
+
+    assert.equal(outputs.issue_number, '12');
+    assert.equal(outputs.issue_node_id, issue.node_id);
+    assert.equal(outputs.issue_refs, '#12');
+  });
+
+  it('collects issues from the branch, PR body, commits and linked issues, across repositories', async () => {
+    const issues = [
+      fake.addIssue({ number: 12 }),
+      fake.addIssue({ number: 14 }),
+      fake.addIssue({ repo: 'api', number: 3 }),
+      fake.addIssue({ number: 20 }),
+      fake.addIssue({ number: 21 })
+    ];
+    const pullRequest = fake.addPullRequest({
+      number: 5,
+      head: '12-add-login',
+      body: 'Closes #14, fixes acme/api#3',
+      commits: ['Add login form', 'Resolve #20'],
+      closingIssues: [issues[4]]
+    });
+
+    const { outputs } = await runScript(findIssue, {
+      env: { BRANCH: pullRequest.head, REGEX },
+      payload: { pull_request: { number: 5, node_id: pullRequest.node_id, title: pullRequest.title, body: pullRequest.body } }
+    });
+
+    assert.equal(outputs.issue_refs, '#12,#14,acme/api#3,#20,#21');
+    assert.equal(outputs.issue_node_ids, issues.map(issue => issue.node_id).join(','));
+    assert.deepEqual(JSON.parse(outputs.issues)[2], { owner: 'acme', repo: 'api', number: 3, node_id: issues[2].node_id });
+  });
+
+  it('skips references to issues that do not exist', async () => {
+    fake.addIssue({ number: 12 });
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-add-login', body: 'Closes #99' });
+
+    const { outputs } = await runScript(findIssue, {
+      env: { BRANCH: pullRequest.head, REGEX },
+      payload: { pull_request: { number: 5, node_id: pullRequest.node_id, body: pullRequest.body } }
+    });
+
+    assert.equal(outputs.issue_refs, '#12');
+  });
+
+  it('sets empty outputs when nothing is linked', async () => {
+    const { outputs } = await runScript(findIssue, { env: { BRANCH: 'main', REGEX } });
+
+    assert.equal(outputs.issue_number, '');
+    assert.equal(outputs.issues, '[]');
+  });
+
+  it('fails without a branch regex', async () => {
+    await assert.rejects(runScript(findIssue, { env: { BRANCH: '12-add-login' } }), /Missing required environment variables: REGEX/);
+  });
+});
@@ -0,0 +1,605 @@
+/**
+ * In-process fake of the GitHub API
+ * Serves the Projects V2 GraphQL queries and mutations of GRAPHQL_QUERIES and the
+ * issues, labels, comments, pulls, releases and contents REST endpoints the scripts use, through Octokit's fetch option
+ */
+
+const github = require('@actions/github');
+const { GRAPHQL_QUERIES } = require('../../.github/scripts/shared-utils');
+
+const originalGetOctokit = github.getOctokit;
+
+/**
+ * Creates a fake GitHub with empty state
+ * @param {Object} options - Fake options
+ * @param {number} options.pageSize - Page size of paginated GraphQL connections (default: 100)
+ * @param {string} options.viewer - Login of the token's user; without it the token acts like an installation token
+ * @returns {Object} Fake with state builders, fetch, calls and failNext
+ */
+function createFakeGitHub({ pageSize = 100, viewer = null } = {}) {
+  let nextId = 1;
+  const newId = prefix => `${prefix}_${nextId++}`;
+
+  const projects = [];
+  const issues = [];
+  const pullRequests = [];
+  const items = [];
+  const comments = [];
+  const releases = [];
+  const branches = [];
+  const files = {};
+  const calls = [];
+  const failures = [];
+
+  const findNode = id => [...issues, ...pullRequests].find(node => node.node_id === id);
+  const findProject = id => projects.find(project => project.id === id);
+  const findIssue = (owner, repo, number) =>
+    [...issues, ...pullRequests].find(node => node.owner === owner && node.repo === repo && node.number === number);
+
+  /**
+   * Pages a list the way GraphQL connections do
+   */
+  const paginate = (list, cursor) => {
+    const start = cursor ? parseInt(cursor, 10) : 0;
+    const end = start + pageSize;
+    return {
+      nodes: list.slice(start, end),
+      pageInfo: { hasNextPage: end < list.length, endCursor: String(end) }
+    };
+  };
+
+  /**
+   * Serializes an item's field values like ProjectV2ItemFieldValue nodes
+   */
+  const fieldValueNodes = (project, item) => Object.entries(item.values).map(([fieldId, value]) => {
+    const field = project.fields.find(candidate => candidate.id === fieldId);
+    if (value.singleSelectOptionId) {
+      const option = field.options.find(candidate => candidate.id === value.singleSelectOptionId);
+      return { name: option.name, optionId: option.id, updatedAt: item.updatedAt, field: { id: field.id, name: field.name } };
+    }
+    if (value.iterationId) {
+      const iterations = [...field.configuration.iterations, ...field.configuration.completedIterations];
+      const iteration = iterations.find(candidate => candidate.id === value.iterationId);
+      return { iterationId: iteration.id, title: iteration.title, startDate: iteration.startDate, duration: iteration.duration, field: { name: field.name } };
+    }
+    return { ...value, field: { name: field.name } };
+  });
+
+  const setValue = ({ projectId, itemId, fieldId, value }) => {
+    const item = items.find(candidate => candidate.id === itemId && candidate.projectId === projectId);
+    if (!item) {
+      return { errors: [{ type: 'NOT_FOUND', message: `Could not resolve to a node with the global id of '${itemId}'` }] };
+    }
+    item.values[fieldId] = value;
+    item.updatedAt = new Date().toISOString();
+    return { data: { updateProjectV2ItemFieldValue: { projectV2Item: { id: item.id } } } };
+  };
+
+  const projectLookup = variables => {
+    const project = projects.find(candidate => candidate.owner === variables.owner && candidate.number === variables.number);
+    return project
+      ? { data: { owner: { projectV2: { id: project.id, title: project.title } } } }
+      : { errors: [{ type: 'NOT_FOUND', message: `Could not resolve to a ProjectV2 with the number ${variables.number}.` }] };
+  };
+
+  /**
+   * GraphQL resolvers keyed by GRAPHQL_QUERIES name
+   */
+  const resolvers = {
+    ORGANIZATION_PROJECT: projectLookup,
+    USER_PROJECT: projectLookup,
+
+    PROJECT_FIELDS: ({ projectId }) => {
+      const project = findProject(projectId);
+      return { data: { node: project ? { fields: { nodes: project.fields } } : null } };
+    },
+
+    PROJECT_ITEMS_PAGINATED: ({ projectId, cursor }) => {
+      const project = findProject(projectId);
+      const projectItems = items.filter(item => item.projectId === projectId).map(item => {
+        const content = findNode(item.contentId);
+        return {
+          id: item.id,
+          isArchived: item.isArchived,
+          updatedAt: item.updatedAt,
+          content: {
+            __typename: content.isPullRequest ? 'PullRequest' : 'Issue',
+            id: content.node_id,
+            number: content.number,
+            title: content.title,
+            state: content.state.toUpperCase(),
+            url: `https://github.com/${content.owner}/${content.repo}/${content.isPullRequest ? 'pull' : 'issues'}/${content.number}`,
+            repository: { name: content.repo, owner: { login: content.owner } },
+            assignees: { nodes: content.assignees.map(login => ({ login })) }
+          },
+          fieldValues: { nodes: fieldValueNodes(project, item) }
+        };
+      });
+      return { data: { node: { items: paginate(projectItems, cursor) } } };
+    },
+
+    PROJECT_ITEM_STATUS: ({ itemId }) => {
+      const item = items.find(candidate => candidate.id === itemId);
+      if (!item) {
+        return { data: { item: null } };
+      }
+      const content = findNode(item.contentId);
+      return {
+        data: {
+          item: {
+            id: item.id,
+            content: content && !content.isPullRequest
+              ? { number: content.number, repository: { name: content.repo, owner: { login: content.owner } } }
+              : {},
+            fieldValues: { nodes: fieldValueNodes(findProject(item.projectId), item) }
+          }
+        }
+      };
+    },
+
+    ISSUE_PROJECT_ITEMS: ({ issueNodeId }) => {
+      const issue = findNode(issueNodeId);
+      const nodes = items
+        .filter(item => item.contentId === issueNodeId)
+        .map(item => ({ id: item.id, project: { id: item.projectId } }));
+      return { data: { issue: issue ? { id: issue.node_id, number: issue.number, projectItems: { nodes } } : null } };
+    },
+
+    PR_PROJECT_ITEMS_PAGINATED: ({ prNodeId, cursor }) => {
+      const pullRequest = findNode(prNodeId);
+      if (!pullRequest) {
+        return { data: { pullRequest: null } };
+      }
+      const nodes = items
+        .filter(item => item.contentId === prNodeId)
+        .map(item => ({ id: item.id, project: { id: item.projectId } }));
+      return {
+        data: {
+          pullRequest: {
+            id: pullRequest.node_id,
+            number: pullRequest.number,
+            title: pullRequest.title,
+            projectItems: paginate(nodes, cursor)
+          }
+        }
+      };
+    },
+
+    PR_CLOSING_ISSUES: ({ prNodeId }) => {
+      const pullRequest = findNode(prNodeId);
+      const nodes = (pullRequest?.closingIssues || []).map(issue => ({
+        id: issue.node_id,
+        number: issue.number,
+        repository: { name: issue.repo, owner: { login: issue.owner } }
+      }));
+      return { data: { pullRequest: pullRequest ? { id: pullRequest.node_id, number: pullRequest.number, closingIssuesReferences: { nodes } } : null } };
+    },
+
+    PR_COMMIT_PULL_REQUESTS_PAGINATED: ({ prNodeId, cursor }) => {
+      const pullRequest = findNode(prNodeId);
+      const commits = (pullRequest?.commits || []).map(({ sha }) => ({
+        commit: {
+          oid: sha,
+          associatedPullRequests: {
+            nodes: pullRequests
+              .filter(pr => pr.owner === pullRequest.owner && pr.repo === pullRequest.repo && pr.commits.some(commit => commit.sha === sha))
+              .map(pr => ({ id: pr.node_id, number: pr.number, title: pr.title, body: pr.body, url: toIssueJson(pr).html_url, headRefName: pr.head, mergedAt: pr.merged ? pr.closedAt : null }))
+          }
+        }
+      }));
+      return { data: { pullRequest: pullRequest ? { id: pullRequest.node_id, commits: paginate(commits, cursor) } : null } };
+    },
+
+    ISSUE_PARENT: ({ issueNodeId }) => {
+      const issue = findNode(issueNodeId);
+      const parent = issue?.parentId ? findNode(issue.parentId) : null;
+      return {
+        data: {
+          issue: issue ? {
+            id: issue.node_id,
+            parent: parent ? { id: parent.node_id, number: parent.number, repository: { name: parent.repo, owner: { login: parent.owner } } } : null
+          } : null
+        }
+      };
+    },
+
+    SUB_ISSUES_PAGINATED: ({ issueNodeId, cursor }) => {
+      const subIssues = issues.filter(issue => issue.parentId === issueNodeId).map(issue => ({
+        id: issue.node_id,
+        number: issue.number,
+        state: issue.state.toUpperCase(),
+        projectItems: {
+          nodes: items
+            .filter(item => item.contentId === issue.node_id)
+            .map(item => ({ id: item.id, project: { id: item.projectId }, fieldValues: { nodes: fieldValueNodes(findProject(item.projectId), item) } }))
+        }
+      }));
+      return { data: { issue: findNode(issueNodeId) ? { id: issueNodeId, subIssues: paginate(subIssues, cursor) } : null } };
+    },
+
+    ADD_TO_PROJECT: ({ projectId, contentId }) => {
+      const item = items.find(candidate => candidate.projectId === projectId && candidate.contentId === contentId)
+        || fake.addItem({ id: projectId }, { node_id: contentId });
+      return { data: { addProjectV2ItemById: { item: { id: item.id } } } };
+    },
+
+    UPDATE_PROJECT_FIELD: ({ optionId, ...variables }) => setValue({ ...variables, value: { singleSelectOptionId: optionId } }),
+    UPDATE_PROJECT_DATE_FIELD: ({ dateValue, ...variables }) => setValue({ ...variables, value: { date: dateValue } }),
+    UPDATE_PROJECT_FIELD_VALUE: variables => setValue(variables),
+
+    CLEAR_PROJECT_FIELD: ({ projectId, itemId, fieldId }) => {
+      const item = items.find(candidate => candidate.id === itemId && candidate.projectId === projectId);
+      delete item.values[fieldId];
+      return { data: { clearProjectV2ItemFieldValue: { projectV2Item: { id: itemId } } } };
+    },
+
+    REMOVE_FROM_PROJECT: ({ projectId, itemId }) => {
+      const index = items.findIndex(candidate => candidate.id === itemId && candidate.projectId === projectId);
+      if (index === -1) {
+        return { errors: [{ type: 'NOT_FOUND', message: `Could not resolve to a node with the global id of '${itemId}'` }] };
+      }
+      items.splice(index, 1);
+      return { data: { deleteProjectV2Item: { deletedItemId: itemId } } };
+    }
+  };
+
+  const toIssueJson = issue => ({
+    number: issue.number,
+    node_id: issue.node_id,
+    title: issue.title,
+    body: issue.body,
+    state: issue.state,
+    html_url: `https://github.com/${issue.owner}/${issue.repo}/${issue.isPullRequest ? 'pull' : 'issues'}/${issue.number}`,
+    created_at: issue.createdAt,
+    updated_at: issue.state === 'closed' ? issue.closedAt : issue.createdAt,
+    closed_at: issue.state === 'closed' ? issue.closedAt : null,
+    labels: issue.labels.map(name => ({ name })),
+    assignees: issue.assignees.map(login => ({ login }))
+  });
+
+  const toCommentJson = comment => ({
+    id: comment.id,
+    body: comment.body,
+    user: { login: comment.author },
+    performed_via_github_app: comment.app ? { slug: comment.app } : null
+  });
+
+  const toPullRequestJson = pullRequest => ({
+    ...toIssueJson(pullRequest),
+    merged: pullRequest.merged,
+    merged_at: pullRequest.merged ? pullRequest.closedAt : null,
+    user: { login: pullRequest.author },
+    head: { ref: pullRequest.head },
+    base: { ref: pullRequest.base }
+  });
+
+  /**
+   * REST routes: [method, path pattern, handler(match, query, body)]
+   */
+  const routes = [
+    ['GET', /^\/user$/, () => (viewer ? [200, { login: viewer }] : [403, { message: 'Resource not accessible by integration' }])],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues$/, ([, owner, repo], query) => {
+      const labels = query.get('labels') ? query.get('labels').split(',') : [];
+      const state = query.get('state') || 'open';
+      return [200, issues
+        .filter(issue => issue.owner === owner && issue.repo === repo)
+        .filter(issue => state === 'all' || issue.state === state)
+        .filter(issue => labels.every(label => issue.labels.includes(label)))
+        .map(toIssueJson)];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/, ([, owner, repo, number]) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      return issue ? [200, toIssueJson(issue)] : [404, { message: 'Not Found' }];
+    }],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)$/, ([, owner, repo, number], query, body) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      if (!issue) {
+        return [404, { message: 'Not Found' }];
+      }
+      Object.assign(issue, body.state && { state: body.state }, body.title && { title: body.title });
+      return [200, toIssueJson(issue)];
+    }],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/labels$/, ([, owner, repo, number], query, body) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      if (!issue) {
+        return [404, { message: 'Not Found' }];
+      }
+      issue.labels = [...new Set([...issue.labels, ...body.labels])];
+      return [200, issue.labels.map(name => ({ name }))];
+    }],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/assignees$/, ([, owner, repo, number], query, body) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      if (!issue) {
+        return [404, { message: 'Not Found' }];
+      }
+      issue.assignees = [...new Set([...issue.assignees, ...body.assignees])];
+      return [201, toIssueJson(issue)];
+    }],
+    ['DELETE', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/labels\/([^/]+)$/, ([, owner, repo, number, name]) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      const label = decodeURIComponent(name);
+      if (!issue || !issue.labels.includes(label)) {
+        return [404, { message: 'Label does not exist' }];
+      }
+      issue.labels = issue.labels.filter(existing => existing !== label);
+      return [200, issue.labels.map(existing => ({ name: existing }))];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/, ([, owner, repo, number]) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      return issue ? [200, comments.filter(comment => comment.issue === issue).map(toCommentJson)] : [404, { message: 'Not Found' }];
+    }],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/issues\/(\d+)\/comments$/, ([, owner, repo, number], query, body) => {
+      const issue = findIssue(owner, repo, parseInt(number, 10));
+      return issue ? [201, toCommentJson(fake.addComment(issue, body.body, viewer ? { author: viewer, app: null } : {}))] : [404, { message: 'Not Found' }];
+    }],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/issues\/comments\/(\d+)$/, ([, , , id], query, body) => {
+      const comment = comments.find(candidate => candidate.id === parseInt(id, 10));
+      if (!comment) {
+        return [404, { message: 'Not Found' }];
+      }
+      comment.body = body.body;
+      return [200, toCommentJson(comment)];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls$/, ([, owner, repo], query) => {
+      const state = query.get('state') || 'open';
+      return [200, pullRequests
+        .filter(pr => pr.owner === owner && pr.repo === repo)
+        .filter(pr => state === 'all' || pr.state === state)
+        .reverse()
+        .map(toPullRequestJson)];
+    }],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/pulls$/, ([, owner, repo], query, body) => {
+      const existing = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.state === 'open' && pr.head === body.head && pr.base === body.base);
+      if (existing) {
+        return [422, { message: 'Validation Failed', errors: [{ message: `A pull request already exists for ${owner}:${body.head}.` }] }];
+      }
+      const number = Math.max(0, ...[...issues, ...pullRequests].map(node => node.number)) + 1;
+      const pullRequest = fake.addPullRequest({ owner, repo, number, title: body.title, body: body.body, head: body.head, base: body.base });
+      return [201, toPullRequestJson(pullRequest)];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/, ([, owner, repo, number]) => {
+      const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === parseInt(number, 10));
+      return pullRequest ? [200, toPullRequestJson(pullRequest)] : [404, { message: 'Not Found' }];
+    }],
+    ['PATCH', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)$/, ([, owner, repo, number], query, body) => {
+      const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === parseInt(number, 10));
+      if (!pullRequest) {
+        return [404, { message: 'Not Found' }];
+      }
+      Object.assign(pullRequest, body.body !== undefined && { body: body.body }, body.title && { title: body.title });
+      return [200, toPullRequestJson(pullRequest)];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/reviews$/, ([, owner, repo, number]) => {
+      const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === parseInt(number, 10));
+      return pullRequest ? [200, pullRequest.reviews] : [404, { message: 'Not Found' }];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/commits$/, ([, owner, repo, number]) => {
+      const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === parseInt(number, 10));
+      return pullRequest
+        ? [200, pullRequest.commits.map(({ sha, message }) => ({ sha, commit: { message } }))]
+        : [404, { message: 'Not Found' }];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/requested_reviewers$/, ([, owner, repo, number]) => {
+      const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === parseInt(number, 10));
+      return pullRequest
+        ? [200, { users: pullRequest.requestedReviewers.map(login => ({ login })), teams: pullRequest.requestedTeams.map(slug => ({ slug })) }]
+        : [404, { message: 'Not Found' }];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/pulls\/(\d+)\/files$/, ([, owner, repo, number]) => {
+      const pullRequest = pullRequests.find(pr => pr.owner === owner && pr.repo === repo && pr.number === parseInt(number, 10));
+      return pullRequest ? [200, pullRequest.files.map(filename => ({ filename, status: 'modified' }))] : [404, { message: 'Not Found' }];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/branches$/, ([, owner, repo]) => [200, branches
+      .filter(branch => branch.owner === owner && branch.repo === repo)
+      .map(branch => ({ name: branch.name, commit: { sha: `${branch.name}-head` } }))]],
+    ['POST', /^\/repos\/([^/]+)\/([^/]+)\/releases$/, ([, owner, repo], query, body) => {
+      const release = { id: nextId++, owner, repo, ...body, html_url: `https://github.com/${owner}/${repo}/releases/tag/${body.tag_name}` };
+      releases.push(release);
+      return [201, release];
+    }],
+    ['GET', /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/, ([, owner, repo, path], query) => {
+      const file = files[`${owner}/${repo}@${query.get('ref')}:${decodeURIComponent(path)}`];
+      return file
+        ? [200, { path: decodeURIComponent(path), sha: file.sha, encoding: 'base64', content: Buffer.from(file.content).toString('base64') }]
+        : [404, { message: 'Not Found' }];
+    }],
+    ['PUT', /^\/repos\/([^/]+)\/([^/]+)\/contents\/(.+)$/, ([, owner, repo, path], query, body) => {
+      const key = `${owner}/${repo}@${body.branch}:${decodeURIComponent(path)}`;
+      const existing = files[key];
+      if (existing && existing.sha !== body.sha) {
+        return [409, { message: `${decodeURIComponent(path)} does not match ${body.sha}` }];
+      }
+      files[key] = { sha: `sha${nextId++}`, content: Buffer.from(body.content, 'base64').toString('utf8') };
+      return [existing ? 200 : 201, { content: { path: decodeURIComponent(path), sha: files[key].sha } }];
+    }]
+  ];
+
+  const respond = (status, body, headers = {}) => new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json', ...headers }
+  });
+
+  const fake = {
+    calls,
+    releases,
+
+    /**
+     * Adds a project with fields; single-select options may be given as names
+     */
+    addProject({ owner = 'acme', number = 1, title = 'Board', fields = [] } = {}) {
+      const project = {
+        id: newId('PVT'),
+        owner,
+        number,
+        title,
+        fields: fields.map(field => ({
+          id: newId('PVTF'),
+          name: field.name,
+          dataType: field.dataType,
+          ...(field.options && { options: field.options.map(name => ({ id: newId('OPT'), name })) }),
+          ...(field.configuration && { configuration: field.configuration })
+        }))
+      };
+      projects.push(project);
+      return project;
+    },
+
+    addIssue({ owner = 'acme', repo = 'app', number, title = `Issue ${number}`, body = '', state = 'open', labels = [], assignees = [], parent = null, createdAt = '2026-03-01T09:00:00Z', closedAt = '2026-03-02T09:00:00Z' }) {
+      const issue = { owner, repo, number, title, body, state, labels, assignees, parentId: parent?.node_id || null, createdAt, closedAt, node_id: newId('I') };
+      issues.push(issue);
+      return issue;
+    },
+
+    addPullRequest({ owner = 'acme', repo = 'app', number, title = `PR ${number}`, body = '', head, base = 'main', merged = false, state = merged ? 'closed' : 'open', commits = [], closingIssues = [], reviews = [], labels = [], files = [], author = 'octocat', requestedReviewers = [], requestedTeams = [], createdAt = '2026-03-01T09:00:00Z', closedAt = '2026-03-02T09:00:00Z' }) {
+      const pullRequest = {
+        owner, repo, number, title, body, head, base, merged, state, closingIssues, reviews, author, requestedReviewers, requestedTeams, createdAt, closedAt,
+        // Commits are messages, or { sha, message } when their sha matters
+        commits: commits.map((commit, index) => (typeof commit === 'string' ? { sha: `${number}-sha${index}`, message: commit } : commit)),
+        labels, files, assignees: [], isPullRequest: true, node_id: newId('PR')
+      };
+      pullRequests.push(pullRequest);
+      return pullRequest;
+    },
+
+    addItem(project, content, values = {}, { updatedAt = new Date().toISOString() } = {}) {
+      const item = {
+        id: newId('PVTI'),
+        projectId: project.id,
+        contentId: content.node_id,
+        isArchived: false,
+        updatedAt,
+        values: {}
+      };
+      for (const [fieldName, value] of Object.entries(values)) {
+        const field = project.fields.find(candidate => candidate.name === fieldName);
+        item.values[field.id] = field.options
+          ? { singleSelectOptionId: field.options.find(option => option.name === value).id }
+          : value;
+      }
+      items.push(item);
+      return item;
+    },
+
+    /**
+     * Reads a field value of the item of some content, as an option name or raw value
+     */
+    getFieldValue(project, content, fieldName) {
+      const item = items.find(candidate => candidate.projectId === project.id && candidate.contentId === content.node_id);
+      const field = project.fields.find(candidate => candidate.name === fieldName);
+      const value = item?.values[field.id];
+      if (value?.singleSelectOptionId) {
+        return field.options.find(option => option.id === value.singleSelectOptionId).name;
+      }
+      return value;
+    },
+
+    addComment(issue, body, { author = 'github-actions[bot]', app = 'github-actions' } = {}) {
+      const comment = { id: nextId++, issue, body, author, app };
+      comments.push(comment);
+      return comment;
+    },
+
+    /**
+     * Lists the comment bodies of an issue or PR
+     */
+    getComments(issue) {
+      return comments.filter(comment => comment.issue === issue).map(comment => comment.body);
+    },
+
+    addBranch({ owner = 'acme', repo = 'app', name }) {
+      branches.push({ owner, repo, name });
+    },
+
+    /**
+     * Writes a file on a branch
+     */
+    addFile({ owner = 'acme', repo = 'app', branch = 'main', path, content }) {
+      files[`${owner}/${repo}@${branch}:${path}`] = { sha: `sha${nextId++}`, content };
+    },
+
+    /**
+     * Reads a file on a branch, or undefined if it does not exist
+     */
+    getFile({ owner = 'acme', repo = 'app', branch = 'main', path }) {
+      return files[`${owner}/${repo}@${branch}:${path}`]?.content;
+    },
+
+    findItem(project, content) {
+      return items.find(candidate => candidate.projectId === project.id && candidate.contentId === content.node_id) || null;
+    },
+
+    /**
+     * Makes the next matching call fail
+     * @param {string|RegExp} match - GRAPHQL_QUERIES name, or pattern matched against "METHOD /path"
+     * @param {Object} failure - status, headers and body (REST) or errors (GraphQL)
+     */
+    failNext(match, failure) {
+      failures.push({ match, ...failure });
+    },
+
+    /**
+     * Fetch implementation handed to Octokit
+     */
+    async fetch(url, init = {}) {
+      const { pathname, searchParams } = new URL(url);
+      const method = (init.method || 'GET').toUpperCase();
+      const body = init.body ? JSON.parse(init.body) : {};
+
+      if (pathname === '/graphql') {
+        const operation = Object.keys(GRAPHQL_QUERIES).find(name => GRAPHQL_QUERIES[name] === body.query);
+        calls.push({ method, path: pathname, operation, variables: body.variables });
+
+        const failureIndex = failures.findIndex(failure => failure.match === operation);
+        if (failureIndex !== -1) {
+          const [failure] = failures.splice(failureIndex, 1);
+          return failure.status
+            ? respond(failure.status, failure.body || { message: 'Failure' }, failure.headers)
+            : respond(200, { data: null, errors: failure.errors }, failure.headers);
+        }
+
+        const resolver = resolvers[operation];
+        return resolver
+          ? respond(200, resolver(body.variables || {}))
+          : respond(200, { data: null, errors: [{ message: 'Unknown query' }] });
+      }
+
+      calls.push({ method, path: pathname, body });
+
+      const failureIndex = failures.findIndex(failure => failure.match instanceof RegExp && failure.match.test(`${method} ${pathname}`));
+      if (failureIndex !== -1) {
+        const [failure] = failures.splice(failureIndex, 1);
+        return respond(failure.status, failure.body || { message: 'Failure' }, failure.headers);
+      }
+
+      for (const [routeMethod, pattern, handler] of routes) {
+        const match = pathname.match(pattern);
+        if (routeMethod === method && match) {
+          const [status, responseBody] = handler(match, searchParams, body);
+          return respond(status, responseBody);
+        }
+      }
+
+      return respond(404, { message: 'Not Found' });
+    },
+
+    /**
+     * Makes createOctokit return clients backed by this fake
+     */
+    install() {
+      github.getOctokit = (token, options = {}) =>
+        originalGetOctokit(token, { ...options, request: { ...options.request, fetch: fake.fetch } });
+      return fake;
+    }
+  };
+
+  return fake;
+}
+
+/**
+ * Restores the real getOctokit
+ */
+function uninstallFakeGitHub() {
+  github.getOctokit = originalGetOctokit;
+}
+
+module.exports = { createFakeGitHub, uninstallFakeGitHub };
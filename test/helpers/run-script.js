@@ -0,0 +1,59 @@
+/**
+ * Runs a script's main function the way a workflow step would
+ * Sets its environment, collects its outputs and log lines, and restores everything afterwards
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const core = require('@actions/core');
+const github = require('@actions/github');
+const { parseCommandFile } = require('../../.github/scripts/cli');
+
+const LOG_METHODS = ['debug', 'info', 'notice', 'warning', 'error', 'startGroup', 'endGroup'];
+
+/**
+ * Runs a main function with environment variables and an event context
+ * @param {Function} main - Exported main function of a script
+ * @param {Object} options - Run options
+ * @param {Object} options.env - Environment variables of the step
+ * @param {string} options.eventName - Event name for github.context (optional)
+ * @param {Object} options.payload - Event payload for github.context (optional)
+ * @returns {Promise<Object>} Object with outputs and logs ({ level, message })
+ */
+async function runScript(main, { env = {}, eventName, payload } = {}) {
+  const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'automation-test-'));
+  const outputFile = path.join(workDir, 'output');
+  fs.writeFileSync(outputFile, '');
+
+  const previousEnv = { ...process.env };
+  const previousContext = { eventName: github.context.eventName, payload: github.context.payload };
+  const previousLogs = Object.fromEntries(LOG_METHODS.map(method => [method, core[method]]));
+
+  const logs = [];
+  for (const method of LOG_METHODS) {
+    core[method] = message => logs.push({ level: method, message: String(message) });
+  }
+
+  Object.assign(process.env, { GITHUB_REPOSITORY: 'acme/app', GITHUB_OUTPUT: outputFile, GITHUB_TOKEN: 'test-token' }, env);
+  if (eventName) github.context.eventName = eventName;
+  if (payload) github.context.payload = payload;
+
+  try {
+    await main();
+    return { outputs: parseCommandFile(outputFile), logs };
+  } catch (error) {
+    error.logs = logs;
+    throw error;
+  } finally {
+    for (const key of Object.keys(process.env)) {
+      if (!(key in previousEnv)) delete process.env[key];
+    }
+    Object.assign(process.env, previousEnv);
+    Object.assign(github.context, previousContext);
+    Object.assign(core, previousLogs);
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = { runScript };
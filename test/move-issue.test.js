@@ -0,0 +1,157 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { findFields } = require('../.github/scripts/find-fields');
+const { moveIssue } = require('../.github/scripts/move-issue');
+const { parseWipLimits } = require('../.github/scripts/wip-limits');
+
+describe('find-fields and move-issue', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Done'] }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('moves every linked issue to the option found by find-fields', async () => {
+    const issues = [1, 2].map(number => fake.addIssue({ number }));
+    issues.forEach(issue => fake.addItem(project, issue, { Status: 'Todo' }));
+
+    const { outputs } = await runScript(findFields, { env: { PROJECT_ID: project.id, FIELD_NAME: 'Status', OPTION_NAME: 'Doing' } });
+    await runScript(moveIssue, {
+      env: {
+        PROJECT_ID: project.id,
+        FIELD_ID: outputs.field_id,
+        OPTION_ID: outputs.option_id,
+        ISSUE_NODE_IDS: issues.map(issue => issue.node_id).join(','),
+        ISSUE_REFS: '#1,#2'
+      }
+    });
+
+    assert.deepEqual(issues.map(issue => fake.getFieldValue(project, issue, 'Status')), ['Doing', 'Doing']);
+  });
+
+  it('skips issues that are not in the project', async () => {
+    const inProject = fake.addIssue({ number: 1 });
+    const outside = fake.addIssue({ number: 2 });
+    fake.addItem(project, inProject, { Status: 'Todo' });
+    const [field] = project.fields;
+
+    const { logs } = await runScript(moveIssue, {
+      env: {
+        PROJECT_ID: project.id,
+        FIELD_ID: field.id,
+        OPTION_ID: field.options[2].id,
+        ISSUE_NODE_IDS: `${inProject.node_id},${outside.node_id}`
+      }
+    });
+
+    assert.equal(fake.getFieldValue(project, inProject, 'Status'), 'Done');
+    assert.equal(fake.findItem(project, outside), null);
+    assert.ok(logs.some(log => log.message.includes('Moved 1/2 linked issue(s)')));
+  });
+
+  it('fails when the option does not exist', async () => {
+    await assert.rejects(
+      runScript(findFields, { env: { PROJECT_ID: project.id, FIELD_NAME: 'Status', OPTION_NAME: 'Blocked' } }),
+      /Option 'Blocked' not found in field 'Status'/
+    );
+  });
+
+  it('fails without issue node IDs', async () => {
+    await assert.rejects(
+      runScript(moveIssue, { env: { PROJECT_ID: project.id, FIELD_ID: 'F', OPTION_ID: 'O' } }),
+      /ISSUE_NODE_IDS or ISSUE_NODE_ID/
+    );
+  });
+});
+
+describe('move-issue WIP limits', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review'] }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const move = (issues, option, env = {}) => {
+    const [field] = project.fields;
+    return runScript(moveIssue, {
+      env: {
+        PROJECT_ID: project.id,
+        FIELD_ID: field.id,
+        OPTION_ID: field.options.find(candidate => candidate.name === option).id,
+        ISSUE_NODE_IDS: issues.map(issue => issue.node_id).join(','),
+        ISSUE_REFS: issues.map(issue => `#${issue.number}`).join(','),
+        WIP_LIMITS: JSON.stringify({ Doing: { per_assignee: 1 }, Review: 2 }),
+        ...env
+      }
+    });
+  };
+
+  it('parses totals and per-assignee limits', () => {
+    assert.deepEqual(parseWipLimits('{"Doing": {"per_assignee": 3}, "Review": 5}'), {
+      Doing: { total: null, perAssignee: 3 },
+      Review: { total: 5, perAssignee: null }
+    });
+    assert.throws(() => parseWipLimits({ Review: 0 }), /WIP_LIMITS.Review.total must be a positive number, got 0/);
+  });
+
+  it('blocks moves over the limit and comments on the issue', async () => {
+    fake.addItem(project, fake.addIssue({ number: 1, assignees: ['alice'] }), { Status: 'Doing' });
+    const blocked = fake.addIssue({ number: 2, assignees: ['alice'] });
+    const allowed = fake.addIssue({ number: 3, assignees: ['bob'] });
+    [blocked, allowed].forEach(issue => fake.addItem(project, issue, { Status: 'Todo' }));
+
+    const { logs } = await move([blocked, allowed], 'Doing', { WIP_ENFORCEMENT: 'block' });
+
+    assert.equal(fake.getFieldValue(project, blocked, 'Status'), 'Todo');
+    assert.equal(fake.getFieldValue(project, allowed, 'Status'), 'Doing');
+    assert.match(fake.getComments(blocked)[0], /not moved to \*\*Doing\*\* because of the WIP limits: @alice already has 1 item\(s\) in Doing, the limit is 1 per person/);
+    assert.ok(logs.some(log => log.message.includes('Moved 1/2 linked issue(s)')));
+  });
+
+  it('warns by default and counts the issues it moves', async () => {
+    fake.addItem(project, fake.addIssue({ number: 1 }), { Status: 'Review' });
+    const issues = [2, 3].map(number => fake.addIssue({ number }));
+    issues.forEach(issue => fake.addItem(project, issue, { Status: 'Doing' }));
+
+    const { logs } = await move(issues, 'Review');
+
+    assert.deepEqual(issues.map(issue => fake.getFieldValue(project, issue, 'Status')), ['Review', 'Review']);
+    assert.deepEqual(fake.getComments(issues[1]), []);
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('Moving issue #3 to Review exceeds the WIP limits: Review already has 2 item(s), the limit is 2')));
+    assert.ok(!logs.some(log => log.message.includes('issue #2 to Review exceeds')));
+  });
+
+  it('lists the board once for every issue it moves', async () => {
+    const issues = [1, 2, 3].map(number => fake.addIssue({ number }));
+    issues.forEach(issue => fake.addItem(project, issue, { Status: 'Doing' }));
+
+    await move(issues, 'Review');
+
+    const operations = fake.calls.map(call => call.operation);
+    assert.equal(operations.filter(operation => operation === 'PROJECT_ITEMS_PAGINATED').length, 1);
+    assert.equal(operations.filter(operation => operation === 'ISSUE_PROJECT_ITEMS').length, 0);
+  });
+
+  it('does not list the board for a status without a limit', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    fake.addItem(project, issue, { Status: 'Doing' });
+
+    await move([issue], 'Todo');
+
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Todo');
+    assert.ok(!fake.calls.some(call => call.operation === 'PROJECT_ITEMS_PAGINATED'));
+  });
+});
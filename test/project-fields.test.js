@@ -0,0 +1,82 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildFieldValue, findIteration, getIterationEndDate } = require('../.github/scripts/project-fields');
+
+const NOW = new Date('2026-03-10T12:00:00Z');
+
+const SPRINTS = {
+  name: 'Sprint',
+  dataType: 'ITERATION',
+  configuration: {
+    completedIterations: [{ id: 'IT_1', title: 'Sprint 1', startDate: '2026-02-23', duration: 7 }],
+    iterations: [
+      { id: 'IT_3', title: 'Sprint 3', startDate: '2026-03-16', duration: 7 },
+      { id: 'IT_2', title: 'Sprint 2', startDate: '2026-03-09', duration: 7 }
+    ]
+  }
+};
+
+describe('findIteration', () => {
+  it('finds the current and next iterations around a date', () => {
+    assert.equal(findIteration(SPRINTS, 'current', NOW).id, 'IT_2');
+    assert.equal(findIteration(SPRINTS, 'Next', NOW).id, 'IT_3');
+    assert.equal(findIteration(SPRINTS, 'current', new Date('2026-03-16T00:00:00Z')).id, 'IT_3');
+  });
+
+  it('finds an iteration by title or ID, completed ones included', () => {
+    assert.equal(findIteration(SPRINTS, 'Sprint 1', NOW).id, 'IT_1');
+    assert.equal(findIteration(SPRINTS, 'IT_3', NOW).title, 'Sprint 3');
+  });
+
+  it('returns null when no iteration matches', () => {
+    assert.equal(findIteration(SPRINTS, 'Sprint 9', NOW), null);
+    assert.equal(findIteration(SPRINTS, 'current', new Date('2026-04-01T00:00:00Z')), null);
+    assert.equal(findIteration(SPRINTS, 'next', new Date('2026-03-20T00:00:00Z')), null);
+    assert.equal(findIteration({ name: 'Sprint', dataType: 'ITERATION' }, 'current', NOW), null);
+  });
+
+  it('ends an iteration on the day after its last day', () => {
+    assert.equal(getIterationEndDate({ startDate: '2026-02-23', duration: 7 }), '2026-03-02');
+  });
+});
+
+describe('buildFieldValue', () => {
+  it('builds text and number values', () => {
+    assert.deepEqual(buildFieldValue({ name: 'Notes', dataType: 'TEXT' }, '  keep spaces '), { text: '  keep spaces ' });
+    assert.deepEqual(buildFieldValue({ name: 'Points', dataType: 'NUMBER' }, ' 3.5 '), { number: 3.5 });
+    assert.deepEqual(buildFieldValue({ name: 'Points', dataType: 'NUMBER' }, 8), { number: 8 });
+  });
+
+  it('rejects values that are not numbers', () => {
+    const field = { name: 'Points', dataType: 'NUMBER' };
+    assert.throws(() => buildFieldValue(field, 'three'), /Field 'Points' expects a number, got "three"/);
+    assert.throws(() => buildFieldValue(field, ' '), /expects a number/);
+  });
+
+  it('builds date values, with "today" relative to the given date', () => {
+    const field = { name: 'Due', dataType: 'DATE' };
+    assert.deepEqual(buildFieldValue(field, '2026-04-01', NOW), { date: '2026-04-01' });
+    assert.deepEqual(buildFieldValue(field, 'Today', NOW), { date: '2026-03-10' });
+    assert.throws(() => buildFieldValue(field, '01/04/2026', NOW), /Field 'Due' expects a date \(YYYY-MM-DD or "today"\), got "01\/04\/2026"/);
+  });
+
+  it('matches single-select options exactly first, then ignoring case', () => {
+    const field = { name: 'Size', dataType: 'SINGLE_SELECT', options: [{ id: 'OPT_S', name: 'small' }, { id: 'OPT_SS', name: 'Small' }, { id: 'OPT_L', name: 'Large' }] };
+    assert.deepEqual(buildFieldValue(field, 'Small'), { singleSelectOptionId: 'OPT_SS' });
+    assert.deepEqual(buildFieldValue(field, 'large'), { singleSelectOptionId: 'OPT_L' });
+    assert.throws(() => buildFieldValue(field, 'Huge'), /Option 'Huge' not found in field 'Size'/);
+  });
+
+  it('builds iteration values', () => {
+    assert.deepEqual(buildFieldValue(SPRINTS, 'current', NOW), { iterationId: 'IT_2' });
+    assert.deepEqual(buildFieldValue(SPRINTS, 'Sprint 3', NOW), { iterationId: 'IT_3' });
+    assert.throws(() => buildFieldValue(SPRINTS, 'Sprint 9', NOW), /Iteration 'Sprint 9' not found in field 'Sprint'/);
+  });
+
+  it('rejects field types that cannot be written', () => {
+    assert.throws(
+      () => buildFieldValue({ name: 'Assignees', dataType: 'ASSIGNEES' }, 'alice'),
+      /Field 'Assignees' has type ASSIGNEES, which cannot be set \(supported: TEXT, NUMBER, DATE, SINGLE_SELECT, ITERATION\)/
+    );
+  });
+});
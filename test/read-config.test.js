@@ -0,0 +1,39 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateSchema, validateRules } = require('../.github/scripts/read-config');
+const CONFIG_SCHEMA = require('../config.schema.json');
+
+describe('validateSchema', () => {
+  it('accepts a valid config', () => {
+    assert.deepEqual(validateSchema({ PROJECT_ID: 'PVT_1', DOING: 'In Progress', PROJECT_NUMBER: 7 }, CONFIG_SCHEMA, 'config.json'), []);
+  });
+
+  it('suggests the closest key for a typo', () => {
+    const [error] = validateSchema({ PROJET_ID: 'PVT_1' }, CONFIG_SCHEMA, 'config.json');
+
+    assert.match(error, /PROJET_ID/);
+    assert.match(error, /did you mean "PROJECT_ID"\?/);
+  });
+
+  it('reports wrong types and invalid regexes', () => {
+    const errors = validateSchema({ DOING: 3, ISSUE_BRANCH_REGEX: '^(\\d+' }, CONFIG_SCHEMA, 'config.json');
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /"DOING" must be of type string, got integer/);
+    assert.match(errors[1], /ISSUE_BRANCH_REGEX/);
+  });
+});
+
+describe('validateRules', () => {
+  it('accepts a valid rule', () => {
+    assert.deepEqual(validateRules({ rules: [{ when: { event: 'issues' }, actions: [{ type: 'set-field', field: 'Status', value: 'Todo' }] }] }), []);
+  });
+
+  it('reports unknown matchers and action types', () => {
+    const errors = validateRules({ rules: [{ when: { event: 'issues', branch: 'main' }, actions: [{ type: 'move' }] }] });
+
+    assert.equal(errors.length, 2);
+    assert.match(errors[0], /rules\[0\]\.when\.branch is not a known matcher/);
+    assert.match(errors[1], /rules\[0\]\.actions\[0\]\.type must be one of/);
+  });
+});
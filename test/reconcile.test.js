@@ -0,0 +1,130 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { reconcile, inferStatus } = require('../.github/scripts/reconcile');
+
+const STATUSES = { doing: 'Doing', review: 'Review', fixing: 'Fixes', approved: undefined, done: 'Done', released: ['Released'] };
+
+/**
+ * ISO timestamp some days ago
+ */
+const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+describe('reconcile status inference', () => {
+  const evidence = (overrides = {}) => ({ branches: [], openPullRequests: [], mergedPullRequests: [], ...overrides });
+
+  it('prefers merged over open PRs over branches', () => {
+    assert.equal(inferStatus(evidence({ branches: ['12-login'] }), STATUSES), 'Doing');
+    assert.equal(inferStatus(evidence({ branches: ['12-login'], openPullRequests: [{}] }), STATUSES), 'Review');
+    assert.equal(inferStatus(evidence({ openPullRequests: [{}], mergedPullRequests: [{}] }), STATUSES), 'Done');
+    assert.equal(inferStatus(evidence(), STATUSES), null);
+  });
+});
+
+describe('reconcile', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review', 'Fixes', 'Done'] },
+        { name: 'Domain', dataType: 'SINGLE_SELECT', options: ['Web'] },
+        { name: 'Date', dataType: 'DATE' },
+        { name: 'Start', dataType: 'DATE' },
+        { name: 'End', dataType: 'DATE' }
+      ]
+    });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (env = {}) => runScript(reconcile, {
+    env: {
+      PROJECT_ID: project.id,
+      REGEX: '^(\\d+)[-_]',
+      DOMAIN: 'Web',
+      DATE_FIELD: 'Date',
+      START_DATE_FIELD: 'Start',
+      END_DATE_FIELD: 'End',
+      ...env
+    }
+  });
+
+  it('adds missing issues and PRs with the status and dates their branches and PRs show', async () => {
+    const started = fake.addIssue({ number: 1, createdAt: '2026-03-01T09:00:00Z' });
+    fake.addBranch({ name: '1-login' });
+    const inReview = fake.addIssue({ number: 2 });
+    const openPullRequest = fake.addPullRequest({ number: 10, head: '2-sign-up', createdAt: '2026-03-04T09:00:00Z' });
+    const shipped = fake.addIssue({ number: 3, state: 'closed', closedAt: daysAgo(2) });
+    fake.addPullRequest({ number: 11, head: '3-logout', merged: true, createdAt: '2026-03-05T09:00:00Z', closedAt: daysAgo(2) });
+
+    const { outputs, logs } = await run();
+
+    assert.deepEqual(outputs, { added: '4', updated: '0' });
+    assert.equal(fake.getFieldValue(project, started, 'Status'), 'Doing');
+    assert.equal(fake.getFieldValue(project, started, 'Domain'), 'Web');
+    assert.deepEqual(fake.getFieldValue(project, started, 'Date'), { date: '2026-03-01' });
+    assert.equal(fake.getFieldValue(project, started, 'Start'), undefined);
+    assert.equal(fake.getFieldValue(project, inReview, 'Status'), 'Review');
+    assert.deepEqual(fake.getFieldValue(project, inReview, 'Start'), { date: '2026-03-04' });
+    assert.equal(fake.getFieldValue(project, shipped, 'Status'), 'Done');
+    assert.deepEqual(fake.getFieldValue(project, shipped, 'End'), { date: daysAgo(2).slice(0, 10) });
+    assert.ok(fake.findItem(project, openPullRequest));
+    assert.ok(logs.some(log => log.message.includes('+ #2 Issue 2 (add to project)\n    Domain: (empty) → Web\n    Status: (empty) → Review')));
+  });
+
+  it('moves drifted items forward but never back', async () => {
+    const behind = fake.addIssue({ number: 1 });
+    fake.addItem(project, behind, { Status: 'Doing', Domain: 'Web', Date: { date: '2026-03-01' }, Start: { date: '2026-03-01' } });
+    fake.addPullRequest({ number: 10, head: '1-login', merged: true, closedAt: daysAgo(1) });
+    const fixing = fake.addIssue({ number: 2 });
+    fake.addItem(project, fixing, { Status: 'Fixes', Domain: 'Web', Date: { date: '2026-03-01' }, Start: { date: '2026-03-01' } });
+    const pullRequest = fake.addPullRequest({ number: 11, head: '2-sign-up' });
+    fake.addItem(project, pullRequest, { Domain: 'Web' });
+
+    const { outputs } = await run();
+
+    assert.deepEqual(outputs, { added: '0', updated: '1' });
+    assert.equal(fake.getFieldValue(project, behind, 'Status'), 'Done');
+    assert.equal(fake.getFieldValue(project, fixing, 'Status'), 'Fixes');
+  });
+
+  it('derives the domain of items without one from DOMAIN_RULES', async () => {
+    fake.addIssue({ number: 1, labels: ['web'] });
+    const pullRequest = fake.addPullRequest({ number: 10, head: 'bump-deps', files: ['package.json'] });
+    const kept = fake.addIssue({ number: 2, labels: ['web'] });
+    fake.addItem(project, kept, { Domain: 'Web', Date: { date: '2026-03-01' } });
+
+    const { logs } = await run({ DOMAIN_RULES: JSON.stringify([{ domain: 'Web', labels: ['web'] }]), DOMAIN: '' });
+
+    assert.ok(logs.some(log => log.message.includes('+ #1 Issue 1 (add to project)\n    Domain: (empty) → Web')));
+    assert.equal(fake.getFieldValue(project, pullRequest, 'Domain'), undefined);
+    assert.ok(!logs.some(log => log.message.includes('#2 Issue 2')));
+  });
+
+  it('leaves issues closed before the window alone', async () => {
+    fake.addIssue({ number: 1, state: 'closed', closedAt: daysAgo(60) });
+
+    const { outputs, logs } = await run({ CLOSED_SINCE_DAYS: '30' });
+
+    assert.deepEqual(outputs, { added: '0', updated: '0' });
+    assert.ok(logs.some(log => log.message.includes('nothing to reconcile')));
+  });
+
+  it('only prints the diff in dry-run mode', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    fake.addBranch({ name: '1-login' });
+
+    const { logs } = await run({ DRY_RUN: 'true' });
+
+    assert.ok(logs.some(log => log.message.includes('1 item(s) to add and 0 to update:\n+ #1 Issue 1 (add to project)')));
+    assert.ok(logs.some(log => log.message.includes('Dry run - not applying')));
+    assert.ok(!fake.calls.some(call => ['ADD_TO_PROJECT', 'UPDATE_PROJECT_FIELD', 'UPDATE_PROJECT_FIELD_VALUE'].includes(call.operation)));
+    assert.equal(fake.findItem(project, issue), null);
+  });
+});
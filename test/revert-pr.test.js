@@ -0,0 +1,82 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { revertPR, parseRevertedPullRequest } = require('../.github/scripts/revert-pr');
+
+const REGEX = '^(\\d+)[-_]';
+
+describe('parseRevertedPullRequest', () => {
+  const defaultRepo = { owner: 'acme', repo: 'app' };
+
+  it('reads the reverted PR from the body', () => {
+    assert.deepEqual(
+      parseRevertedPullRequest({ title: 'Revert "Add login"', body: 'Reverts acme/app#5\n\nBroke sign-up' }, defaultRepo),
+      { owner: 'acme', repo: 'app', number: 5 }
+    );
+    assert.deepEqual(parseRevertedPullRequest({ body: 'Reverts #5' }, defaultRepo), { owner: 'acme', repo: 'app', number: 5 });
+  });
+
+  it('falls back to the original title', () => {
+    assert.deepEqual(parseRevertedPullRequest({ title: 'Revert "Add login"', body: '' }, defaultRepo), { title: 'Add login' });
+  });
+
+  it('ignores other PRs', () => {
+    assert.equal(parseRevertedPullRequest({ title: 'Revert the login copy', body: 'Closes #12' }, defaultRepo), null);
+  });
+});
+
+describe('revert-pr', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = pullRequest => runScript(revertPR, {
+    env: { REGEX },
+    eventName: 'pull_request',
+    payload: {
+      action: 'closed',
+      pull_request: { number: pullRequest.number, title: pullRequest.title, body: pullRequest.body, merged: true, head: { ref: pullRequest.head } }
+    }
+  });
+
+  it('reopens the issues of the reverted PR and removes their deployment labels', async () => {
+    const issue = fake.addIssue({ number: 12, state: 'closed', labels: ['bug', 'production'] });
+    fake.addPullRequest({ number: 5, title: 'Add login', head: '12-login', merged: true });
+    const revert = fake.addPullRequest({ number: 9, title: 'Revert "Add login"', body: 'Reverts acme/app#5', head: 'revert-5-12-login', merged: true });
+
+    const { outputs } = await run(revert);
+
+    assert.equal(issue.state, 'open');
+    assert.deepEqual(issue.labels, ['bug']);
+    assert.deepEqual(outputs, { reverted_pr: '5', issue_number: '12', issue_refs: '#12', issue_node_ids: issue.node_id });
+  });
+
+  it('finds the reverted PR by title when the body does not name it', async () => {
+    const issue = fake.addIssue({ number: 12, state: 'closed', labels: ['staging'] });
+    fake.addPullRequest({ number: 4, title: 'Add login', head: '11-login-draft', state: 'closed' });
+    fake.addPullRequest({ number: 5, title: 'Add login', head: '12-login', merged: true });
+    const revert = fake.addPullRequest({ number: 9, title: 'Revert "Add login"', head: 'revert-5-12-login', merged: true });
+
+    const { outputs } = await run(revert);
+
+    assert.equal(outputs.reverted_pr, '5');
+    assert.equal(issue.state, 'open');
+    assert.deepEqual(issue.labels, []);
+  });
+
+  it('does nothing for PRs that are not reverts', async () => {
+    const pullRequest = fake.addPullRequest({ number: 9, title: 'Add sign-up', head: '13-sign-up', merged: true });
+
+    const { outputs } = await run(pullRequest);
+
+    assert.deepEqual(outputs, { reverted_pr: '', issue_number: '', issue_refs: '', issue_node_ids: '' });
+    assert.ok(!fake.calls.some(call => call.method === 'PATCH'));
+  });
+});
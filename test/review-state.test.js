@@ -0,0 +1,107 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { reviewState, getReviewerStates, aggregateReviewState } = require('../.github/scripts/review-state');
+
+/**
+ * Builds a review as returned by the pulls API
+ */
+const review = (login, state, submittedAt, commitId = 'head') => ({
+  user: { login },
+  state,
+  commit_id: commitId,
+  submitted_at: submittedAt
+});
+
+describe('review state machine', () => {
+  const pullRequest = { head: { sha: 'head' }, requested_reviewers: [], requested_teams: [] };
+  const stateOf = (reviews, overrides = {}) => aggregateReviewState(getReviewerStates(reviews, { ...pullRequest, ...overrides }));
+
+  it('is in review until someone reviews', () => {
+    assert.equal(stateOf([]), 'review');
+  });
+
+  it('uses each reviewer\'s latest review', () => {
+    assert.equal(stateOf([
+      review('ana', 'CHANGES_REQUESTED', '2026-03-02T09:00:00Z'),
+      review('ana', 'APPROVED', '2026-03-02T11:00:00Z')
+    ]), 'approved');
+  });
+
+  it('ignores comments', () => {
+    assert.equal(stateOf([
+      review('ana', 'APPROVED', '2026-03-02T09:00:00Z'),
+      review('ana', 'COMMENTED', '2026-03-02T10:00:00Z')
+    ]), 'approved');
+  });
+
+  it('keeps the most restrictive state when reviewers disagree', () => {
+    assert.equal(stateOf([
+      review('ana', 'APPROVED', '2026-03-02T09:00:00Z'),
+      review('bo', 'CHANGES_REQUESTED', '2026-03-02T10:00:00Z')
+    ]), 'changes_requested');
+  });
+
+  it('waits for reviewers whose review is requested', () => {
+    assert.equal(stateOf([review('ana', 'APPROVED', '2026-03-02T09:00:00Z')], { requested_reviewers: [{ login: 'bo' }] }), 'review');
+    assert.equal(stateOf([review('ana', 'APPROVED', '2026-03-02T09:00:00Z')], { requested_teams: [{ slug: 'core' }] }), 'review');
+  });
+
+  it('treats changes requested on an older commit as addressed', () => {
+    assert.equal(stateOf([review('bo', 'CHANGES_REQUESTED', '2026-03-02T10:00:00Z', 'old')]), 'review');
+  });
+
+  it('drops dismissed reviews', () => {
+    assert.equal(stateOf([
+      review('ana', 'APPROVED', '2026-03-02T09:00:00Z'),
+      review('bo', 'CHANGES_REQUESTED', '2026-03-02T10:00:00Z'),
+      review('bo', 'DISMISSED', '2026-03-02T11:00:00Z')
+    ]), 'approved');
+  });
+});
+
+describe('review-state', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (pullRequest, env = {}) => runScript(reviewState, {
+    env,
+    eventName: 'pull_request_review',
+    payload: {
+      action: 'submitted',
+      pull_request: { number: pullRequest.number, state: 'open', head: { ref: pullRequest.head, sha: 'head' }, requested_reviewers: [] }
+    }
+  });
+
+  it('maps approval to the configured approved status', async () => {
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-login', reviews: [review('ana', 'APPROVED', '2026-03-02T09:00:00Z')] });
+
+    const { outputs } = await run(pullRequest, { APPROVED: 'Ready to merge' });
+
+    assert.deepEqual(outputs, { state: 'approved', status: 'Ready to merge' });
+  });
+
+  it('leaves approved PRs in review without an approved status', async () => {
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-login', reviews: [review('ana', 'APPROVED', '2026-03-02T09:00:00Z')] });
+
+    const { outputs } = await run(pullRequest, { REVIEW: 'In review' });
+
+    assert.equal(outputs.status, 'In review');
+  });
+
+  it('maps requested changes to the fixing status', async () => {
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-login', reviews: [review('bo', 'CHANGES_REQUESTED', '2026-03-02T09:00:00Z')] });
+
+    const { outputs } = await run(pullRequest);
+
+    assert.deepEqual(outputs, { state: 'changes_requested', status: 'Fixes' });
+  });
+});
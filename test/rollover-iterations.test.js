@@ -0,0 +1,79 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { rolloverIterations } = require('../.github/scripts/rollover-iterations');
+
+/**
+ * ISO date some days from today
+ */
+const daysFromToday = days => new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+
+describe('rollover-iterations', () => {
+  let fake;
+  let project;
+  let ended;
+  let current;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    ended = { id: 'IT_1', title: 'Sprint 1', startDate: daysFromToday(-17), duration: 14 };
+    current = { id: 'IT_2', title: 'Sprint 2', startDate: daysFromToday(-3), duration: 14 };
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'In Progress', 'Code Review', 'QA', 'Done'] },
+        { name: 'Sprint', dataType: 'ITERATION', configuration: { iterations: [current], completedIterations: [ended] } }
+      ]
+    });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const addItem = (number, status, iteration) => {
+    const issue = fake.addIssue({ number });
+    fake.addItem(project, issue, { Status: status, Sprint: { iterationId: iteration.id } });
+    return issue;
+  };
+
+  const sprintOf = issue => fake.findItem(project, issue).values[project.fields[1].id].iterationId;
+
+  it('rolls the doing and review statuses over by default', async () => {
+    const doing = addItem(1, 'In Progress', ended);
+    const review = addItem(2, 'Code Review', ended);
+    const done = addItem(3, 'Done', ended);
+    const qa = addItem(4, 'QA', ended);
+
+    const { outputs } = await runScript(rolloverIterations, {
+      env: { PROJECT_ID: project.id, ITERATION_FIELD: 'Sprint', DOING: 'In Progress', REVIEW: 'Code Review' }
+    });
+
+    assert.deepEqual(outputs, { rolled_over: '2', iteration: 'Sprint 2' });
+    assert.deepEqual([doing, review, done, qa].map(sprintOf), ['IT_2', 'IT_2', 'IT_1', 'IT_1']);
+  });
+
+  it('only rolls over the configured statuses', async () => {
+    const doing = addItem(1, 'In Progress', ended);
+    const qa = addItem(2, 'QA', ended);
+
+    const { outputs } = await runScript(rolloverIterations, {
+      env: { PROJECT_ID: project.id, ITERATION_FIELD: 'Sprint', ROLLOVER_STATUSES: 'QA', DOING: 'In Progress' }
+    });
+
+    assert.equal(outputs.rolled_over, '1');
+    assert.deepEqual([doing, qa].map(sprintOf), ['IT_1', 'IT_2']);
+  });
+
+  it('leaves items whose iteration has not ended', async () => {
+    const issue = addItem(1, 'In Progress', current);
+
+    const { outputs } = await runScript(rolloverIterations, {
+      env: { PROJECT_ID: project.id, ITERATION_FIELD: 'Sprint', DOING: 'In Progress' }
+    });
+
+    assert.equal(outputs.rolled_over, '0');
+    assert.equal(sprintOf(issue), 'IT_2');
+    assert.ok(!fake.calls.some(call => call.operation === 'UPDATE_PROJECT_FIELD_VALUE'));
+  });
+});
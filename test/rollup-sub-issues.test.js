@@ -0,0 +1,137 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { rollupSubIssues, computeRollup } = require('../.github/scripts/rollup-sub-issues');
+
+const STATUSES = { doing: 'Doing', review: 'Review', fixing: 'Fixes', approved: undefined, done: 'Done', released: ['Released'] };
+const FIELD_NAMES = { status: 'Status', start: 'Start', end: 'End' };
+
+describe('computeRollup', () => {
+  const subIssue = (values, closed = false) => ({ values, closed });
+
+  it('starts the parent once any sub-issue is started and finishes it once all are done', () => {
+    const options = { statuses: STATUSES, fieldNames: FIELD_NAMES };
+    assert.equal(computeRollup([subIssue({ Status: 'Todo' }), subIssue({})], options).status, null);
+    assert.equal(computeRollup([subIssue({ Status: 'Review' }), subIssue({ Status: 'Todo' })], options).status, 'Doing');
+    assert.equal(computeRollup([subIssue({ Status: 'Done' }), subIssue({ Status: 'Todo' })], options).status, 'Doing');
+    assert.equal(computeRollup([subIssue({ Status: 'Released' }), subIssue({}, true)], options).status, 'Done');
+  });
+
+  it('never moves the parent backwards', () => {
+    const options = status => ({ statuses: STATUSES, fieldNames: FIELD_NAMES, currentStatus: status });
+    const started = [subIssue({ Status: 'Doing' }), subIssue({ Status: 'Todo' })];
+    assert.equal(computeRollup(started, options('Todo')).status, 'Doing');
+    assert.equal(computeRollup(started, options('Review')).status, null);
+    assert.equal(computeRollup(started, options('Done')).status, null);
+    assert.equal(computeRollup([subIssue({ Status: 'Done' })], options('Review')).status, 'Done');
+    assert.equal(computeRollup([subIssue({ Status: 'Done' })], options('Released')).status, null);
+  });
+
+  it('takes the earliest start and, once all are done, the latest end', () => {
+    const options = { statuses: STATUSES, fieldNames: FIELD_NAMES };
+    const doing = computeRollup([
+      subIssue({ Status: 'Done', Start: '2026-03-02', End: '2026-03-04' }),
+      subIssue({ Status: 'Doing', Start: '2026-03-01' })
+    ], options);
+    assert.deepEqual(doing, { status: 'Doing', start: '2026-03-01', end: null, done: 1, total: 2 });
+
+    const done = computeRollup([
+      subIssue({ Status: 'Done', End: '2026-03-04' }),
+      subIssue({ Status: 'Done', End: '2026-03-09' })
+    ], options);
+    assert.equal(done.end, '2026-03-09');
+  });
+});
+
+describe('rollup-sub-issues', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review', 'Done'] },
+        { name: 'Start', dataType: 'DATE' },
+        { name: 'End', dataType: 'DATE' },
+        { name: 'Progress', dataType: 'TEXT' },
+        { name: 'Percent', dataType: 'NUMBER' }
+      ]
+    });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (issues, env = {}) => runScript(rollupSubIssues, {
+    env: {
+      PROJECT_ID: project.id,
+      ISSUE_NODE_IDS: issues.map(issue => issue.node_id).join(','),
+      START_DATE_FIELD: 'Start',
+      END_DATE_FIELD: 'End',
+      PROGRESS_FIELD: 'Progress',
+      ...env
+    }
+  });
+
+  it('moves the parent to Doing with the earliest start and the progress', async () => {
+    const epic = fake.addIssue({ number: 1 });
+    fake.addItem(project, epic, { Status: 'Todo' });
+    const started = fake.addIssue({ number: 2, parent: epic });
+    fake.addItem(project, started, { Status: 'Doing', Start: { date: '2026-03-03' } });
+    const finished = fake.addIssue({ number: 3, parent: epic, state: 'closed' });
+    fake.addItem(project, finished, { Status: 'Done', Start: { date: '2026-03-01' }, End: { date: '2026-03-02' } });
+    fake.addIssue({ number: 4, parent: epic });
+
+    const { outputs } = await run([started]);
+
+    assert.deepEqual(outputs, { parents: '1' });
+    assert.equal(fake.getFieldValue(project, epic, 'Status'), 'Doing');
+    assert.deepEqual(fake.getFieldValue(project, epic, 'Start'), { date: '2026-03-01' });
+    assert.equal(fake.getFieldValue(project, epic, 'End'), undefined);
+    assert.deepEqual(fake.getFieldValue(project, epic, 'Progress'), { text: '1/3 done' });
+  });
+
+  it('finishes every level of parents once all their sub-issues are done', async () => {
+    const initiative = fake.addIssue({ number: 1 });
+    fake.addItem(project, initiative);
+    const epic = fake.addIssue({ number: 2, parent: initiative });
+    fake.addItem(project, epic, { Status: 'Doing' });
+    const last = fake.addIssue({ number: 3, parent: epic });
+    fake.addItem(project, last, { Status: 'Done', End: { date: '2026-03-05' } });
+    const earlier = fake.addIssue({ number: 4, parent: epic, state: 'closed' });
+    fake.addItem(project, earlier, { Status: 'Done', End: { date: '2026-03-02' } });
+
+    const { outputs } = await run([last, earlier], { PROGRESS_FIELD: 'Percent' });
+
+    assert.deepEqual(outputs, { parents: '2' });
+    assert.equal(fake.getFieldValue(project, epic, 'Status'), 'Done');
+    assert.deepEqual(fake.getFieldValue(project, epic, 'End'), { date: '2026-03-05' });
+    assert.deepEqual(fake.getFieldValue(project, epic, 'Percent'), { number: 100 });
+    assert.equal(fake.getFieldValue(project, initiative, 'Status'), 'Done');
+  });
+
+  it('keeps a parent that is further along than its sub-issues', async () => {
+    const epic = fake.addIssue({ number: 1 });
+    fake.addItem(project, epic, { Status: 'Review' });
+    const started = fake.addIssue({ number: 2, parent: epic });
+    fake.addItem(project, started, { Status: 'Doing', Start: { date: '2026-03-03' } });
+
+    await run([started]);
+
+    assert.equal(fake.getFieldValue(project, epic, 'Status'), 'Review');
+    assert.deepEqual(fake.getFieldValue(project, epic, 'Start'), { date: '2026-03-03' });
+  });
+
+  it('leaves issues without a parent alone', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    fake.addItem(project, issue, { Status: 'Doing' });
+
+    const { outputs, logs } = await run([issue]);
+
+    assert.deepEqual(outputs, { parents: '0' });
+    assert.ok(logs.some(log => log.message.includes('No parent issues to roll up')));
+  });
+});
@@ -0,0 +1,136 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { runRules } = require('../.github/scripts/run-rules');
+
+const RULES = `
+rules:
+  - name: review-started
+    when: { event: pull_request, action: opened, base: main }
+    actions:
+      - { type: set-field, field: Status, value: Review }
+      - { type: set-field, field: Notes, clear: true }
+      - { type: set-date, field: Reviewed, value: "2026-03-05" }
+      - { type: add-label, labels: [in-review], target: subject }
+      - { type: remove-label, labels: [draft, missing], target: subject }
+  - name: hotfix
+    when: { event: pull_request, action: opened, head: "hotfix/*", labels: urgent }
+    actions:
+      - { type: set-field, field: Status, value: Doing }
+  - name: track
+    when: { event: issues, action: labeled, labels: tracked }
+    actions:
+      - { type: add-to-project, target: subject }
+  - name: untrack
+    when: { event: issues, action: unlabeled }
+    actions:
+      - { type: remove-from-project, target: subject }
+`;
+
+describe('run-rules', () => {
+  let dir;
+  let rulesFile;
+  let fake;
+  let project;
+
+  before(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'rules-'));
+    rulesFile = path.join(dir, 'project-automation.yml');
+    fs.writeFileSync(rulesFile, RULES);
+  });
+
+  after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review'] },
+        { name: 'Reviewed', dataType: 'DATE' },
+        { name: 'Notes', dataType: 'TEXT' }
+      ]
+    });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (eventName, payload) => runScript(runRules, {
+    env: { PROJECT_ID: project.id, RULES_FILE: rulesFile, ISSUE_BRANCH_REGEX: '^(\\d+)[-_]' },
+    eventName,
+    payload
+  });
+
+  const pullRequestPayload = (pullRequest, action = 'opened') => ({
+    action,
+    pull_request: {
+      number: pullRequest.number,
+      node_id: pullRequest.node_id,
+      title: pullRequest.title,
+      body: '',
+      head: { ref: pullRequest.head },
+      base: { ref: pullRequest.base },
+      labels: pullRequest.labels.map(name => ({ name })),
+      merged: false
+    }
+  });
+
+  it('applies the field and label actions of a matching rule to linked issues and the PR', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    fake.addItem(project, issue, { Status: 'Doing', Notes: { text: 'WIP' } });
+    const pullRequest = fake.addPullRequest({ number: 10, head: '1-login', labels: ['draft'] });
+
+    const { outputs, logs } = await run('pull_request', pullRequestPayload(pullRequest));
+
+    assert.deepEqual(outputs, { matched_rules: 'review-started' });
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Review');
+    assert.equal(fake.getFieldValue(project, issue, 'Notes'), undefined);
+    assert.deepEqual(fake.getFieldValue(project, issue, 'Reviewed'), { date: '2026-03-05' });
+    assert.deepEqual(pullRequest.labels, ['in-review']);
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('Could not remove "missing" label from #10')));
+  });
+
+  it('only applies rules whose every matcher matches', async () => {
+    const issue = fake.addIssue({ number: 2 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+    const pullRequest = fake.addPullRequest({ number: 11, title: 'Fixes #2', head: 'hotfix/2-crash', base: 'release', labels: ['urgent'] });
+
+    const { outputs } = await run('pull_request', pullRequestPayload(pullRequest));
+
+    assert.deepEqual(outputs, { matched_rules: 'hotfix' });
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Doing');
+    assert.deepEqual(pullRequest.labels, ['urgent']);
+  });
+
+  it('adds issues to and removes them from the project', async () => {
+    const issue = fake.addIssue({ number: 3, labels: ['tracked'] });
+    const payload = action => ({ action, issue: { number: issue.number, node_id: issue.node_id, labels: issue.labels.map(name => ({ name })) } });
+
+    await run('issues', payload('labeled'));
+    assert.ok(fake.findItem(project, issue));
+
+    resetRunState();
+    issue.labels = [];
+    const { outputs } = await run('issues', payload('unlabeled'));
+
+    assert.deepEqual(outputs, { matched_rules: 'untrack' });
+    assert.equal(fake.findItem(project, issue), null);
+  });
+
+  it('does nothing for an event no rule matches', async () => {
+    const issue = fake.addIssue({ number: 4 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+
+    const { outputs, logs } = await run('pull_request_review', { action: 'submitted', review: { state: 'approved' } });
+
+    assert.deepEqual(outputs, { matched_rules: '' });
+    assert.ok(logs.some(log => log.message.includes("Event 'pull_request_review.submitted' matched 0/4 rule(s)")));
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Todo');
+    assert.deepEqual(fake.calls, []);
+  });
+});
@@ -0,0 +1,40 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { setDate } = require('../.github/scripts/set-date');
+
+describe('set-date', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Start', dataType: 'DATE' }, { name: 'Notes', dataType: 'TEXT' }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('sets the date on every linked issue', async () => {
+    const issues = [1, 2].map(number => fake.addIssue({ number }));
+    issues.forEach(issue => fake.addItem(project, issue));
+
+    await runScript(setDate, {
+      env: { PROJECT_ID: project.id, FIELD_NAME: 'Start', DATE_VALUE: '2024-03-01', ISSUE_NODE_IDS: issues.map(issue => issue.node_id).join(',') }
+    });
+
+    assert.deepEqual(issues.map(issue => fake.getFieldValue(project, issue, 'Start')), [{ date: '2024-03-01' }, { date: '2024-03-01' }]);
+  });
+
+  it('fails when the field is not a date field', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    fake.addItem(project, issue);
+
+    await assert.rejects(
+      runScript(setDate, { env: { PROJECT_ID: project.id, FIELD_NAME: 'Notes', ISSUE_NODE_ID: issue.node_id } }),
+      /Date field "Notes" not found in project/
+    );
+  });
+});
@@ -0,0 +1,54 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { setField } = require('../.github/scripts/set-field');
+
+describe('set-field', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Points', dataType: 'NUMBER' }, { name: 'Size', dataType: 'SINGLE_SELECT', options: ['S', 'M'] }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('sets the value on every linked issue in the project', async () => {
+    const issues = [1, 2].map(number => fake.addIssue({ number }));
+    fake.addItem(project, issues[0]);
+    const outside = fake.addIssue({ number: 3 });
+
+    const { outputs, logs } = await runScript(setField, {
+      env: { PROJECT_ID: project.id, FIELD_NAME: 'Size', VALUE: 'm', ISSUE_NODE_IDS: [...issues, outside].map(issue => issue.node_id).join(',') }
+    });
+
+    assert.equal(fake.getFieldValue(project, issues[0], 'Size'), 'M');
+    assert.equal(outputs.updated, '1');
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes(`Issue ${outside.node_id} not found in project`)));
+  });
+
+  it('clears the value with CLEAR', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    const item = fake.addItem(project, issue, { Points: { number: 5 } });
+
+    const { outputs } = await runScript(setField, {
+      env: { PROJECT_ID: project.id, FIELD_NAME: 'Points', CLEAR: 'true', ITEM_ID: item.id }
+    });
+
+    assert.equal(fake.getFieldValue(project, issue, 'Points'), undefined);
+    assert.equal(outputs.updated, '1');
+  });
+
+  it('requires a value unless clearing', async () => {
+    const issue = fake.addIssue({ number: 1 });
+
+    await assert.rejects(
+      runScript(setField, { env: { PROJECT_ID: project.id, FIELD_NAME: 'Points', ISSUE_NODE_ID: issue.node_id } }),
+      /Missing required environment variables: VALUE \(or CLEAR=true\)/
+    );
+  });
+});
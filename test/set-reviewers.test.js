@@ -0,0 +1,69 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { setReviewers } = require('../.github/scripts/set-reviewers');
+
+describe('set-reviewers', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({
+      fields: [
+        { name: 'Reviewers', dataType: 'TEXT' },
+        { name: 'PR reviewers', dataType: 'REVIEWERS' },
+        { name: 'Points', dataType: 'NUMBER' }
+      ]
+    });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const run = (env = {}) => runScript(setReviewers, { env: { PROJECT_ID: project.id, REVIEWERS_FIELD: 'Reviewers', PR_NUMBER: '10', ...env } });
+
+  it('writes requested and past reviewers to the PR and its linked issues', async () => {
+    const issue = fake.addIssue({ number: 1 });
+    fake.addItem(project, issue);
+    const pullRequest = fake.addPullRequest({
+      number: 10,
+      head: '1-login',
+      author: 'ana',
+      requestedReviewers: ['bea'],
+      requestedTeams: ['web'],
+      reviews: [
+        { user: { login: 'caio' }, state: 'CHANGES_REQUESTED' },
+        { user: { login: 'dani' }, state: 'DISMISSED' },
+        { user: { login: 'ana' }, state: 'COMMENTED' }
+      ]
+    });
+    fake.addItem(project, pullRequest);
+
+    const { outputs } = await run({ ISSUE_NODE_IDS: issue.node_id });
+
+    assert.deepEqual(outputs, { reviewers: '@bea,@caio,@acme/web', updated: '2' });
+    assert.deepEqual(fake.getFieldValue(project, issue, 'Reviewers'), { text: '@bea, @caio, @acme/web' });
+    assert.deepEqual(fake.getFieldValue(project, pullRequest, 'Reviewers'), { text: '@bea, @caio, @acme/web' });
+  });
+
+  it('clears the field once no reviewer is left', async () => {
+    const pullRequest = fake.addPullRequest({ number: 10, head: '1-login' });
+    fake.addItem(project, pullRequest, { Reviewers: { text: '@bea' } });
+
+    await run();
+
+    assert.equal(fake.getFieldValue(project, pullRequest, 'Reviewers'), undefined);
+  });
+
+  it('leaves built-in user fields to GitHub and rejects other field types', async () => {
+    fake.addPullRequest({ number: 10, head: '1-login', requestedReviewers: ['bea'] });
+
+    const { outputs } = await run({ REVIEWERS_FIELD: 'PR reviewers' });
+
+    assert.deepEqual(outputs, { reviewers: '', updated: '0' });
+    await assert.rejects(run({ REVIEWERS_FIELD: 'Points' }), /Field 'Points' must be a text field to hold reviewers, got NUMBER/);
+  });
+});
@@ -0,0 +1,300 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const {
+  createOctokit,
+  withRetry,
+  resolveProjectId,
+  findProjectFields,
+  findPRProjectItem,
+  extractIssueFromBranch,
+  getStage,
+  runMutation,
+  resetRunState,
+  GRAPHQL_QUERIES
+} = require('../.github/scripts/shared-utils');
+
+const noSleep = async () => {};
+
+describe('findProjectFields', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Done'] }, { name: 'End', dataType: 'DATE' }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('finds a field and its option', async () => {
+    const result = await findProjectFields(createOctokit('token'), project.id, 'Status', 'Doing');
+
+    assert.equal(result.fieldId, project.fields[0].id);
+    assert.equal(result.optionId, project.fields[0].options[1].id);
+    assert.equal(result.field.dataType, 'SINGLE_SELECT');
+  });
+
+  it('fetches the fields only once per run', async () => {
+    const octokit = createOctokit('token');
+    await findProjectFields(octokit, project.id, 'Status', 'Done');
+    await findProjectFields(octokit, project.id, 'End');
+
+    assert.equal(fake.calls.filter(call => call.operation === 'PROJECT_FIELDS').length, 1);
+  });
+
+  it('refetches once when a cached lookup misses', async () => {
+    const octokit = createOctokit('token');
+    await findProjectFields(octokit, project.id, 'Status');
+    project.fields[0].options.push({ id: 'OPT_new', name: 'Blocked' });
+
+    const result = await findProjectFields(octokit, project.id, 'Status', 'Blocked');
+
+    assert.equal(result.optionId, 'OPT_new');
+    assert.equal(fake.calls.filter(call => call.operation === 'PROJECT_FIELDS').length, 2);
+  });
+
+  it('throws when the field does not exist', async () => {
+    await assert.rejects(
+      findProjectFields(createOctokit('token'), project.id, 'Priority'),
+      /Field 'Priority' not found in project/
+    );
+  });
+
+  it('throws when the option does not exist', async () => {
+    await assert.rejects(
+      findProjectFields(createOctokit('token'), project.id, 'Status', 'Blocked'),
+      /Option 'Blocked' not found in field 'Status'/
+    );
+  });
+});
+
+describe('findPRProjectItem', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub({ pageSize: 1 }).install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('pages through the PR project items until it finds the project', async () => {
+    const projects = [1, 2, 3].map(number => fake.addProject({ number }));
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-fix' });
+    const items = projects.map(project => fake.addItem(project, pullRequest));
+
+    const item = await findPRProjectItem(createOctokit('token'), pullRequest.node_id, projects[2].id);
+
+    assert.equal(item.id, items[2].id);
+    assert.equal(fake.calls.filter(call => call.operation === 'PR_PROJECT_ITEMS_PAGINATED').length, 3);
+  });
+
+  it('returns null when the PR is in none of the pages', async () => {
+    const [project, other] = [1, 2].map(number => fake.addProject({ number }));
+    const pullRequest = fake.addPullRequest({ number: 5, head: '12-fix' });
+    fake.addItem(other, pullRequest);
+
+    const { logs } = await runScript(async () => {
+      assert.equal(await findPRProjectItem(createOctokit('token'), pullRequest.node_id, project.id), null);
+    });
+
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('No project item found for PR')));
+  });
+
+  it('returns null when the PR does not exist', async () => {
+    const project = fake.addProject();
+
+    await runScript(async () => {
+      assert.equal(await findPRProjectItem(createOctokit('token'), 'PR_missing', project.id), null);
+    });
+  });
+});
+
+describe('extractIssueFromBranch', () => {
+  const repo = { owner: 'acme', repo: 'app' };
+
+  it('extracts the issue number from the first group', () => {
+    assert.deepEqual(extractIssueFromBranch('123-add-login', '^(\\d+)[-_]', repo), { owner: 'acme', repo: 'app', number: 123 });
+  });
+
+  it('strips refs/heads/ from the branch', () => {
+    assert.deepEqual(extractIssueFromBranch('refs/heads/7_fix', '^(\\d+)[-_]', repo), { owner: 'acme', repo: 'app', number: 7 });
+  });
+
+  it('understands a cross-repository reference in the first group', () => {
+    assert.deepEqual(
+      extractIssueFromBranch('acme/api#42-fix', '^([\\w.-]+/[\\w.-]+#\\d+)', repo),
+      { owner: 'acme', repo: 'api', number: 42 }
+    );
+  });
+
+  it('uses the named groups owner, repo and number', () => {
+    assert.deepEqual(
+      extractIssueFromBranch('feature/api-42-login', '^feature/(?<repo>[\\w.-]+)-(?<number>\\d+)', repo),
+      { owner: 'acme', repo: 'api', number: 42 }
+    );
+  });
+
+  it('returns null when the branch has no issue', () => {
+    assert.equal(extractIssueFromBranch('main', '^(\\d+)[-_]', repo), null);
+  });
+});
+
+describe('getStage', () => {
+  const STATUSES = { doing: 'Doing', review: 'Review', fixing: 'Fixes', approved: undefined, done: 'Done', released: ['Released'] };
+
+  it('ranks review states and environment statuses with their stage', () => {
+    assert.equal(getStage('Fixes', STATUSES), getStage('Review', STATUSES));
+    assert.equal(getStage('Released', STATUSES), getStage('Done', STATUSES));
+    assert.equal(getStage('Todo', STATUSES), 0);
+  });
+});
+
+describe('resolveProjectId', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('returns node IDs as they are', async () => {
+    assert.equal(await resolveProjectId(null, 'PVT_kwDOABCDEF'), 'PVT_kwDOABCDEF');
+  });
+
+  it('resolves a project URL', async () => {
+    const project = fake.addProject({ owner: 'acme', number: 7 });
+
+    assert.equal(await resolveProjectId(createOctokit('token'), 'https://github.com/orgs/acme/projects/7'), project.id);
+  });
+
+  it('explains when the project cannot be found', async () => {
+    await runScript(async () => {
+      await assert.rejects(
+        resolveProjectId(createOctokit('token'), 'acme/9'),
+        /Project acme\/9 was not found or is not visible to the token/
+      );
+    });
+  });
+
+  it('falls back to a user project only when no organization has it', async () => {
+    const project = fake.addProject({ owner: 'alice', number: 3 });
+    fake.failNext('ORGANIZATION_PROJECT', { errors: [{ type: 'NOT_FOUND', message: "Could not resolve to an Organization with the login of 'alice'." }] });
+
+    await runScript(async () => {
+      assert.equal(await resolveProjectId(createOctokit('token'), 'alice/3'), project.id);
+    });
+    assert.deepEqual(fake.calls.map(call => call.operation), ['ORGANIZATION_PROJECT', 'USER_PROJECT']);
+  });
+
+  it('surfaces lookup errors other than a missing project', async () => {
+    fake.addProject({ owner: 'acme', number: 7 });
+    fake.failNext('ORGANIZATION_PROJECT', { errors: [{ type: 'FORBIDDEN', message: 'Resource not accessible by integration' }] });
+
+    await runScript(async () => {
+      await assert.rejects(resolveProjectId(createOctokit('token'), 'acme/7'), /Resource not accessible by integration/);
+    });
+    assert.equal(fake.calls.filter(call => call.operation === 'USER_PROJECT').length, 0);
+  });
+});
+
+describe('withRetry', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    fake.addProject();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const fetchFields = octokit => () => octokit.graphql(GRAPHQL_QUERIES.PROJECT_FIELDS, { projectId: 'PVT_1' });
+
+  it('retries server errors with exponential backoff', async () => {
+    fake.failNext('PROJECT_FIELDS', { status: 502 });
+    fake.failNext('PROJECT_FIELDS', { status: 503 });
+    const waits = [];
+
+    await runScript(async () => {
+      await withRetry(fetchFields(createOctokit('token')), { sleep: async ms => waits.push(ms), random: () => 1 });
+    });
+
+    assert.deepEqual(waits, [1000, 2000]);
+    assert.equal(fake.calls.length, 3);
+  });
+
+  it('waits for Retry-After on secondary rate limits', async () => {
+    fake.failNext('PROJECT_FIELDS', {
+      status: 403,
+      headers: { 'retry-after': '30' },
+      body: { message: 'You have exceeded a secondary rate limit' }
+    });
+    const waits = [];
+
+    await runScript(async () => {
+      await withRetry(fetchFields(createOctokit('token')), { sleep: async ms => waits.push(ms) });
+    });
+
+    assert.deepEqual(waits, [30000]);
+  });
+
+  it('does not retry client errors and rethrows the original error', async () => {
+    const octokit = createOctokit('token');
+
+    await runScript(async () => {
+      await assert.rejects(
+        withRetry(() => octokit.rest.issues.get({ owner: 'acme', repo: 'app', issue_number: 404 }), { sleep: noSleep }),
+        error => error.status === 404
+      );
+    });
+
+    assert.equal(fake.calls.length, 1);
+  });
+
+  it('does not retry GraphQL errors', async () => {
+    fake.failNext('PROJECT_FIELDS', { errors: [{ type: 'NOT_FOUND', message: 'Could not resolve to a node' }] });
+
+    await runScript(async () => {
+      await assert.rejects(withRetry(fetchFields(createOctokit('token')), { sleep: noSleep }), /Could not resolve to a node/);
+    });
+
+    assert.equal(fake.calls.length, 1);
+  });
+
+  it('gives up when the rate limit resets too late', async () => {
+    fake.failNext('PROJECT_FIELDS', {
+      status: 403,
+      headers: { 'x-ratelimit-remaining': '0', 'x-ratelimit-reset': String(Math.floor(Date.now() / 1000) + 3600) },
+      body: { message: 'API rate limit exceeded' }
+    });
+
+    await runScript(async () => {
+      await assert.rejects(
+        withRetry(fetchFields(createOctokit('token')), { sleep: noSleep, operation: 'fetching fields' }),
+        /fetching fields failed after 1 attempts/
+      );
+    });
+  });
+});
+
+describe('runMutation', () => {
+  beforeEach(resetRunState);
+
+  it('skips the mutation in dry-run mode', async () => {
+    let called = false;
+
+    const { logs } = await runScript(async () => {
+      const result = await runMutation(async () => { called = true; }, { operation: 'adding labels', variables: { labels: ['x'] } });
+      assert.equal(result, null);
+    }, { env: { DRY_RUN: 'true' } });
+
+    assert.equal(called, false);
+    assert.ok(logs.some(log => log.message.includes('Dry run - skipped adding labels: {"labels":["x"]}')));
+  });
+});
@@ -0,0 +1,261 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { moveIssue } = require('../.github/scripts/move-issue');
+const { statusReport } = require('../.github/scripts/status-report');
+const {
+  MAX_HISTORY_ENTRIES,
+  parseHistoryComment,
+  formatHistoryComment,
+  computeIssueMetrics
+} = require('../.github/scripts/status-history');
+
+const STATUSES = { doing: 'Doing', review: 'Review', done: 'Done' };
+
+/**
+ * Builds history entries from [to, ISO time] pairs
+ */
+const history = transitions => transitions.map(([to, at], index) => ({
+  from: index === 0 ? null : transitions[index - 1][0],
+  to,
+  at,
+  event: 'pull_request.opened',
+  actor: 'octocat'
+}));
+
+describe('computeIssueMetrics', () => {
+  const entries = history([
+    ['Doing', '2026-03-02T09:00:00Z'],
+    ['Review', '2026-03-03T09:00:00Z'],
+    ['Fixes', '2026-03-03T15:00:00Z'],
+    ['Review', '2026-03-04T09:00:00Z'],
+    ['Done', '2026-03-04T12:00:00Z']
+  ]);
+
+  it('adds up the time spent in each status', () => {
+    assert.deepEqual(computeIssueMetrics(entries, STATUSES).timeInStatus, { Doing: 24, Review: 9, Fixes: 18 });
+  });
+
+  it('counts reviews that sent the issue back', () => {
+    assert.equal(computeIssueMetrics(entries, STATUSES).reviewRoundTrips, 1);
+  });
+
+  it('measures cycle time from the first Doing to Done', () => {
+    assert.equal(computeIssueMetrics(entries, STATUSES).cycleTime, 51);
+  });
+
+  it('does not count approvals as round-trips', () => {
+    const approved = history([
+      ['Doing', '2026-03-02T09:00:00Z'],
+      ['Review', '2026-03-03T09:00:00Z'],
+      ['Approved', '2026-03-03T12:00:00Z'],
+      ['Done', '2026-03-04T09:00:00Z']
+    ]);
+
+    assert.equal(computeIssueMetrics(approved, { ...STATUSES, approved: 'Approved' }).reviewRoundTrips, 0);
+  });
+
+  it('treats environment statuses as finished', () => {
+    const released = history([
+      ['Doing', '2026-03-02T09:00:00Z'],
+      ['Review', '2026-03-03T09:00:00Z'],
+      ['In Dev', '2026-03-04T09:00:00Z']
+    ]);
+    const metrics = computeIssueMetrics(released, { ...STATUSES, released: ['In Dev'] });
+
+    assert.equal(metrics.reviewRoundTrips, 0);
+    assert.equal(metrics.cycleTime, 48);
+    assert.deepEqual(metrics.timeInStatus, { Doing: 24, Review: 24 });
+  });
+
+  it('counts the current status up to now and has no cycle time until done', () => {
+    const metrics = computeIssueMetrics(entries.slice(0, 2), STATUSES, new Date('2026-03-03T11:00:00Z'));
+
+    assert.equal(metrics.status, 'Review');
+    assert.equal(metrics.timeInStatus.Review, 2);
+    assert.equal(metrics.cycleTime, null);
+  });
+});
+
+describe('history comment', () => {
+  it('round-trips the entries through the hidden marker', () => {
+    const entries = history([['Doing', '2026-03-02T09:00:00Z'], ['Review', '2026-03-03T09:00:00Z']]);
+    const body = formatHistoryComment(entries);
+
+    assert.deepEqual(parseHistoryComment(body), entries);
+    assert.match(body, /\| 2026-03-03 09:00 \| Doing \| Review \| pull_request.opened \| @octocat \|/);
+  });
+
+  it('ignores other comments', () => {
+    assert.equal(parseHistoryComment('LGTM'), null);
+  });
+});
+
+describe('move-issue status history', () => {
+  let fake;
+  let project;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({ fields: [{ name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review'] }] });
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  const move = (issue, optionIndex) => {
+    const [field] = project.fields;
+    return runScript(moveIssue, {
+      env: {
+        PROJECT_ID: project.id,
+        FIELD_ID: field.id,
+        OPTION_ID: field.options[optionIndex].id,
+        ISSUE_NODE_IDS: issue.node_id,
+        STATUS_HISTORY: 'true'
+      },
+      eventName: 'pull_request',
+      payload: { action: 'opened' }
+    });
+  };
+
+  it('records each transition in a single comment', async () => {
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+
+    await move(issue, 1);
+    await move(issue, 2);
+
+    const bodies = fake.getComments(issue);
+    assert.equal(bodies.length, 1);
+    assert.deepEqual(
+      parseHistoryComment(bodies[0]).map(entry => [entry.from, entry.to, entry.event]),
+      [['Todo', 'Doing', 'pull_request.opened'], ['Doing', 'Review', 'pull_request.opened']]
+    );
+  });
+
+  it('records nothing when the status does not change', async () => {
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Doing' });
+
+    await move(issue, 1);
+
+    assert.deepEqual(fake.getComments(issue), []);
+  });
+
+  it('ignores history comments written by someone else', async () => {
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+    const planted = formatHistoryComment(history([['Done', '2026-03-01T09:00:00Z']]));
+    fake.addComment(issue, planted, { author: 'mallory', app: null });
+
+    await move(issue, 1);
+
+    const bodies = fake.getComments(issue);
+    assert.equal(bodies[0], planted);
+    assert.deepEqual(parseHistoryComment(bodies[1]).map(entry => entry.to), ['Doing']);
+  });
+
+  it('keeps updating the comment of the token\'s user', async () => {
+    fake = createFakeGitHub({ viewer: 'deploy-bot' }).install();
+    project = fake.addProject({ fields: [{ name: 'Status', dataType: 'SINGLE_SELECT', options: ['Todo', 'Doing', 'Review'] }] });
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+
+    await move(issue, 1);
+    resetRunState();
+    await move(issue, 2);
+
+    const bodies = fake.getComments(issue);
+    assert.equal(bodies.length, 1);
+    assert.deepEqual(parseHistoryComment(bodies[0]).map(entry => entry.to), ['Doing', 'Review']);
+  });
+
+  it('keeps only the latest transitions', async () => {
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+    const transitions = Array.from({ length: MAX_HISTORY_ENTRIES }, (_, index) => [index % 2 ? 'Todo' : 'Doing', new Date(Date.UTC(2026, 0, 1, index)).toISOString()]);
+    fake.addComment(issue, formatHistoryComment(history(transitions)));
+
+    await move(issue, 1);
+
+    const entries = parseHistoryComment(fake.getComments(issue)[0]);
+    assert.equal(entries.length, MAX_HISTORY_ENTRIES);
+    assert.equal(entries[0].at, transitions[1][1]);
+    assert.deepEqual([entries[entries.length - 1].from, entries[entries.length - 1].to], ['Todo', 'Doing']);
+  });
+
+  it('still moves the issue when the history cannot be written', async () => {
+    const issue = fake.addIssue({ number: 12 });
+    fake.addItem(project, issue, { Status: 'Todo' });
+    fake.failNext(/POST \/repos\/acme\/app\/issues\/12\/comments/, { status: 403, body: { message: 'Resource not accessible by integration' } });
+
+    const { logs } = await move(issue, 1);
+
+    assert.equal(fake.getFieldValue(project, issue, 'Status'), 'Doing');
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('Could not record status history')));
+  });
+});
+
+describe('status-report', () => {
+  let fake;
+  let project;
+  let reportDir;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+    project = fake.addProject({
+      fields: [
+        { name: 'Status', dataType: 'SINGLE_SELECT', options: ['Doing', 'Review', 'Fixes', 'Done'] },
+        { name: 'Domain', dataType: 'SINGLE_SELECT', options: ['Backend', 'Frontend'] }
+      ]
+    });
+    reportDir = fs.mkdtempSync(path.join(os.tmpdir(), 'status-report-'));
+  });
+
+  afterEach(() => {
+    uninstallFakeGitHub();
+    fs.rmSync(reportDir, { recursive: true, force: true });
+  });
+
+  it('reports metrics per issue and per domain as Markdown and CSV', async () => {
+    const backend = fake.addIssue({ number: 1, title: 'Login, again' });
+    fake.addItem(project, backend, { Status: 'Done', Domain: 'Backend' });
+    fake.addComment(backend, formatHistoryComment(history([
+      ['Doing', '2026-03-02T09:00:00Z'],
+      ['Review', '2026-03-03T09:00:00Z'],
+      ['Fixes', '2026-03-03T15:00:00Z'],
+      ['Review', '2026-03-04T09:00:00Z'],
+      ['Done', '2026-03-04T12:00:00Z']
+    ])));
+
+    const frontend = fake.addIssue({ number: 2 });
+    fake.addItem(project, frontend, { Status: 'Done', Domain: 'Frontend' });
+    fake.addComment(frontend, formatHistoryComment(history([
+      ['Doing', '2026-03-02T09:00:00Z'],
+      ['Review', '2026-03-02T21:00:00Z'],
+      ['Done', '2026-03-03T09:00:00Z']
+    ])));
+
+    fake.addItem(project, fake.addIssue({ number: 3 }), { Status: 'Doing' });
+
+    const { outputs } = await runScript(statusReport, { env: { PROJECT_ID: project.id, REPORT_DIR: reportDir } });
+
+    assert.equal(outputs.reported_issues, '2');
+    const csv = fs.readFileSync(outputs.csv_file, 'utf8').trim().split('\n');
+    assert.deepEqual(csv, [
+      'issue,title,domain,status,cycle_time_hours,review_round_trips,hours_in_Doing,hours_in_Review,hours_in_Fixes',
+      'acme/app#1,"Login, again",Backend,Done,51.00,1,24.00,9.00,18.00',
+      'acme/app#2,Issue 2,Frontend,Done,24.00,0,12.00,12.00,'
+    ]);
+
+    const markdown = fs.readFileSync(outputs.markdown_file, 'utf8');
+    assert.match(markdown, /\| Backend \| 1 \| 1 \| 2\.1d \| 1\.0 \| 1\.0d \| 9\.0h \| 18\.0h \|/);
+    assert.match(markdown, /\| Frontend \| 1 \| 1 \| 1\.0d \| 0\.0 \| 12\.0h \| 12\.0h \| - \|/);
+  });
+});
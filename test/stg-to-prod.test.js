@@ -0,0 +1,190 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeGitHub, uninstallFakeGitHub } = require('./helpers/fake-github');
+const { runScript } = require('./helpers/run-script');
+const { resetRunState } = require('../.github/scripts/shared-utils');
+const { stagingToProduction } = require('../.github/scripts/stg-to-prod');
+
+describe('stg-to-prod', () => {
+  let fake;
+
+  beforeEach(() => {
+    resetRunState();
+    fake = createFakeGitHub().install();
+  });
+
+  afterEach(uninstallFakeGitHub);
+
+  it('replaces the staging label with production on closed issues', async () => {
+    const shipped = fake.addIssue({ number: 1, state: 'closed', labels: ['staging', 'bug'] });
+    const open = fake.addIssue({ number: 2, state: 'open', labels: ['staging'] });
+    const unrelated = fake.addIssue({ number: 3, state: 'closed', labels: ['bug'] });
+
+    await runScript(stagingToProduction);
+
+    assert.deepEqual(shipped.labels, ['bug', 'production']);
+    assert.deepEqual(open.labels, ['staging']);
+    assert.deepEqual(unrelated.labels, ['bug']);
+  });
+
+  it('uses the configured label names', async () => {
+    const issue = fake.addIssue({ number: 1, state: 'closed', labels: ['stg'] });
+
+    await runScript(stagingToProduction, { env: { STAGING_LABEL: 'stg', PRODUCTION_LABEL: 'prod' } });
+
+    assert.deepEqual(issue.labels, ['prod']);
+  });
+
+  it('still adds the production label when removing staging fails', async () => {
+    const issue = fake.addIssue({ number: 1, state: 'closed', labels: ['staging'] });
+    fake.failNext(/^DELETE .*\/labels\/staging$/, { status: 404, body: { message: 'Label does not exist' } });
+
+    const { logs } = await runScript(stagingToProduction);
+
+    assert.deepEqual(issue.labels, ['staging', 'production']);
+    assert.ok(logs.some(log => log.level === 'warning' && log.message.includes('Could not remove "staging" label from issue #1')));
+  });
+
+  it('keeps going when one issue cannot be labelled', async () => {
+    const [first, second] = [1, 2].map(number => fake.addIssue({ number, state: 'closed', labels: ['staging'] }));
+    fake.failNext(/^POST .*\/issues\/1\/labels$/, { status: 422, body: { message: 'Validation Failed' } });
+
+    const { logs } = await runScript(stagingToProduction);
+
+    assert.deepEqual(first.labels, []);
+    assert.deepEqual(second.labels, ['production']);
+    assert.ok(logs.some(log => log.message.includes('Successfully processed 1/2 issues')));
+  });
+
+  it('only logs the swap in dry-run mode', async () => {
+    const issue = fake.addIssue({ number: 1, state: 'closed', labels: ['staging'] });
+
+    await runScript(stagingToProduction, { env: { DRY_RUN: 'true' } });
+
+    assert.deepEqual(issue.labels, ['staging']);
+    assert.equal(fake.calls.filter(call => call.method !== 'GET').length, 0);
+  });
+
+  describe('with ENVIRONMENTS', () => {
+    const ENVIRONMENTS = JSON.stringify([
+      { name: 'dev', branch: 'dev', label: 'dev' },
+      { name: 'qa', branch: 'qa', label: 'qa', status: 'In QA' },
+      { name: 'staging', branch: 'staging', label: 'staging' },
+      { name: 'production', branch: ['main', 'master'], label: 'production', status: 'Released' }
+    ]);
+
+    const promote = (head, base, commits = []) => {
+      const deploy = fake.addPullRequest({ number: 50, head, base, merged: true, commits });
+      return runScript(stagingToProduction, {
+        env: { ENVIRONMENTS, REGEX: '^(\\d+)[-_]' },
+        eventName: 'pull_request',
+        payload: { action: 'closed', pull_request: { number: deploy.number, node_id: deploy.node_id, merged: true, head: { ref: head }, base: { ref: base } } }
+      });
+    };
+
+    it('moves the merged environment\'s issues to the next one', async () => {
+      const tested = fake.addIssue({ number: 1, state: 'closed', labels: ['dev'] });
+      const staged = fake.addIssue({ number: 2, state: 'closed', labels: ['qa'] });
+      fake.addPullRequest({ number: 10, head: '1-login', base: 'dev', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+
+      const { outputs } = await promote('dev', 'qa', [{ sha: 'a1', message: 'Add login' }]);
+
+      assert.deepEqual(tested.labels, ['qa']);
+      assert.deepEqual(staged.labels, ['qa']);
+      assert.deepEqual(outputs, { environment: 'qa', status: 'In QA', issue_refs: '#1', issue_node_ids: tested.node_id, pending_refs: '', changelog: '' });
+    });
+
+    it('ignores merges that skip an environment', async () => {
+      const issue = fake.addIssue({ number: 1, state: 'closed', labels: ['dev'] });
+
+      const { outputs } = await promote('dev', 'staging');
+
+      assert.deepEqual(issue.labels, ['dev']);
+      assert.equal(outputs.environment, '');
+    });
+
+    it('only promotes the issues the deploy PR ships and lists the others as pending', async () => {
+      const shipped = fake.addIssue({ number: 1, state: 'closed', labels: ['staging'] });
+      const late = fake.addIssue({ number: 2, state: 'closed', labels: ['staging'] });
+      fake.addPullRequest({ number: 10, head: '1-login', base: 'dev', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+      fake.addPullRequest({ number: 11, head: '2-sign-up', base: 'dev', merged: true, commits: [{ sha: 'b1', message: 'Add sign-up' }] });
+      // The earlier promotion PRs carry the same commit
+      fake.addPullRequest({ number: 20, head: 'dev', base: 'qa', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+
+      const { outputs, logs } = await promote('staging', 'main', [{ sha: 'a1', message: 'Add login' }]);
+
+      assert.deepEqual(shipped.labels, ['production']);
+      assert.deepEqual(late.labels, ['staging']);
+      assert.equal(outputs.issue_refs, '#1');
+      assert.equal(outputs.pending_refs, '#2');
+      assert.ok(logs.some(log => log.message.includes('come from 1 PR(s): #10')));
+      assert.ok(logs.some(log => log.message.includes('Still pending in staging: #2')));
+    });
+
+    it('finds the source PRs of every commit with one query per page of commits', async () => {
+      const shipped = fake.addIssue({ number: 1, state: 'closed', labels: ['staging'] });
+      const commits = Array.from({ length: 250 }, (_, index) => ({ sha: `c${index}`, message: `Commit ${index}` }));
+      fake.addPullRequest({ number: 10, head: '1-login', base: 'dev', merged: true, commits: commits.slice(200) });
+
+      const { outputs, logs } = await promote('staging', 'main', commits);
+
+      assert.deepEqual(shipped.labels, ['production']);
+      assert.equal(outputs.issue_refs, '#1');
+      assert.equal(fake.calls.filter(call => call.operation === 'PR_COMMIT_PULL_REQUESTS_PAGINATED').length, 3);
+      assert.ok(logs.some(log => log.level === 'warning' && log.message.includes("PR #50 reached GitHub's limit of 250 listed commits")));
+    });
+
+    it('publishes the changelog of releases to the deploy PR, a draft release and the changelog file', async () => {
+      const project = fake.addProject({ fields: [{ name: 'Domain', dataType: 'SINGLE_SELECT', options: ['Web', 'Mobile'] }] });
+      const login = fake.addIssue({ number: 1, title: 'Add login', state: 'closed', labels: ['staging', 'feature'] });
+      fake.addItem(project, login, { Domain: 'Web' });
+      fake.addPullRequest({ number: 10, head: '1-login', base: 'dev', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+      fake.addFile({ branch: 'main', path: 'CHANGELOG.md', content: '# Changelog\n\n## Earlier\n' });
+
+      const deploy = fake.addPullRequest({ number: 50, head: 'staging', base: 'main', body: 'Deploy', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+      const { outputs } = await runScript(stagingToProduction, {
+        env: { ENVIRONMENTS, REGEX: '^(\\d+)[-_]', CHANGELOG: 'pr,release,file', PROJECT_ID: project.id },
+        eventName: 'pull_request',
+        payload: { action: 'closed', pull_request: { number: 50, node_id: deploy.node_id, merged: true, head: { ref: 'staging' }, base: { ref: 'main' } } }
+      });
+
+      assert.match(outputs.changelog, /### Web\n\n#### Features\n\n- Add login \(\[#1\]\(https:\/\/github.com\/acme\/app\/issues\/1\)\) in \[#10\]/);
+      assert.ok(deploy.body.startsWith('Deploy\n\n<!-- changelog:start -->\n## production release'));
+      assert.equal(fake.releases.length, 1);
+      assert.equal(fake.releases[0].draft, true);
+      assert.match(fake.releases[0].tag_name, /^production-\d{4}-\d{2}-\d{2}-pr50$/);
+      assert.equal(fake.releases[0].body, outputs.changelog);
+      assert.match(fake.getFile({ branch: 'main', path: 'CHANGELOG.md' }), /^# Changelog\n\n## production release .*\n[\s\S]*## Earlier\n$/);
+    });
+
+    it('leaves the changelog out of promotions between earlier environments', async () => {
+      fake.addIssue({ number: 1, state: 'closed', labels: ['dev'] });
+      fake.addPullRequest({ number: 10, head: '1-login', base: 'dev', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+
+      const deploy = fake.addPullRequest({ number: 50, head: 'dev', base: 'qa', merged: true, commits: [{ sha: 'a1', message: 'Add login' }] });
+      const { outputs } = await runScript(stagingToProduction, {
+        env: { ENVIRONMENTS, REGEX: '^(\\d+)[-_]', CHANGELOG: 'pr,release' },
+        eventName: 'pull_request',
+        payload: { action: 'closed', pull_request: { number: deploy.number, node_id: deploy.node_id, merged: true, head: { ref: 'dev' }, base: { ref: 'qa' } } }
+      });
+
+      assert.equal(outputs.changelog, '');
+      assert.equal(fake.releases.length, 0);
+    });
+
+    it('promotes into production by hand', async () => {
+      const issue = fake.addIssue({ number: 1, state: 'closed', labels: ['staging'] });
+
+      const { outputs } = await runScript(stagingToProduction, { env: { ENVIRONMENTS, CHANGELOG: 'release' } });
+
+      assert.deepEqual(issue.labels, ['production']);
+      assert.equal(outputs.status, 'Released');
+      // Without a deploy PR, the time keeps the tags of same-day promotions apart
+      assert.match(fake.releases[0].tag_name, /^production-\d{4}-\d{2}-\d{2}-\d{6}$/);
+    });
+  });
+
+  it('requires a token', async () => {
+    await assert.rejects(runScript(stagingToProduction, { env: { GITHUB_TOKEN: '' } }), /Missing required environment variables: GITHUB_TOKEN/);
+  });
+});